@@ -4,13 +4,25 @@ const port = 3000
 const swaggerUi = require('swagger-ui-express')
 const swaggerJsdoc = require('swagger-jsdoc')
 const cors = require('cors')
+const { startWebhookDispatcher } = require('./src/utils/webhookDispatcher')
+const { attachStreamSocket } = require('./src/utils/streamSocket')
+const { startMaintenance } = require('./src/utils/maintenance')
+const { startAlwaysPresentDetection } = require('./src/utils/macFilters')
+const { startMqttGateway } = require('./src/utils/mqttGateway')
+const { startDeviceHealthCheck } = require('./src/utils/deviceHealth')
+const { startReportScheduler } = require('./src/utils/reports')
+const { initMacHash } = require('./src/utils/macHash')
+const { migrate } = require('./src/utils/migrations')
+const { startInflowRates } = require('./src/utils/inflow')
+const { WINDOW_SECONDS } = require('./src/utils/ingestion')
 
 module.exports = fn => (req, res, next) => {
     Promise.resolve(fn(req, res, next)).catch(next)
 }
 
 app.use(cors())
-app.use(express.json())
+// keep the raw body around so device HMAC signatures can be verified
+app.use(express.json({ limit: process.env.INGEST_BODY_LIMIT || '1mb', verify: (req, res, buf) => { req.rawBody = buf } }))
 
 // Swagger setup
 const swaggerOptions = {
@@ -26,6 +38,8 @@ const swaggerOptions = {
                 url: `http://localhost:${port}`,
             },
         ],
+        // management routes need at least a viewer token unless they say otherwise
+        security: [{ ViewerToken: [] }],
     },
     apis: ['./src/router/*.js'],
 }
@@ -37,12 +51,43 @@ app.use('/devices', require('./src/router/devices'))
 app.use('/crowd_data', require('./src/router/crowd_data'))
 app.use('/webhooks', require('./src/router/webhooks'))
 app.use('/mobility', require('./src/router/mobility'))
+app.use('/alerts', require('./src/router/alerts'))
+app.use('/auth', require('./src/router/auth'))
+app.use('/stream', require('./src/router/stream'))
+app.use('/maintenance', require('./src/router/maintenance'))
+app.use('/forecast', require('./src/router/forecast'))
+app.use('/mac_filters', require('./src/router/mac_filters'))
+app.use('/privacy', require('./src/router/privacy'))
+app.use('/venues', require('./src/router/venues'))
+app.use('/zones', require('./src/router/zones'))
+app.use('/exports', require('./src/router/exports'))
+app.use('/reports', require('./src/router/reports'))
 
 app.use((err, req, res, next) => {
     console.error('ERROR:', err)
     res.status(500).json({ error: 'Internal Server Error' })
 })
 
-app.listen(port, () => {
-  console.log(`Server is running at http://localhost:${port}`)
-})
\ No newline at end of file
+// the schema is brought up to date first, and nothing may hash a MAC before the key is loaded
+migrate()
+  .then(changes => {
+    changes.forEach(change => console.log(`Migration: ${change}`))
+    return initMacHash()
+  })
+  .then(() => {
+    const server = app.listen(port, () => {
+      console.log(`Server is running at http://localhost:${port}`)
+      startWebhookDispatcher()
+      startMaintenance()
+      startAlwaysPresentDetection()
+      startMqttGateway()
+      startDeviceHealthCheck()
+      startReportScheduler()
+      startInflowRates(WINDOW_SECONDS)
+    })
+    attachStreamSocket(server)
+  })
+  .catch(err => {
+    console.error('Startup failed:', err.message)
+    process.exit(1)
+  })
@@ -1,12 +1,69 @@
 CREATE DATABASE IF NOT EXISTS DataStructure;
 USE DataStructure;
 
+CREATE TABLE IF NOT EXISTS venues (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL COMMENT '장소 이름 (e.g., 전시장)',
+    description VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_venue_name (name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS zones (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    venue_id INT NOT NULL COMMENT '소속 장소',
+    name VARCHAR(255) NOT NULL COMMENT '구역 이름 (e.g., B홀)',
+    description VARCHAR(255) NULL,
+    area_m2 DECIMAL(10,2) NULL COMMENT '측정 범위 면적 (m²), 밀도 계산용',
+    calibration_factor DECIMAL(6,3) NULL COMMENT '감지된 기기 1대당 사람 수 보정값, NULL이면 1',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_zone_venue FOREIGN KEY (venue_id) REFERENCES venues(id) ON DELETE CASCADE,
+    UNIQUE KEY uniq_zone_name (venue_id, name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 CREATE TABLE IF NOT EXISTS devices (
     id INT AUTO_INCREMENT PRIMARY KEY COMMENT '고유 ID',
     device_name VARCHAR(255) NOT NULL COMMENT '디바이스 이름',
     location VARCHAR(255) NOT NULL COMMENT '설치 장소',
     url VARCHAR(255) NOT NULL COMMENT '고유 URL',
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '생성 시간'
+    slug VARCHAR(255) NOT NULL COMMENT 'URL 마지막 경로 (수집 요청 식별용)',
+    min_rssi TINYINT NULL COMMENT '최소 신호 세기 (dBm), 이보다 약한 신호는 사람 수에서 제외',
+    randomized_mac_mode ENUM('count', 'separate', 'exclude') NULL COMMENT '랜덤 MAC 처리 방식, NULL이면 서버 기본값',
+    report_interval_seconds INT NULL COMMENT '예상 보고 주기(초), NULL이면 서버 기본값',
+    last_report_at DATETIME NULL COMMENT '마지막 보고 시각 (스캔, 배치, 하트비트)',
+    health_state ENUM('unknown', 'online', 'stale', 'offline') NOT NULL DEFAULT 'unknown' COMMENT '연결 상태',
+    zone_id INT NULL COMMENT '소속 구역',
+    area_m2 DECIMAL(10,2) NULL COMMENT '측정 범위 면적 (m²), 밀도 계산용',
+    calibration_factor DECIMAL(6,3) NULL COMMENT '감지된 기기 1대당 사람 수 보정값, NULL이면 1',
+    service_state ENUM('active', 'disabled', 'archived') NOT NULL DEFAULT 'active' COMMENT '운영 상태, active가 아니면 수집 거부',
+    service_changed_at DATETIME NULL COMMENT '운영 상태 변경 시각',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '생성 시간',
+    CONSTRAINT fk_device_zone FOREIGN KEY (zone_id) REFERENCES zones(id) ON DELETE SET NULL,
+    UNIQUE KEY uniq_device_slug (slug)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS device_credentials (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    device_id INT NOT NULL,
+    credential_type ENUM('api_key', 'hmac') NOT NULL COMMENT '인증 방식',
+    key_prefix VARCHAR(16) NOT NULL COMMENT '식별용 키 앞부분',
+    key_hash VARBINARY(32) NULL COMMENT 'API 키 해시 (api_key)',
+    secret VARCHAR(80) NULL COMMENT '서명용 비밀키 (hmac)',
+    expires_at DATETIME NULL COMMENT '교체 후 유예 만료 시각',
+    revoked_at DATETIME NULL,
+    last_used_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_credential_device FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE,
+    UNIQUE KEY uniq_key_hash (key_hash),
+    INDEX idx_credential_device (device_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS device_signatures (
+    signature BINARY(32) PRIMARY KEY COMMENT '이미 사용된 HMAC 서명 (재전송 방지)',
+    device_id INT NOT NULL,
+    expires_at DATETIME NOT NULL COMMENT '타임스탬프 허용 범위가 끝나는 시각, 이후 삭제',
+    CONSTRAINT fk_signature_device FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE,
+    INDEX idx_signature_expires (expires_at)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 CREATE TABLE IF NOT EXISTS threshold (
@@ -16,17 +73,83 @@ CREATE TABLE IF NOT EXISTS threshold (
     normal INT NOT NULL COMMENT '보통 기준',
     warning INT NOT NULL COMMENT '경고 기준',
     danger INT NOT NULL COMMENT '위험 기준',
+    hysteresis INT NOT NULL DEFAULT 0 COMMENT '상태가 내려가려면 기준보다 이만큼 적어야 함 (인원)',
+    min_dwell_seconds INT NOT NULL DEFAULT 0 COMMENT '새 상태가 이 시간(초) 동안 유지되어야 상태 변경',
+    mode ENUM('absolute', 'density') NOT NULL DEFAULT 'absolute' COMMENT '사람수 기준 / 면적당 밀도 기준',
+    safe_density DECIMAL(6,2) NULL COMMENT '안전 밀도 기준 (명/m²)',
+    normal_density DECIMAL(6,2) NULL COMMENT '보통 밀도 기준 (명/m²)',
+    warning_density DECIMAL(6,2) NULL COMMENT '경고 밀도 기준 (명/m²)',
+    danger_density DECIMAL(6,2) NULL COMMENT '위험 밀도 기준 (명/m²)',
     CONSTRAINT fk_threshold_device FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+CREATE TABLE IF NOT EXISTS threshold_profiles (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    device_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL COMMENT '프로필 이름 (e.g., evening_event)',
+    safe INT NOT NULL COMMENT '안전 기준',
+    normal INT NOT NULL COMMENT '보통 기준',
+    warning INT NOT NULL COMMENT '경고 기준',
+    danger INT NOT NULL COMMENT '위험 기준',
+    safe_density DECIMAL(6,2) NULL COMMENT '안전 밀도 기준 (명/m²), NULL이면 사람수 기준 사용',
+    normal_density DECIMAL(6,2) NULL COMMENT '보통 밀도 기준 (명/m²)',
+    warning_density DECIMAL(6,2) NULL COMMENT '경고 밀도 기준 (명/m²)',
+    danger_density DECIMAL(6,2) NULL COMMENT '위험 밀도 기준 (명/m²)',
+    schedule JSON NOT NULL COMMENT '적용 시간 (주간 반복) [{days, start, end}]',
+    time_zone VARCHAR(64) NOT NULL COMMENT '일정 기준 시간대',
+    priority INT NOT NULL DEFAULT 0 COMMENT '일정이 겹치면 높은 값 우선',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    CONSTRAINT fk_profile_device FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE,
+    UNIQUE KEY uniq_profile_name (device_id, name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 CREATE TABLE IF NOT EXISTS crowd_data (
     id INT AUTO_INCREMENT PRIMARY KEY,
     device_id INT NOT NULL,
     headcount INT NOT NULL COMMENT '사람수',
+    randomized_count INT NULL COMMENT '사람수와 별도로 센 랜덤 MAC 수 (separate 모드)',
     status ENUM('safe', 'normal', 'warning', 'danger') NOT NULL,
+    raw_status ENUM('safe', 'normal', 'warning', 'danger') NULL COMMENT '최소 유지 시간 적용 전 상태',
+    threshold_profile_id INT NULL COMMENT '적용된 기준 프로필, NULL이면 기본 기준',
+    threshold_profile VARCHAR(100) NULL COMMENT '적용된 기준 프로필 이름 (측정 시점)',
+    density DECIMAL(10,3) NULL COMMENT '면적당 추정 인원 (명/m²), 면적 미설정 시 NULL',
+    status_basis ENUM('absolute', 'density') NULL COMMENT '상태 판정 기준',
     wifi_list JSON COMMENT '측정 시점의 wifi mac 주소 목록',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '측정 시각',
-    CONSTRAINT fk_crowd_device FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE
+    CONSTRAINT fk_crowd_device FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE,
+    INDEX idx_crowd_created (created_at),
+    INDEX idx_crowd_device_created (device_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS zone_thresholds (
+    zone_id INT PRIMARY KEY,
+    safe INT NOT NULL COMMENT '안전 기준',
+    normal INT NOT NULL COMMENT '보통 기준',
+    warning INT NOT NULL COMMENT '경고 기준',
+    danger INT NOT NULL COMMENT '위험 기준',
+    hysteresis INT NOT NULL DEFAULT 0 COMMENT '상태가 내려가려면 기준보다 이만큼 적어야 함 (인원)',
+    min_dwell_seconds INT NOT NULL DEFAULT 0 COMMENT '새 상태가 이 시간(초) 동안 유지되어야 상태 변경',
+    mode ENUM('absolute', 'density') NOT NULL DEFAULT 'absolute' COMMENT '사람수 기준 / 면적당 밀도 기준',
+    safe_density DECIMAL(6,2) NULL COMMENT '안전 밀도 기준 (명/m²)',
+    normal_density DECIMAL(6,2) NULL COMMENT '보통 밀도 기준 (명/m²)',
+    warning_density DECIMAL(6,2) NULL COMMENT '경고 밀도 기준 (명/m²)',
+    danger_density DECIMAL(6,2) NULL COMMENT '위험 밀도 기준 (명/m²)',
+    CONSTRAINT fk_zone_threshold_zone FOREIGN KEY (zone_id) REFERENCES zones(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS zone_data (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    zone_id INT NOT NULL,
+    headcount INT NOT NULL COMMENT '구역 내 디바이스 전체에서 중복 없이 센 사람수',
+    device_headcount_sum INT NOT NULL COMMENT '디바이스별 사람수의 합 (중복 포함)',
+    status ENUM('safe', 'normal', 'warning', 'danger') NOT NULL,
+    raw_status ENUM('safe', 'normal', 'warning', 'danger') NULL COMMENT '최소 유지 시간 적용 전 상태',
+    density DECIMAL(10,3) NULL COMMENT '면적당 추정 인원 (명/m²), 면적 미설정 시 NULL',
+    status_basis ENUM('absolute', 'density') NULL COMMENT '상태 판정 기준',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '측정 시각',
+    CONSTRAINT fk_zone_data_zone FOREIGN KEY (zone_id) REFERENCES zones(id) ON DELETE CASCADE,
+    INDEX idx_zone_data_created (zone_id, created_at)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 CREATE TABLE IF NOT EXISTS device_neighbors (
@@ -43,7 +166,8 @@ CREATE TABLE IF NOT EXISTS tracked_devices (
     mac_hash VARBINARY(32) NOT NULL COMMENT 'MAC ADDRESS',
     first_seen DATETIME NOT NULL,
     last_seen DATETIME NOT NULL,
-    UNIQUE KEY uniq_mac_hash (mac_hash)
+    UNIQUE KEY uniq_mac_hash (mac_hash),
+    INDEX idx_last_seen (last_seen)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 CREATE TABLE IF NOT EXISTS device_observations (
@@ -51,30 +175,225 @@ CREATE TABLE IF NOT EXISTS device_observations (
     tracked_device_id BIGINT NOT NULL,
     device_id INT NOT NULL,
     observed_at DATETIME NOT NULL,
-    rssi TINYINT NULL,
+    rssi TINYINT NULL COMMENT '신호 세기 (dBm)',
+    channel TINYINT UNSIGNED NULL COMMENT 'Wi-Fi 채널',
     CONSTRAINT fk_obs_tracked FOREIGN KEY (tracked_device_id) REFERENCES tracked_devices(id) ON DELETE CASCADE,
     CONSTRAINT fk_obs_device FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE,
     INDEX idx_device_time (device_id, observed_at),
-    INDEX idx_tracked_time (tracked_device_id, observed_at)
+    INDEX idx_tracked_time (tracked_device_id, observed_at),
+    INDEX idx_observed (observed_at)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 CREATE TABLE IF NOT EXISTS alerts (
     id INT AUTO_INCREMENT PRIMARY KEY,
-    device_id INT NOT NULL COMMENT '알림이 발생한 디바이스',
+    device_id INT NULL COMMENT '알림이 발생한 디바이스 (구역 알림이면 NULL)',
+    zone_id INT NULL COMMENT '알림이 발생한 구역',
     crowd_data_id INT COMMENT '알림의 원인이 된 데이터',
     alert_type VARCHAR(50) NOT NULL COMMENT '알림 종류 (e.g., density, mobility)',
     level ENUM('warning', 'danger') NOT NULL COMMENT '알림 수준',
     message VARCHAR(255) COMMENT '알림 메시지',
+    state ENUM('open', 'acknowledged', 'resolved') NOT NULL DEFAULT 'open' COMMENT '처리 상태',
+    occurrences INT NOT NULL DEFAULT 1 COMMENT '같은 알림이 반복 감지된 횟수',
+    last_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT '마지막 감지 시각',
+    acknowledged_at DATETIME NULL,
+    acknowledged_by VARCHAR(255) NULL,
+    resolved_at DATETIME NULL,
+    resolved_by VARCHAR(255) NULL COMMENT '수동 해제한 사용자 (자동 해제 시 NULL)',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     CONSTRAINT fk_alert_device FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE,
-    CONSTRAINT fk_alert_crowd FOREIGN KEY (crowd_data_id) REFERENCES crowd_data(id) ON DELETE SET NULL
+    CONSTRAINT fk_alert_zone FOREIGN KEY (zone_id) REFERENCES zones(id) ON DELETE CASCADE,
+    CONSTRAINT fk_alert_crowd FOREIGN KEY (crowd_data_id) REFERENCES crowd_data(id) ON DELETE SET NULL,
+    INDEX idx_alert_device_state (device_id, alert_type, state),
+    INDEX idx_alert_zone_state (zone_id, alert_type, state),
+    INDEX idx_alert_created (created_at)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 CREATE TABLE IF NOT EXISTS webhooks (
     id INT AUTO_INCREMENT PRIMARY KEY,
-    device_id INT NOT NULL COMMENT '알림을 받을 디바이스',
+    device_id INT NULL COMMENT '알림을 받을 디바이스',
+    zone_id INT NULL COMMENT '알림을 받을 구역 (디바이스 대신)',
+    venue_id INT NULL COMMENT '정기 리포트를 받을 장소 (디바이스 대신)',
     url VARCHAR(255) NOT NULL COMMENT '웹훅 URL',
+    secret VARCHAR(80) NOT NULL COMMENT '페이로드 서명용 비밀키',
+    previous_secret VARCHAR(80) NULL COMMENT '교체 전 비밀키 (유예 기간 동안 함께 서명)',
+    previous_secret_expires_at DATETIME NULL COMMENT '이전 비밀키 만료 시각',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     CONSTRAINT fk_webhook_device FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE,
-    UNIQUE KEY uniq_device_url (device_id, url)
-) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
\ No newline at end of file
+    CONSTRAINT fk_webhook_zone FOREIGN KEY (zone_id) REFERENCES zones(id) ON DELETE CASCADE,
+    CONSTRAINT fk_webhook_venue FOREIGN KEY (venue_id) REFERENCES venues(id) ON DELETE CASCADE,
+    UNIQUE KEY uniq_device_url (device_id, url),
+    UNIQUE KEY uniq_zone_url (zone_id, url),
+    UNIQUE KEY uniq_venue_url (venue_id, url)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    webhook_id INT NOT NULL,
+    alert_id INT NULL COMMENT '전송 대상 알림',
+    event_id CHAR(36) NOT NULL COMMENT '수신측 중복 제거용 이벤트 ID',
+    event_type VARCHAR(50) NOT NULL COMMENT '이벤트 종류 (e.g., alert)',
+    payload JSON NOT NULL COMMENT '전송할 본문',
+    state ENUM('pending', 'delivering', 'delivered', 'dead') NOT NULL DEFAULT 'pending' COMMENT '전송 상태',
+    attempts INT NOT NULL DEFAULT 0 COMMENT '시도 횟수',
+    next_attempt_at DATETIME NOT NULL COMMENT '다음 시도 시각',
+    last_error VARCHAR(255) NULL,
+    delivered_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    CONSTRAINT fk_delivery_webhook FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE,
+    CONSTRAINT fk_delivery_alert FOREIGN KEY (alert_id) REFERENCES alerts(id) ON DELETE SET NULL,
+    UNIQUE KEY uniq_event_id (event_id),
+    INDEX idx_delivery_due (state, next_attempt_at),
+    INDEX idx_delivery_webhook (webhook_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    delivery_id BIGINT NOT NULL,
+    status_code INT NULL COMMENT 'HTTP 응답 코드 (연결 실패 시 NULL)',
+    latency_ms INT NOT NULL COMMENT '응답 시간',
+    error VARCHAR(255) NULL,
+    attempted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_attempt_delivery FOREIGN KEY (delivery_id) REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+    INDEX idx_attempt_delivery (delivery_id, attempted_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS api_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL COMMENT '토큰 소유자 / 용도',
+    role ENUM('admin', 'operator', 'viewer') NOT NULL COMMENT '권한',
+    token_prefix VARCHAR(16) NOT NULL COMMENT '식별용 토큰 앞부분',
+    token_hash VARBINARY(32) NOT NULL,
+    expires_at DATETIME NULL,
+    revoked_at DATETIME NULL,
+    last_used_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_token_hash (token_hash)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS observation_rollups_minute (
+    device_id INT NOT NULL,
+    bucket_start DATETIME NOT NULL COMMENT '집계 구간 시작 (분 단위)',
+    distinct_count INT NOT NULL COMMENT '구간 내 고유 기기 수',
+    observation_count INT NOT NULL COMMENT '구간 내 관측 수',
+    max_headcount INT NULL COMMENT '구간 내 crowd_data 최대 사람수',
+    status ENUM('safe', 'normal', 'warning', 'danger') NULL COMMENT '구간 내 가장 높은 상태',
+    PRIMARY KEY (device_id, bucket_start),
+    CONSTRAINT fk_rollup_minute_device FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS observation_rollups_hour (
+    device_id INT NOT NULL,
+    bucket_start DATETIME NOT NULL COMMENT '집계 구간 시작 (시간 단위)',
+    distinct_count INT NOT NULL COMMENT '구간 내 고유 기기 수',
+    observation_count INT NOT NULL COMMENT '구간 내 관측 수',
+    max_headcount INT NULL COMMENT '구간 내 crowd_data 최대 사람수',
+    status ENUM('safe', 'normal', 'warning', 'danger') NULL COMMENT '구간 내 가장 높은 상태',
+    PRIMARY KEY (device_id, bucket_start),
+    CONSTRAINT fk_rollup_hour_device FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS venue_rollups_minute (
+    venue_id INT NOT NULL,
+    bucket_start DATETIME NOT NULL COMMENT '집계 구간 시작 (분 단위)',
+    distinct_count INT NOT NULL COMMENT '장소 전체 디바이스에서 본 고유 기기 수 (중복 제외)',
+    PRIMARY KEY (venue_id, bucket_start),
+    CONSTRAINT fk_rollup_venue FOREIGN KEY (venue_id) REFERENCES venues(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS maintenance_state (
+    name VARCHAR(64) PRIMARY KEY COMMENT '작업 이름',
+    watermark DATETIME NOT NULL COMMENT '여기까지 처리 완료',
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS forecast_settings (
+    device_id INT PRIMARY KEY,
+    model VARCHAR(32) NOT NULL COMMENT '예측 모델 (linear_delta, ewma, holt, seasonal)',
+    params JSON NULL COMMENT '모델 파라미터',
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    CONSTRAINT fk_forecast_device FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS mac_ignore_list (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    device_id INT NULL COMMENT '대상 디바이스, NULL이면 전체 디바이스',
+    mac_hash VARBINARY(32) NOT NULL COMMENT '무시할 MAC 해시',
+    reason VARCHAR(255) NULL COMMENT '등록 사유',
+    source ENUM('manual', 'detected') NOT NULL DEFAULT 'manual' COMMENT '직접 등록 / 자동 감지 후 확인',
+    created_by VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_ignore_device FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE,
+    UNIQUE KEY uniq_ignore (device_id, mac_hash),
+    INDEX idx_ignore_hash (mac_hash)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS mac_ignore_candidates (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    device_id INT NOT NULL,
+    mac_hash VARBINARY(32) NOT NULL,
+    presence_ratio DECIMAL(5,4) NOT NULL COMMENT '디바이스 활동 시간 중 관측된 비율',
+    hours_seen INT NOT NULL COMMENT '관측된 시간(시) 수',
+    state ENUM('pending', 'confirmed', 'dismissed') NOT NULL DEFAULT 'pending' COMMENT '검토 상태',
+    detected_at DATETIME NOT NULL COMMENT '처음 감지된 시각',
+    last_detected_at DATETIME NOT NULL COMMENT '마지막으로 감지된 시각',
+    reviewed_at DATETIME NULL,
+    reviewed_by VARCHAR(255) NULL,
+    CONSTRAINT fk_candidate_device FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE,
+    UNIQUE KEY uniq_candidate (device_id, mac_hash),
+    INDEX idx_candidate_state (state)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS app_secrets (
+    name VARCHAR(64) PRIMARY KEY COMMENT '비밀값 이름 (e.g., mac_hash_secret)',
+    value VARCHAR(255) NOT NULL COMMENT '환경 변수가 없을 때 처음 시작하며 생성한 값',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS mac_erasures (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    requested_by VARCHAR(255) NULL COMMENT '삭제를 요청한 관리자 토큰 이름',
+    erased JSON NOT NULL COMMENT '삭제되거나 수정된 행 수 (MAC 주소는 남기지 않음)',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_erasure_created (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS ingest_batches (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    device_id INT NOT NULL,
+    idempotency_key VARCHAR(128) NOT NULL COMMENT '디바이스가 정한 배치 키 (재전송 시 동일)',
+    request_hash BINARY(32) NOT NULL COMMENT '배치 내용 해시 (같은 키로 다른 내용이 오면 거부)',
+    response JSON NULL COMMENT '처리 결과, 재전송 시 그대로 반환',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_batch_device FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE,
+    UNIQUE KEY uniq_batch_key (device_id, idempotency_key),
+    INDEX idx_batch_created (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS report_schedules (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    venue_id INT NOT NULL COMMENT '리포트 대상 장소',
+    frequency ENUM('daily', 'weekly') NOT NULL COMMENT '생성 주기 (주간은 월요일 시작)',
+    time_zone VARCHAR(64) NOT NULL DEFAULT 'UTC' COMMENT '기간과 시각 계산에 쓰는 시간대',
+    send_hour TINYINT NOT NULL DEFAULT 7 COMMENT '기간이 끝난 뒤 리포트를 만드는 현지 시각 (0-23)',
+    deliver BOOLEAN NOT NULL DEFAULT TRUE COMMENT '장소 웹훅으로 전송 여부',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_schedule_venue FOREIGN KEY (venue_id) REFERENCES venues(id) ON DELETE CASCADE,
+    UNIQUE KEY uniq_schedule (venue_id, frequency)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS reports (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    schedule_id INT NULL COMMENT '생성한 일정, 요청으로 만든 리포트는 NULL',
+    venue_id INT NOT NULL,
+    period ENUM('daily', 'weekly', 'custom') NOT NULL COMMENT '리포트 기간 종류',
+    range_start DATETIME NOT NULL COMMENT '기간 시작 (포함)',
+    range_end DATETIME NOT NULL COMMENT '기간 끝 (제외)',
+    time_zone VARCHAR(64) NOT NULL,
+    content JSON NOT NULL COMMENT '리포트 본문',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_report_schedule FOREIGN KEY (schedule_id) REFERENCES report_schedules(id) ON DELETE SET NULL,
+    CONSTRAINT fk_report_venue FOREIGN KEY (venue_id) REFERENCES venues(id) ON DELETE CASCADE,
+    UNIQUE KEY uniq_scheduled_report (schedule_id, range_start),
+    INDEX idx_report_venue (venue_id, range_start)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,337 @@
+const express = require('express')
+const router = express.Router()
+const asyncHandler = require('../utils/asyncHandler')
+const pool = require('../utils/db')
+const { requireRole } = require('../utils/operatorAuth')
+const { ALERT_STATES } = require('../utils/alerts')
+const { publish } = require('../utils/eventStream')
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Alert:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         device_id:
+ *           type: integer
+ *           nullable: true
+ *           description: The device that raised the alert. Null for zone alerts.
+ *         zone_id:
+ *           type: integer
+ *           nullable: true
+ *           description: The zone that raised the alert, counted over all of its devices.
+ *         crowd_data_id:
+ *           type: integer
+ *           nullable: true
+ *           description: The crowd data record that opened the alert.
+ *         alert_type:
+ *           type: string
+ *           description: "`density` (headcount over the warning threshold) or `device_offline` (the device stopped reporting)."
+ *           example: density
+ *         level:
+ *           type: string
+ *           enum: [warning, danger]
+ *           description: The highest level reached while the alert was ongoing.
+ *         message:
+ *           type: string
+ *         state:
+ *           type: string
+ *           enum: [open, acknowledged, resolved]
+ *         occurrences:
+ *           type: integer
+ *           description: How many readings were collapsed into this alert.
+ *         last_seen:
+ *           type: string
+ *           format: date-time
+ *         acknowledged_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         acknowledged_by:
+ *           type: string
+ *           nullable: true
+ *         resolved_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         resolved_by:
+ *           type: string
+ *           nullable: true
+ *           description: Who resolved the alert. Null when it was resolved automatically.
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Alerts
+ *   description: API for reviewing and handling crowd alerts.
+ */
+
+/**
+ * @swagger
+ * /alerts:
+ *   get:
+ *     summary: List alerts
+ *     tags: [Alerts]
+ *     parameters:
+ *       - in: query
+ *         name: device_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: zone_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: level
+ *         schema:
+ *           type: string
+ *           enum: [warning, danger]
+ *       - in: query
+ *         name: alert_type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *         description: "Comma separated list of states, e.g. `open,acknowledged`."
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only alerts still ongoing at or after this time.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only alerts created at or before this time.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: A list of alerts, newest first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Alert'
+ *       400:
+ *         description: Invalid filter value.
+ */
+router.get('/', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const { device_id, zone_id, level, alert_type, state, from, to } = req.query
+    const limit = Math.min(1000, Number(req.query.limit) || 100)
+    const offset = Math.max(0, Number(req.query.offset) || 0)
+
+    const where = []
+    const params = []
+
+    if (device_id) {
+        where.push('device_id = ?')
+        params.push(device_id)
+    }
+    if (zone_id) {
+        where.push('zone_id = ?')
+        params.push(zone_id)
+    }
+    if (level) {
+        if (!['warning', 'danger'].includes(level)) {
+            return res.status(400).json({ error: 'level must be warning or danger' })
+        }
+        where.push('level = ?')
+        params.push(level)
+    }
+    if (alert_type) {
+        where.push('alert_type = ?')
+        params.push(alert_type)
+    }
+    if (state) {
+        const states = String(state).split(',').map(s => s.trim()).filter(Boolean)
+        if (states.some(s => !ALERT_STATES.includes(s))) {
+            return res.status(400).json({ error: `state must be one of ${ALERT_STATES.join(', ')}` })
+        }
+        where.push(`state IN (${states.map(()=>'?').join(',')})`)
+        params.push(...states)
+    }
+    for (const [name, value] of [['from', from], ['to', to]]) {
+        if (value && Number.isNaN(new Date(value).getTime())) {
+            return res.status(400).json({ error: `${name} must be a valid date` })
+        }
+    }
+    if (from) {
+        where.push('last_seen >= ?')
+        params.push(new Date(from))
+    }
+    if (to) {
+        where.push('created_at <= ?')
+        params.push(new Date(to))
+    }
+
+    const [rows] = await pool.query(
+        `SELECT * FROM alerts ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+    )
+    res.json(rows)
+}))
+
+/**
+ * @swagger
+ * /alerts/{id}:
+ *   get:
+ *     summary: Get a specific alert
+ *     tags: [Alerts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The alert ID.
+ *     responses:
+ *       200:
+ *         description: The alert.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Alert'
+ *       404:
+ *         description: Alert not found.
+ */
+router.get('/:id', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const [rows] = await pool.query('SELECT * FROM alerts WHERE id = ?', [req.params.id])
+    if (rows.length === 0) {
+        return res.status(404).json({ error: 'Alert not found' })
+    }
+    res.json(rows[0])
+}))
+
+// moves an alert to the target state if it is currently in one of the allowed states
+const transition = (target, allowedFrom) => asyncHandler(async (req, res) => {
+    const { id } = req.params
+    const by = (req.body && req.body.by) || req.operator.name
+
+    const column = target === 'acknowledged' ? 'acknowledged' : 'resolved'
+    const [result] = await pool.query(
+        `UPDATE alerts SET state = ?, ${column}_at = NOW(), ${column}_by = ? WHERE id = ? AND state IN (${allowedFrom.map(()=>'?').join(',')})`,
+        [target, by, id, ...allowedFrom]
+    )
+
+    if (result.affectedRows === 0) {
+        const [rows] = await pool.query('SELECT state FROM alerts WHERE id = ?', [id])
+        if (rows.length === 0) {
+            return res.status(404).json({ error: 'Alert not found' })
+        }
+        return res.status(409).json({ error: `Cannot move alert from ${rows[0].state} to ${target}` })
+    }
+
+    const [updated] = await pool.query('SELECT * FROM alerts WHERE id = ?', [id])
+    const alert = updated[0]
+    publish('alert', {
+        device_id: alert.device_id,
+        zone_id: alert.zone_id,
+        alert_id: alert.id,
+        alert_type: alert.alert_type,
+        level: alert.level,
+        state: alert.state,
+        by,
+    })
+    res.json(alert)
+})
+
+/**
+ * @swagger
+ * /alerts/{id}/acknowledge:
+ *   post:
+ *     summary: Acknowledge an open alert
+ *     tags: [Alerts]
+ *     security:
+ *       - OperatorToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The alert ID.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               by:
+ *                 type: string
+ *                 example: "control-room-1"
+ *                 description: Defaults to the name of the token used.
+ *     responses:
+ *       200:
+ *         description: The acknowledged alert.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Alert'
+ *       404:
+ *         description: Alert not found.
+ *       409:
+ *         description: The alert is not open.
+ */
+router.post('/:id/acknowledge', requireRole('operator'), transition('acknowledged', ['open']))
+
+/**
+ * @swagger
+ * /alerts/{id}/resolve:
+ *   post:
+ *     summary: Resolve an open or acknowledged alert
+ *     tags: [Alerts]
+ *     security:
+ *       - OperatorToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The alert ID.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               by:
+ *                 type: string
+ *                 example: "control-room-1"
+ *                 description: Defaults to the name of the token used.
+ *     responses:
+ *       200:
+ *         description: The resolved alert.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Alert'
+ *       404:
+ *         description: Alert not found.
+ *       409:
+ *         description: The alert is already resolved.
+ */
+router.post('/:id/resolve', requireRole('operator'), transition('resolved', ['open', 'acknowledged']))
+
+module.exports = router
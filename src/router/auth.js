@@ -0,0 +1,216 @@
+const express = require('express')
+const router = express.Router()
+const asyncHandler = require('../utils/asyncHandler')
+const pool = require('../utils/db')
+const { ROLES, hashToken, generateToken, requireRole } = require('../utils/operatorAuth')
+
+/**
+ * @swagger
+ * components:
+ *   securitySchemes:
+ *     ViewerToken:
+ *       type: http
+ *       scheme: bearer
+ *       description: Operator token with the viewer role or higher. Read-only access.
+ *     OperatorToken:
+ *       type: http
+ *       scheme: bearer
+ *       description: Operator token with the operator role or higher. Can handle alerts and tune devices.
+ *     AdminToken:
+ *       type: http
+ *       scheme: bearer
+ *       description: Operator token with the admin role. Can register devices, webhooks and tokens.
+ *   schemas:
+ *     ApiToken:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [admin, operator, viewer]
+ *         token_prefix:
+ *           type: string
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         revoked_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         last_used_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Auth
+ *   description: API for managing operator tokens and roles.
+ */
+
+/**
+ * @swagger
+ * /auth/me:
+ *   get:
+ *     summary: Show who the current token belongs to
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: The token owner and role.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   nullable: true
+ *                 name:
+ *                   type: string
+ *                 role:
+ *                   type: string
+ *                   enum: [admin, operator, viewer]
+ *       401:
+ *         description: Missing or invalid token.
+ */
+router.get('/me', requireRole('viewer'), (req, res) => {
+    res.json(req.operator)
+})
+
+/**
+ * @swagger
+ * /auth/tokens:
+ *   get:
+ *     summary: List operator tokens
+ *     tags: [Auth]
+ *     security:
+ *       - AdminToken: []
+ *     responses:
+ *       200:
+ *         description: All tokens, newest first. Token values are never returned.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ApiToken'
+ */
+router.get('/tokens', requireRole('admin'), asyncHandler(async (req, res) => {
+    const [rows] = await pool.query(
+        'SELECT id, name, role, token_prefix, expires_at, revoked_at, last_used_at, created_at FROM api_tokens ORDER BY id DESC'
+    )
+    res.json(rows)
+}))
+
+/**
+ * @swagger
+ * /auth/tokens:
+ *   post:
+ *     summary: Create an operator token
+ *     tags: [Auth]
+ *     security:
+ *       - AdminToken: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - role
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "control-room-screen-2"
+ *               role:
+ *                 type: string
+ *                 enum: [admin, operator, viewer]
+ *               expires_in_days:
+ *                 type: integer
+ *                 description: Leave out for a token that does not expire.
+ *     responses:
+ *       201:
+ *         description: The new token. The token value is only shown once.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiToken'
+ *                 - type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                       example: "op_9a2e..."
+ *       400:
+ *         description: Missing name or invalid role.
+ */
+router.post('/tokens', requireRole('admin'), asyncHandler(async (req, res) => {
+    const { name, role, expires_in_days } = req.body || {}
+
+    if (!name || !ROLES.includes(role)) {
+        return res.status(400).json({ error: `name and role (${ROLES.join(', ')}) are required` })
+    }
+    const days = expires_in_days === undefined ? null : Number(expires_in_days)
+    if (days !== null && (!Number.isInteger(days) || days <= 0)) {
+        return res.status(400).json({ error: 'expires_in_days must be a positive integer' })
+    }
+
+    const token = generateToken()
+    const [result] = await pool.query(
+        `INSERT INTO api_tokens (name, role, token_prefix, token_hash, expires_at)
+         VALUES (?, ?, ?, ?, IF(? IS NULL, NULL, DATE_ADD(NOW(), INTERVAL ? DAY)))`,
+        [name, role, token.slice(0, 12), hashToken(token), days, days]
+    )
+
+    const [rows] = await pool.query(
+        'SELECT id, name, role, token_prefix, expires_at, revoked_at, last_used_at, created_at FROM api_tokens WHERE id = ?',
+        [result.insertId]
+    )
+    res.status(201).json({ ...rows[0], token })
+}))
+
+/**
+ * @swagger
+ * /auth/tokens/{id}:
+ *   delete:
+ *     summary: Revoke an operator token
+ *     tags: [Auth]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The token ID.
+ *     responses:
+ *       204:
+ *         description: Token revoked.
+ *       404:
+ *         description: Token not found or already revoked.
+ */
+router.delete('/tokens/:id', requireRole('admin'), asyncHandler(async (req, res) => {
+    const [result] = await pool.query(
+        'UPDATE api_tokens SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL',
+        [req.params.id]
+    )
+
+    if (result.affectedRows === 0) {
+        return res.status(404).json({ error: 'Token not found' })
+    }
+
+    res.status(204).send()
+}))
+
+module.exports = router
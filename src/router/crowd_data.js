@@ -2,8 +2,18 @@ const express = require('express')
 const router = express.Router()
 const asyncHandler = require('../utils/asyncHandler')
 const pool = require('../utils/db')
-const { hashMac, getStatus, clampPrediction, analyzeMobility } = require('../utils/crowdHelper')
-const axios = require('axios')
+const { requireRole } = require('../utils/operatorAuth')
+const { analyzeMobility, parseSightings } = require('../utils/crowdHelper')
+const { requireDeviceAuth, findDeviceBySlug } = require('../utils/deviceAuth')
+const { BUCKET_SECONDS, isValidTimeZone } = require('../utils/timeBuckets')
+const { buildSeries } = require('../utils/crowdSeries')
+const { toPseudonyms } = require('../utils/macHash')
+const { WINDOW_SECONDS, countWindow, neighborPredictions, ingestScan, parseBatch, ingestBatch } = require('../utils/ingestion')
+const { loadThresholds, resolveStatus } = require('../utils/thresholds')
+const { HEALTH_COLUMNS, reportInterval, healthState, recordHeartbeat } = require('../utils/deviceHealth')
+
+const MAX_SERIES_DEVICES = 50
+const MAX_SERIES_BUCKETS = 5000
 
 /**
  * @swagger
@@ -21,14 +31,62 @@ const axios = require('axios')
  *         headcount:
  *           type: integer
  *           description: The estimated number of people.
+ *         randomized_count:
+ *           type: integer
+ *           nullable: true
+ *           description: Randomized MACs counted separately from the headcount (devices in `separate` mode).
  *         status:
  *           type: string
  *           enum: [safe, normal, warning, danger]
- *           description: The crowd status based on the headcount.
+ *           description: The crowd status based on the headcount, after hysteresis and dwell time.
+ *         raw_status:
+ *           type: string
+ *           nullable: true
+ *           enum: [safe, normal, warning, danger]
+ *           description: The status before the dwell time was applied; differs from `status` while a change is pending.
+ *         density:
+ *           type: number
+ *           nullable: true
+ *           description: People per square metre (headcount times the calibration factor, over the area), or null when the device has no area.
+ *         status_basis:
+ *           type: string
+ *           nullable: true
+ *           enum: [absolute, density]
+ *           description: Whether the status came from the headcount or from the density levels.
+ *         threshold_profile_id:
+ *           type: integer
+ *           nullable: true
+ *           description: The scheduled threshold profile used, or null for the device's own thresholds.
+ *         threshold_profile:
+ *           type: string
+ *           nullable: true
+ *           description: Name of that profile, kept if the profile is later deleted.
  *         created_at:
  *           type: string
  *           format: date-time
  *           description: The timestamp of the data collection.
+ *     Sighting:
+ *       type: object
+ *       required: [mac]
+ *       properties:
+ *         mac:
+ *           type: string
+ *         rssi:
+ *           type: integer
+ *           minimum: -127
+ *           maximum: 0
+ *           description: Signal strength in dBm.
+ *         seen_at:
+ *           oneOf:
+ *             - type: string
+ *               format: date-time
+ *             - type: number
+ *           description: >
+ *             When the device saw the MAC, as ISO 8601 or unix seconds. Clamped into the window of
+ *             the scan (the current one, or `scanned_at` in batches), so a wrong device clock cannot move the sighting out of it.
+ *         channel:
+ *           type: integer
+ *           description: Wi-Fi channel the MAC was seen on.
  *     NeighborPrediction:
  *        type: object
  *        properties:
@@ -46,7 +104,95 @@ const axios = require('axios')
  *            description: The headcount from the previous time window.
  *          predicted:
  *            type: integer
- *            description: The predicted headcount for the next time window.
+ *            description: The predicted headcount for the next time window, including expected inflow.
+ *          base_predicted:
+ *            type: integer
+ *            description: The forecast of the device's own model, before inflow from neighbors.
+ *          model:
+ *            type: string
+ *            description: The forecasting model configured for the device (see /forecast/models).
+ *          inflow:
+ *            $ref: '#/components/schemas/NeighborInflow'
+ *     NeighborInflow:
+ *       type: object
+ *       description: >
+ *         People expected to arrive from adjacent devices in the next window: each neighbor's current
+ *         count times the rate at which MACs moved from it to this device recently.
+ *       properties:
+ *         expected:
+ *           type: number
+ *           description: Total expected arrivals.
+ *         sources:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               device_id:
+ *                 type: integer
+ *                 description: The neighbor people arrive from.
+ *               current:
+ *                 type: integer
+ *                 description: The neighbor's count in the current window.
+ *               rate:
+ *                 type: number
+ *                 description: Share of the neighbor's MACs per window that moved here during the lookback period.
+ *               transitions:
+ *                 type: integer
+ *                 description: Moves from the neighbor to this device during the lookback period.
+ *               median_travel_seconds:
+ *                 type: integer
+ *                 nullable: true
+ *               expected:
+ *                 type: number
+ *                 description: Expected arrivals from this neighbor.
+ *     SeriesBucket:
+ *       type: object
+ *       properties:
+ *         start:
+ *           type: string
+ *           format: date-time
+ *         end:
+ *           type: string
+ *           format: date-time
+ *         readings:
+ *           type: integer
+ *           description: Number of crowd_data readings in the bucket.
+ *         headcount:
+ *           type: object
+ *           properties:
+ *             min:
+ *               type: integer
+ *               nullable: true
+ *             max:
+ *               type: integer
+ *               nullable: true
+ *             avg:
+ *               type: number
+ *               nullable: true
+ *         distinct_devices:
+ *           type: integer
+ *           nullable: true
+ *           description: Distinct MACs observed in the bucket.
+ *         weighted_distinct_devices:
+ *           type: number
+ *           nullable: true
+ *           description: Distinct MACs weighted by their strongest signal in the bucket. Null when only rollups are left.
+ *         distinct_estimated:
+ *           type: boolean
+ *           description: True when raw observations were purged and the count is a lower bound taken from rollups.
+ *         status_seconds:
+ *           type: object
+ *           properties:
+ *             safe:
+ *               type: integer
+ *             normal:
+ *               type: integer
+ *             warning:
+ *               type: integer
+ *             danger:
+ *               type: integer
+ *             unknown:
+ *               type: integer
  *     MobilityTrend:
  *       type: object
  *       properties:
@@ -63,6 +209,17 @@ const axios = require('axios')
  *           format: float
  *           description: "Mobility score (0 to 1). 0 means no change in detected devices, 1 means all new devices."
  *
+ *   securitySchemes:
+ *     DeviceApiKey:
+ *       type: http
+ *       scheme: bearer
+ *       description: API key issued to the device by POST /devices or credential rotation.
+ *     DeviceSignature:
+ *       type: apiKey
+ *       in: header
+ *       name: X-Device-Signature
+ *       description: Hex HMAC-SHA256 of "<X-Device-Timestamp>.<raw body>" with the device signing secret.
+ *
  * tags:
  *   name: Crowd Data
  *   description: Endpoints for submitting and analyzing crowd data.
@@ -73,7 +230,14 @@ const axios = require('axios')
  * /crowd_data/{uniq_url}:
  *   post:
  *     summary: Submit a list of detected MAC addresses from a device
+ *     description: >
+ *       The device must authenticate with one of its credentials: either its API key
+ *       (`Authorization: Bearer <key>` or `X-Device-Key`) or an HMAC-SHA256 signature of
+ *       `<X-Device-Timestamp>.<raw body>` in `X-Device-Signature` (hex) plus `X-Device-Timestamp` (unix seconds).
  *     tags: [Crowd Data]
+ *     security:
+ *       - DeviceApiKey: []
+ *       - DeviceSignature: []
  *     parameters:
  *       - in: path
  *         name: uniq_url
@@ -83,14 +247,18 @@ const axios = require('axios')
  *         description: The unique URL segment identifying the device.
  *     requestBody:
  *       required: true
- *       description: A JSON array of MAC address strings.
+ *       description: >
+ *         A JSON array of sightings. Each item is either a MAC address string or an object with the
+ *         MAC and its signal details. Sightings weaker than the device's `min_rssi` are not counted.
  *       content:
  *         application/json:
  *           schema:
  *             type: array
  *             items:
- *               type: string
- *             example: ["00:11:22:33:44:55", "AA:BB:CC:DD:EE:FF"]
+ *               oneOf:
+ *                 - type: string
+ *                 - $ref: '#/components/schemas/Sighting'
+ *             example: ["00:11:22:33:44:55", { "mac": "AA:BB:CC:DD:EE:FF", "rssi": -67, "seen_at": "2024-05-01T12:00:00Z", "channel": 6 }]
  *     responses:
  *       200:
  *         description: Successfully processed the data. Returns current headcount, status, and neighbor predictions.
@@ -103,197 +271,288 @@ const axios = require('axios')
  *                   $ref: '#/components/schemas/Device'
  *                 headcount:
  *                   type: integer
+ *                 weighted_headcount:
+ *                   type: number
+ *                   description: Headcount with each MAC weighted by its strongest signal (weak signals count less).
  *                 status:
  *                   type: string
  *                   enum: [safe, normal, warning, danger]
+ *                   description: The status after hysteresis and dwell time.
+ *                 raw_status:
+ *                   type: string
+ *                   enum: [safe, normal, warning, danger]
+ *                   description: The status before the dwell time; differs from `status` while a change is pending.
+ *                 density:
+ *                   type: number
+ *                   nullable: true
+ *                   description: People per square metre, or null when the device has no area.
+ *                 status_basis:
+ *                   type: string
+ *                   enum: [absolute, density]
+ *                 threshold_profile:
+ *                   $ref: '#/components/schemas/ThresholdProfileRef'
  *                 window_seconds:
  *                   type: integer
+ *                 below_rssi_cutoff:
+ *                   type: integer
+ *                   description: Sightings in this request dropped for being weaker than the device's min_rssi.
+ *                 ignored:
+ *                   type: integer
+ *                   description: MACs in this request dropped because they are on an ignore list.
+ *                 randomized_mac_mode:
+ *                   type: string
+ *                   enum: [count, separate, exclude]
+ *                 randomized_count:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: Randomized MACs in this request, kept out of the headcount. Only set in `separate` mode.
+ *                 randomized_excluded:
+ *                   type: integer
+ *                   description: Randomized MACs in this request dropped in `exclude` mode.
  *                 neighbors:
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/NeighborPrediction'
  *       400:
- *         description: Invalid input, MAC addresses are required.
+ *         description: Invalid input, MAC addresses are required and signal details must be in range.
+ *       401:
+ *         description: Missing or invalid credentials, or a signature timestamp outside the allowed skew.
+ *       403:
+ *         description: The credential is revoked, expired or belongs to another device.
  *       404:
  *         description: Device not found for the given URL.
  *       500:
  *         description: Internal server error (e.g., threshold not set for device).
  */
-router.post('/:uniq_url', asyncHandler(async (req, res) => {
-    const uniqUrl = req.params.uniq_url
-    let macs = req.body
-
-    if (typeof macs === 'string') {
-        macs = [macs]
-    }
+router.post('/:uniq_url', requireDeviceAuth, asyncHandler(async (req, res) => {
+    const { sightings, error } = parseSightings(req.body)
 
-    if (!Array.isArray(macs) || macs.length === 0) {
-        return res.status(400).json({ error: 'MAC 주소가 필요합니다.' })
+    if (error) {
+        return res.status(400).json({ error })
     }
 
-    const [devices] = await pool.query('SELECT * FROM devices WHERE url LIKE ?', ['%' + uniqUrl])
+    const result = await ingestScan(req.device, sightings)
 
-    if (devices.length === 0) {
-        return res.status(404).json({ error: 'Device not found' })
+    if (result.error) {
+        return res.status(result.status).json({ error: result.error })
     }
 
-    const thisDevice = devices[0]
+    res.json(result.response)
+}))
 
-    const [thresholds] = await pool.query('SELECT * FROM threshold WHERE id = ?', [thisDevice.id])
+/**
+ * @swagger
+ * /crowd_data/{uniq_url}/batch:
+ *   post:
+ *     summary: Upload scans a device buffered while it was offline
+ *     description: >
+ *       Each scan is stored at its own `scanned_at`, and its headcount and status are computed for the
+ *       window ending then, so buffered readings do not pile up in the current window. Scans up to
+ *       INGEST_MAX_FUTURE_SECONDS ahead of the server clock are clamped to now; scans further ahead or
+ *       older than INGEST_MAX_AGE_HOURS are rejected and listed in `rejected`. Only scans at or after the
+ *       device's latest stored reading open or resolve its alert. Sending the same idempotency key again
+ *       returns the first result without storing the scans twice. Authentication is the same as for single uploads.
+ *     tags: [Crowd Data]
+ *     security:
+ *       - DeviceApiKey: []
+ *       - DeviceSignature: []
+ *     parameters:
+ *       - in: path
+ *         name: uniq_url
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The unique URL segment identifying the device.
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 128
+ *         description: Unique key of the batch. Required unless the body has `idempotency_key`.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [scans]
+ *             properties:
+ *               idempotency_key:
+ *                 type: string
+ *                 maxLength: 128
+ *               scans:
+ *                 type: array
+ *                 maxItems: 500
+ *                 items:
+ *                   type: object
+ *                   required: [scanned_at, sightings]
+ *                   properties:
+ *                     scanned_at:
+ *                       oneOf:
+ *                         - type: string
+ *                           format: date-time
+ *                         - type: number
+ *                       description: When the device took the scan, as ISO 8601 or unix seconds.
+ *                     sightings:
+ *                       type: array
+ *                       description: The same items as a single upload. An empty array is a scan that saw nobody.
+ *                       items:
+ *                         oneOf:
+ *                           - type: string
+ *                           - $ref: '#/components/schemas/Sighting'
+ *             example: { "idempotency_key": "sensor-7-2024-05-01T12:05", "scans": [{ "scanned_at": "2024-05-01T12:00:00Z", "sightings": ["00:11:22:33:44:55"] }, { "scanned_at": 1714564860, "sightings": [{ "mac": "AA:BB:CC:DD:EE:FF", "rssi": -70 }] }] }
+ *     responses:
+ *       200:
+ *         description: The batch was stored, or had been stored before (`replayed`).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 idempotency_key:
+ *                   type: string
+ *                 replayed:
+ *                   type: boolean
+ *                   description: True when this is the stored result of an earlier upload with the same key.
+ *                 received:
+ *                   type: integer
+ *                 accepted:
+ *                   type: integer
+ *                 clamped:
+ *                   type: integer
+ *                   description: Accepted scans whose scanned_at was ahead of the server clock and was set to now.
+ *                 rejected:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       index:
+ *                         type: integer
+ *                       scanned_at:
+ *                         type: string
+ *                         format: date-time
+ *                       error:
+ *                         type: string
+ *                 window_seconds:
+ *                   type: integer
+ *                 scans:
+ *                   type: array
+ *                   description: The stored readings, oldest first.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       index:
+ *                         type: integer
+ *                         description: Position of the scan in the request.
+ *                       scanned_at:
+ *                         type: string
+ *                         format: date-time
+ *                       crowd_data_id:
+ *                         type: integer
+ *                       headcount:
+ *                         type: integer
+ *                       weighted_headcount:
+ *                         type: number
+ *                       status:
+ *                         type: string
+ *                         enum: [safe, normal, warning, danger]
+ *                       raw_status:
+ *                         type: string
+ *                         enum: [safe, normal, warning, danger]
+ *                       density:
+ *                         type: number
+ *                         nullable: true
+ *                       status_basis:
+ *                         type: string
+ *                         enum: [absolute, density]
+ *                       threshold_profile:
+ *                         $ref: '#/components/schemas/ThresholdProfileRef'
+ *                       live:
+ *                         type: boolean
+ *                         description: False for scans older than the device's latest reading, which do not change its alert.
+ *                       below_rssi_cutoff:
+ *                         type: integer
+ *                       ignored:
+ *                         type: integer
+ *                       randomized_count:
+ *                         type: integer
+ *                         nullable: true
+ *                       randomized_excluded:
+ *                         type: integer
+ *       400:
+ *         description: Invalid batch, or the idempotency key is missing.
+ *       401:
+ *         description: Missing or invalid credentials, or a signature timestamp outside the allowed skew.
+ *       403:
+ *         description: The credential is revoked, expired or belongs to another device.
+ *       404:
+ *         description: Device not found for the given URL.
+ *       422:
+ *         description: The idempotency key was already used for a different batch.
+ *       500:
+ *         description: Threshold not set for this device.
+ */
+router.post('/:uniq_url/batch', requireDeviceAuth, asyncHandler(async (req, res) => {
+    const batch = parseBatch(req.body, req.get('Idempotency-Key') ?? null)
 
-    if (thresholds.length === 0) {
-        return res.status(500).json({ error: 'Threshold not set for this device' })
+    if (batch.error) {
+        return res.status(400).json({ error: batch.error })
     }
 
-    const conn = await pool.getConnection()
-    try {
-        await conn.beginTransaction()
-
-        // 1) ensure tracked_devices entries exist (bulk insert with ON DUPLICATE KEY)
-        const now = new Date()
-        const macHashes = macs.map((m) => hashMac(m))
-
-        // Prepare bulk values for insert: (mac_hash, first_seen, last_seen)
-        const insertVals = []
-        const insertPlaceholders = []
-        for (const h of macHashes) {
-            insertVals.push(h)
-            insertVals.push(now)
-            insertVals.push(now)
-            insertPlaceholders.push('(?, ?, ?)')
-        }
-
-        if (insertVals.length > 0) {
-            // Use INSERT ... ON DUPLICATE KEY UPDATE last_seen = VALUES(last_seen)
-            const insertSql = `INSERT INTO tracked_devices (mac_hash, first_seen, last_seen) VALUES ${insertPlaceholders.join(', ')} ON DUPLICATE KEY UPDATE last_seen = VALUES(last_seen)`
-            await conn.query(insertSql, insertVals)
-        }
+    const result = await ingestBatch(req.device, batch)
 
-        // 2) fetch tracked_device ids for the given mac hashes
-        const trackedIds = []
-        for (const h of macHashes) {
-            const [rows] = await conn.query('SELECT id FROM tracked_devices WHERE mac_hash = ?', [h])
-            if (rows.length > 0) trackedIds.push(rows[0].id)
-        }
-
-        // 3) insert observations for each tracked device at this device
-        if (trackedIds.length > 0) {
-            const obsPlaceholders = []
-            const obsVals = []
-            for (const tid of trackedIds) {
-                obsPlaceholders.push('(?, ?, ? )')
-                obsVals.push(tid)
-                obsVals.push(thisDevice.id)
-                obsVals.push(now)
-            }
-            const obsSql = `INSERT INTO device_observations (tracked_device_id, device_id, observed_at) VALUES ${obsPlaceholders.join(', ')}`
-            await conn.query(obsSql, obsVals)
-        }
-
-        // 4) compute current headcount for this device (distinct tracked_device_id within window)
-        const windowSeconds = 60 // current window in seconds
-        const [curRows] = await conn.query(
-            'SELECT COUNT(DISTINCT tracked_device_id) AS cnt FROM device_observations WHERE device_id = ? AND observed_at >= DATE_SUB(NOW(), INTERVAL ? SECOND)'
-            , [thisDevice.id, windowSeconds]
-        )
-        const headcount = curRows[0].cnt || 0
-
-        // 5) determine status by threshold
-        const threshold = thresholds[0]
-        const status = getStatus(headcount, threshold)
-
-        // 6) insert into crowd_data and get insertId
-        const [result] = await conn.query('INSERT INTO crowd_data (device_id, headcount, status, wifi_list) VALUES (?, ?, ?, ?)', [thisDevice.id, headcount, status, JSON.stringify(macs)])
-        const crowdDataId = result.insertId
-
-        // 7) Handle alerts and webhooks
-        if (status === 'warning' || status === 'danger') {
-            const message = `Device ${thisDevice.device_name} (${thisDevice.location}) detected a ${status} event with headcount ${headcount}.`
-            await conn.query(
-                'INSERT INTO alerts (device_id, crowd_data_id, alert_type, level, message) VALUES (?, ?, ?, ?, ?)',
-                [thisDevice.id, crowdDataId, 'density', status, message]
-            )
-
-            // Non-blocking webhook calls
-            const [webhookRows] = await conn.query('SELECT url FROM webhooks WHERE device_id = ?', [thisDevice.id])
-            if (webhookRows.length > 0) {
-                const payload = {
-                    deviceId: thisDevice.id,
-                    deviceName: thisDevice.device_name,
-                    location: thisDevice.location,
-                    crowdDataId,
-                    headcount,
-                    status,
-                    message,
-                    timestamp: new Date(),
-                }
-                
-                webhookRows.forEach(({ url }) => {
-                    axios.post(url, payload)
-                        .then(response => console.log(`Webhook to ${url} sent successfully.`))
-                        .catch(error => console.error(`Error sending webhook to ${url}:`, error.message))
-                })
-            }
-        }
-
-        // 8) compute prediction for neighbors and this device using previous window
-        // gather neighbors
-        const [neighborsRows] = await conn.query('SELECT neighbor_device_id FROM device_neighbors WHERE device_id = ?', [thisDevice.id])
-        const neighborIds = neighborsRows.map(r => r.neighbor_device_id)
-        const allDeviceIds = [thisDevice.id, ...neighborIds]
-
-        // helper to get counts for a time window
-        const getCounts = async (startOffsetSec, endOffsetSec) => {
-            // counts for observed_at between DATE_SUB(NOW(), INTERVAL startOffsetSec SECOND) and DATE_SUB(NOW(), INTERVAL endOffsetSec SECOND)
-            const q = `SELECT device_id, COUNT(DISTINCT tracked_device_id) AS cnt FROM device_observations WHERE device_id IN (${allDeviceIds.map(()=>'?').join(',')}) AND observed_at >= DATE_SUB(NOW(), INTERVAL ? SECOND) ${endOffsetSec>0? 'AND observed_at < DATE_SUB(NOW(), INTERVAL ? SECOND)':''} GROUP BY device_id`
-            const params = [...allDeviceIds, startOffsetSec]
-            if (endOffsetSec>0) params.push(endOffsetSec)
-            const [r] = await conn.query(q, params)
-            const map = new Map()
-            for (const row of r) map.set(row.device_id, row.cnt)
-            return map
-        }
-
-        const curMap = await getCounts(windowSeconds, 0)
-        const prevMap = await getCounts(windowSeconds * 2, windowSeconds)
-
-        // load device info for response
-        const [deviceInfos] = await conn.query(`SELECT id, device_name, location FROM devices WHERE id IN (${allDeviceIds.map(()=>'?').join(',')})`, allDeviceIds)
-        const infoMap = new Map(deviceInfos.map(d => [d.id, d]))
-
-        const neighbors = allDeviceIds.map(id => {
-            const curr = Number(curMap.get(id) || 0)
-            const prev = Number(prevMap.get(id) || 0)
-            const delta = curr - prev
-            const predicted = clampPrediction(curr + delta)
-            const info = infoMap.get(id) || { id, device_name: null, location: null }
-            return {
-                device_id: id,
-                device_name: info.device_name,
-                location: info.location,
-                current: curr,
-                previous: prev,
-                predicted,
-                // For neighbor devices, we could also compute status if thresholds exist per device; omitted for simplicity
-            }
-        })
-
-        await conn.commit()
-
-        res.json({
-            device: { id: thisDevice.id, device_name: thisDevice.device_name, location: thisDevice.location },
-            headcount,
-            status,
-            window_seconds: windowSeconds,
-            neighbors,
-        })
-    } catch (err) {
-        await conn.rollback()
-        throw err
-    } finally {
-        conn.release()
+    if (result.error) {
+        return res.status(result.status).json({ error: result.error })
     }
 
+    res.json(result.response)
+}))
+
+/**
+ * @swagger
+ * /crowd_data/{uniq_url}/heartbeat:
+ *   post:
+ *     summary: Tell the server a device is alive without uploading a scan
+ *     description: >
+ *       Scans and batches count as reports too. A device that stops reporting turns stale, then offline,
+ *       after a number of missed report intervals, and going offline raises a `device_offline` alert.
+ *       Authentication is the same as for uploads; the body is ignored.
+ *     tags: [Crowd Data]
+ *     security:
+ *       - DeviceApiKey: []
+ *       - DeviceSignature: []
+ *     parameters:
+ *       - in: path
+ *         name: uniq_url
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The unique URL segment identifying the device.
+ *     responses:
+ *       200:
+ *         description: The report was recorded.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 device_id:
+ *                   type: integer
+ *                 state:
+ *                   type: string
+ *                   enum: [online]
+ *                 report_interval_seconds:
+ *                   type: integer
+ *                   description: How often the server expects to hear from the device.
+ *       401:
+ *         description: Missing or invalid credentials, or a signature timestamp outside the allowed skew.
+ *       403:
+ *         description: The credential is revoked, expired or belongs to another device.
+ *       404:
+ *         description: Device not found for the given URL.
+ */
+router.post('/:uniq_url/heartbeat', requireDeviceAuth, asyncHandler(async (req, res) => {
+    res.json(await recordHeartbeat(req.device))
 }))
 
 /**
@@ -325,7 +584,7 @@ router.post('/:uniq_url', asyncHandler(async (req, res) => {
  *                   { "from": "2023-10-27T10:00:00.000Z", "to": "2023-10-27T10:01:00.000Z", "mobility": "0.2500" }
  *                 ]
  */
-router.get('/analysis', asyncHandler(async (req, res) => {
+router.get('/analysis', requireRole('viewer'), asyncHandler(async (req, res) => {
     const limit = Math.min(1000, Number(req.query.limit) || 100)
     
     const [rows] = await pool.query(
@@ -355,7 +614,9 @@ router.get('/analysis', asyncHandler(async (req, res) => {
             const listB = typeof curr.wifi_list === 'string' ? JSON.parse(curr.wifi_list) : curr.wifi_list
             
             if (listA && listB) {
-                const { mobility } = analyzeMobility(listA, listB)
+                // lists may hold raw MACs or pseudonyms; compare both as pseudonyms
+                const at = new Date(curr.created_at).getTime()
+                const { mobility } = analyzeMobility(toPseudonyms(listA, at), toPseudonyms(listB, at))
                 trends.push({
                     from: prev.created_at,
                     to: curr.created_at,
@@ -369,6 +630,132 @@ router.get('/analysis', asyncHandler(async (req, res) => {
     res.json(analysisResults)
 }))
 
+/**
+ * @swagger
+ * /crowd_data/series:
+ *   get:
+ *     summary: Get a time-bucketed headcount series for one or more devices
+ *     description: >
+ *       For every bucket returns min/max/avg headcount of the readings in it, the number of
+ *       distinct devices observed, and how many seconds were spent in each status. A reading's
+ *       status is assumed to hold until the next reading, for at most `max_gap_seconds`; the rest is `unknown`.
+ *     tags: [Crowd Data]
+ *     parameters:
+ *       - in: query
+ *         name: device_id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: "Comma separated device IDs, e.g. `1,2,3`."
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         required: true
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to now.
+ *       - in: query
+ *         name: bucket
+ *         schema:
+ *           type: string
+ *           enum: [1m, 5m, 1h, 1d]
+ *           default: 1h
+ *       - in: query
+ *         name: tz
+ *         schema:
+ *           type: string
+ *           default: UTC
+ *         description: IANA time zone used to align buckets to wall-clock time (e.g. `Asia/Seoul`).
+ *       - in: query
+ *         name: max_gap_seconds
+ *         schema:
+ *           type: integer
+ *           default: 300
+ *     responses:
+ *       200:
+ *         description: One series per device.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 bucket:
+ *                   type: string
+ *                 tz:
+ *                   type: string
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *                 devices:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       device_id:
+ *                         type: integer
+ *                       device_name:
+ *                         type: string
+ *                       buckets:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/SeriesBucket'
+ *       400:
+ *         description: Invalid devices, time range, bucket or time zone.
+ *       404:
+ *         description: One or more devices not found.
+ */
+router.get('/series', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const { bucket = '1h', tz = 'UTC' } = req.query
+    const deviceIds = [...new Set(String(req.query.device_id || '').split(',').map(Number).filter(n => Number.isInteger(n) && n > 0))]
+    const fromMs = Date.parse(req.query.from)
+    const toMs = req.query.to ? Date.parse(req.query.to) : Date.now()
+    const maxGapSeconds = Number(req.query.max_gap_seconds) || 300
+
+    if (deviceIds.length === 0 || deviceIds.length > MAX_SERIES_DEVICES) {
+        return res.status(400).json({ error: `device_id must list between 1 and ${MAX_SERIES_DEVICES} device IDs` })
+    }
+    if (Number.isNaN(fromMs) || Number.isNaN(toMs) || fromMs >= toMs) {
+        return res.status(400).json({ error: 'from and to must be valid dates with from < to' })
+    }
+    if (!BUCKET_SECONDS[bucket]) {
+        return res.status(400).json({ error: `bucket must be one of ${Object.keys(BUCKET_SECONDS).join(', ')}` })
+    }
+    if (!isValidTimeZone(tz)) {
+        return res.status(400).json({ error: `Unknown time zone: ${tz}` })
+    }
+    if ((toMs - fromMs) / 1000 / BUCKET_SECONDS[bucket] > MAX_SERIES_BUCKETS) {
+        return res.status(400).json({ error: `Too many buckets; use a larger bucket or a shorter range (max ${MAX_SERIES_BUCKETS})` })
+    }
+
+    const [devices] = await pool.query(
+        `SELECT id, device_name FROM devices WHERE id IN (${deviceIds.map(()=>'?').join(',')})`,
+        deviceIds
+    )
+    if (devices.length !== deviceIds.length) {
+        const found = new Set(devices.map(d => d.id))
+        return res.status(404).json({ error: 'Device not found', device_ids: deviceIds.filter(id => !found.has(id)) })
+    }
+    const nameMap = new Map(devices.map(d => [d.id, d.device_name]))
+
+    const series = await buildSeries({ deviceIds, fromMs, toMs, bucket, tz, maxGapSeconds })
+
+    res.json({
+        bucket,
+        tz,
+        from: new Date(fromMs),
+        to: new Date(toMs),
+        devices: deviceIds.map(id => ({ device_id: id, device_name: nameMap.get(id), buckets: series.get(id) })),
+    })
+}))
+
 /**
  * @swagger
  * /crowd_data/{uniq_url}/latest:
@@ -394,11 +781,40 @@ router.get('/analysis', asyncHandler(async (req, res) => {
  *                   $ref: '#/components/schemas/Device'
  *                 headcount:
  *                   type: integer
+ *                 weighted_headcount:
+ *                   type: number
+ *                   description: Headcount with each MAC weighted by its strongest signal (weak signals count less).
  *                 status:
  *                   type: string
- *                   enum: [safe, normal, warning, danger]
+ *                   enum: [safe, normal, warning, danger, unknown]
+ *                   description: "`unknown` when the device is offline or has never reported: a missing count is not a safe one."
+ *                 density:
+ *                   type: number
+ *                   nullable: true
+ *                   description: People per square metre, or null when the device has no area.
+ *                 area_m2:
+ *                   type: number
+ *                   nullable: true
+ *                 status_basis:
+ *                   type: string
+ *                   enum: [absolute, density]
+ *                   description: Whether the status came from the headcount or from the density levels.
+ *                 threshold_profile:
+ *                   $ref: '#/components/schemas/ThresholdProfileRef'
  *                 window_seconds:
  *                   type: integer
+ *                 health:
+ *                   type: object
+ *                   properties:
+ *                     state:
+ *                       type: string
+ *                       enum: [unknown, online, stale, offline]
+ *                     last_report_at:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     report_interval_seconds:
+ *                       type: integer
  *                 neighbors:
  *                   type: array
  *                   items:
@@ -408,79 +824,51 @@ router.get('/analysis', asyncHandler(async (req, res) => {
  *       500:
  *         description: Threshold not set for this device.
  */
-router.get('/:uniq_url/latest', asyncHandler(async (req, res) => {
+router.get('/:uniq_url/latest', requireRole('viewer'), asyncHandler(async (req, res) => {
     const uniqUrl = req.params.uniq_url
 
-    const [devices] = await pool.query('SELECT * FROM devices WHERE url LIKE ?', ['%' + uniqUrl])
+    const thisDevice = await findDeviceBySlug(uniqUrl)
 
-    if (devices.length === 0) {
+    if (!thisDevice) {
         return res.status(404).json({ error: 'Device not found' })
     }
 
+    const settings = await loadThresholds(pool, thisDevice.id)
 
-    const thisDevice = devices[0]
-
-    const [thresholds] = await pool.query('SELECT * FROM threshold WHERE id = ?', [thisDevice.id])
-
-    if (thresholds.length === 0) {
+    if (!settings) {
         return res.status(500).json({ error: 'Threshold not set for this device' })
     }
 
     // read-only connection
     const conn = await pool.getConnection()
     try {
-        const windowSeconds = 60
+        const windowSeconds = WINDOW_SECONDS
 
         // current counts
-        const [curRows] = await conn.query(
-            'SELECT COUNT(DISTINCT tracked_device_id) AS cnt FROM device_observations WHERE device_id = ? AND observed_at >= DATE_SUB(NOW(), INTERVAL ? SECOND)'
-            , [thisDevice.id, windowSeconds]
-        )
-        const headcount = curRows[0].cnt || 0
-        const status = getStatus(headcount, thresholds[0])
-
-        // neighbors
-        const [neighborsRows] = await conn.query('SELECT neighbor_device_id FROM device_neighbors WHERE device_id = ?', [thisDevice.id])
-        const neighborIds = neighborsRows.map(r => r.neighbor_device_id)
-        const allDeviceIds = [thisDevice.id, ...neighborIds]
-
-        const getCounts = async (startOffsetSec, endOffsetSec) => {
-            const q = `SELECT device_id, COUNT(DISTINCT tracked_device_id) AS cnt FROM device_observations WHERE device_id IN (${allDeviceIds.map(()=>'?').join(',')}) AND observed_at >= DATE_SUB(NOW(), INTERVAL ? SECOND) ${endOffsetSec>0? 'AND observed_at < DATE_SUB(NOW(), INTERVAL ? SECOND)':''} GROUP BY device_id`
-            const params = [...allDeviceIds, startOffsetSec]
-            if (endOffsetSec>0) params.push(endOffsetSec)
-            const [r] = await conn.query(q, params)
-            const map = new Map()
-            for (const row of r) map.set(row.device_id, row.cnt)
-            return map
-        }
+        const { headcount, weightedHeadcount } = await countWindow(conn, thisDevice.id, windowSeconds)
+        const [healthRows] = await conn.query(`SELECT ${HEALTH_COLUMNS} FROM devices WHERE id = ?`, [thisDevice.id])
+        const health = healthState(healthRows[0])
+        const { status: current, profile, density, basis } = await resolveStatus(conn, thisDevice.id, settings, headcount, new Date())
+        // an empty window from a dead sensor must not read as safe
+        const status = health === 'offline' || health === 'unknown' ? 'unknown' : current
 
-        const curMap = await getCounts(windowSeconds, 0)
-        const prevMap = await getCounts(windowSeconds * 2, windowSeconds)
-
-        const [deviceInfos] = await conn.query(`SELECT id, device_name, location FROM devices WHERE id IN (${allDeviceIds.map(()=>'?').join(',')})`, allDeviceIds)
-        const infoMap = new Map(deviceInfos.map(d => [d.id, d]))
-
-        const neighbors = allDeviceIds.map(id => {
-            const curr = Number(curMap.get(id) || 0)
-            const prev = Number(prevMap.get(id) || 0)
-            const delta = curr - prev
-            const predicted = clampPrediction(curr + delta)
-            const info = infoMap.get(id) || { id, device_name: null, location: null }
-            return {
-                device_id: id,
-                device_name: info.device_name,
-                location: info.location,
-                current: curr,
-                previous: prev,
-                predicted,
-            }
-        })
+        const neighbors = await neighborPredictions(conn, thisDevice, windowSeconds)
 
         res.json({
             device: { id: thisDevice.id, device_name: thisDevice.device_name, location: thisDevice.location },
             headcount,
+            weighted_headcount: weightedHeadcount,
             status,
+            density,
+            area_m2: settings.area_m2 === null ? null : Number(settings.area_m2),
+            status_basis: basis,
+            threshold_profile: profile,
             window_seconds: windowSeconds,
+            health: {
+                state: health,
+                last_report_at: healthRows[0].last_report_at,
+                report_interval_seconds: reportInterval(healthRows[0]),
+            },
             neighbors,
         })
 
@@ -525,19 +913,19 @@ router.get('/:uniq_url/latest', asyncHandler(async (req, res) => {
  *       404:
  *         description: Device not found.
  */
-router.get('/:uniq_url/history', asyncHandler(async (req, res) => {
+router.get('/:uniq_url/history', requireRole('viewer'), asyncHandler(async (req, res) => {
     const uniqUrl = req.params.uniq_url
     const limit = Math.min(200, Number(req.query.limit) || 50)
 
-    const [devices] = await pool.query('SELECT * FROM devices WHERE url LIKE ?', ['%' + uniqUrl])
+    const device = await findDeviceBySlug(uniqUrl)
 
-    if (devices.length === 0) {
+    if (!device) {
         return res.status(404).json({ error: 'Device not found' })
     }
 
-    const deviceId = devices[0].id
+    const deviceId = device.id
 
-    const [rows] = await pool.query('SELECT id, headcount, status, created_at FROM crowd_data WHERE device_id = ? ORDER BY created_at DESC LIMIT ?', [deviceId, limit])
+    const [rows] = await pool.query('SELECT id, headcount, randomized_count, status, raw_status, density, status_basis, threshold_profile_id, threshold_profile, created_at FROM crowd_data WHERE device_id = ? ORDER BY created_at DESC LIMIT ?', [deviceId, limit])
 
     res.json({ device_id: deviceId, rows })
 }))
@@ -2,7 +2,24 @@ const express = require('express')
 const router = express.Router()
 const asyncHandler = require('../utils/asyncHandler')
 const pool = require('../utils/db')
-const crypto = require('crypto')
+const { requireRole } = require('../utils/operatorAuth')
+const { ACTIVE_SQL, CREDENTIAL_TYPES, SERVICE_STATES, issueCredential, newSlug, ingestionUrl } = require('../utils/deviceAuth')
+const { resolveAlerts } = require('../utils/alerts')
+const { publish } = require('../utils/eventStream')
+const { RANDOMIZED_MAC_MODES } = require('../utils/macFilters')
+const { HEALTH_STATES, HEALTH_COLUMNS, reportInterval, healthState } = require('../utils/deviceHealth')
+const {
+    STATUS_LEVELS,
+    DENSITY_FIELDS,
+    mergeLevels,
+    parseSmoothing,
+    parseDensity,
+    parseArea,
+    parseSchedule,
+    parseTimeZone,
+    loadThresholds,
+    activeLevels,
+} = require('../utils/thresholds')
 
 /**
  * @swagger
@@ -10,6 +27,7 @@ const crypto = require('crypto')
  *   schemas:
  *     Threshold:
  *       type: object
+ *       description: Levels must be strictly increasing (safe < normal < warning < danger).
  *       properties:
  *         safe:
  *           type: integer
@@ -27,6 +45,112 @@ const crypto = require('crypto')
  *           type: integer
  *           description: The headcount threshold considered 'danger'.
  *           example: 120
+ *         hysteresis:
+ *           type: integer
+ *           minimum: 0
+ *           description: People the headcount must fall below a boundary before the status drops to a lower level.
+ *           example: 5
+ *         min_dwell_seconds:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 3600
+ *           description: How long a new status must hold before it counts. 0 applies changes at once.
+ *           example: 120
+ *         mode:
+ *           type: string
+ *           enum: [absolute, density]
+ *           default: absolute
+ *           description: >
+ *             `density` compares people per m² with the *_density levels. It needs the device's area_m2;
+ *             without one the absolute levels are used.
+ *         safe_density:
+ *           type: number
+ *           description: People per m² considered 'safe'. Density levels must be strictly increasing.
+ *           example: 1
+ *         normal_density:
+ *           type: number
+ *           example: 2
+ *         warning_density:
+ *           type: number
+ *           example: 3.5
+ *         danger_density:
+ *           type: number
+ *           example: 5
+ *     ThresholdProfile:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         device_id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           example: "Evening events"
+ *         safe:
+ *           type: integer
+ *           example: 20
+ *         normal:
+ *           type: integer
+ *           example: 35
+ *         warning:
+ *           type: integer
+ *           example: 50
+ *         danger:
+ *           type: integer
+ *           example: 70
+ *         safe_density:
+ *           type: number
+ *           nullable: true
+ *           description: >
+ *             Density levels used while the profile applies to a device in density mode. A profile
+ *             without them is compared by headcount.
+ *         normal_density:
+ *           type: number
+ *           nullable: true
+ *         warning_density:
+ *           type: number
+ *           nullable: true
+ *         danger_density:
+ *           type: number
+ *           nullable: true
+ *         schedule:
+ *           type: array
+ *           description: Weekly windows in which the profile applies. A window ending before it starts runs past midnight.
+ *           items:
+ *             type: object
+ *             required: [days, start, end]
+ *             properties:
+ *               days:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                   minimum: 0
+ *                   maximum: 6
+ *                 description: Weekdays, 0 = Sunday.
+ *                 example: [5, 6]
+ *               start:
+ *                 type: string
+ *                 example: "18:00"
+ *               end:
+ *                 type: string
+ *                 example: "23:30"
+ *         time_zone:
+ *           type: string
+ *           description: IANA time zone of the schedule. Defaults to THRESHOLD_TIME_ZONE.
+ *           example: "Asia/Seoul"
+ *         priority:
+ *           type: integer
+ *           description: When schedules overlap, the profile with the highest priority applies.
+ *           default: 0
+ *     ThresholdProfileRef:
+ *       type: object
+ *       nullable: true
+ *       description: The scheduled threshold profile that applied, or null for the device's own thresholds.
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
  *     Device:
  *       type: object
  *       properties:
@@ -42,6 +166,50 @@ const crypto = require('crypto')
  *         url:
  *           type: string
  *           description: The unique URL for the device to post data to.
+ *         area_m2:
+ *           type: number
+ *           nullable: true
+ *           description: The area the device covers, in m². Needed for density.
+ *         calibration_factor:
+ *           type: number
+ *           nullable: true
+ *           description: People per detected device, e.g. 1.3 where some visitors carry no phone. Null counts 1.
+ *         min_rssi:
+ *           type: integer
+ *           nullable: true
+ *           description: Sightings weaker than this signal strength (dBm) are not counted. Null counts everything.
+ *         randomized_mac_mode:
+ *           type: string
+ *           enum: [count, separate, exclude]
+ *           nullable: true
+ *           description: How randomized MACs are handled. Null uses the server default (RANDOMIZED_MAC_MODE).
+ *         report_interval_seconds:
+ *           type: integer
+ *           nullable: true
+ *           description: How often the device is expected to report. Null uses the server default (DEVICE_REPORT_INTERVAL_SECONDS).
+ *         last_report_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the device last sent a scan, batch or heartbeat.
+ *         health_state:
+ *           type: string
+ *           enum: [unknown, online, stale, offline]
+ *           description: State recorded by the health checker. See /devices/health for the state as of now.
+ *         service_state:
+ *           type: string
+ *           enum: [active, disabled, archived]
+ *           description: >
+ *             Only active devices accept data and appear in neighbor predictions and health checks.
+ *             Archived devices keep their history but are otherwise read-only.
+ *         service_changed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         zone_id:
+ *           type: integer
+ *           nullable: true
+ *           description: The zone the device belongs to. Set with PUT /zones/{id}/devices.
  *         created_at:
  *           type: string
  *           format: date-time
@@ -53,6 +221,102 @@ const crypto = require('crypto')
  *           properties:
  *             threshold:
  *               $ref: '#/components/schemas/Threshold'
+ *     DeviceCredential:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         credential_type:
+ *           type: string
+ *           enum: [api_key, hmac]
+ *         key_prefix:
+ *           type: string
+ *           description: The first characters of the key, to tell credentials apart.
+ *         active:
+ *           type: boolean
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         revoked_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         last_used_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     IssuedCredential:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         type:
+ *           type: string
+ *           enum: [api_key, hmac]
+ *         key:
+ *           type: string
+ *           description: The API key (send as a Bearer token) or the HMAC signing secret.
+ *           example: "dk_5f0c..."
+ *     Neighbor:
+ *       type: object
+ *       properties:
+ *         device_id:
+ *           type: integer
+ *           description: The ID of the neighbor device.
+ *         device_name:
+ *           type: string
+ *         location:
+ *           type: string
+ *         bidirectional:
+ *           type: boolean
+ *           description: Whether the neighbor also links back to this device.
+ *     NeighborUpdate:
+ *       type: object
+ *       properties:
+ *         neighbor_ids:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           example: [2, 3]
+ *         neighbor_id:
+ *           type: integer
+ *           description: Shorthand for a single neighbor (POST only).
+ *         symmetric:
+ *           type: boolean
+ *           default: false
+ *           description: Apply the change in both directions.
+ *     NeighborGraph:
+ *       type: object
+ *       properties:
+ *         nodes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *               device_name:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *               service_state:
+ *                 type: string
+ *                 enum: [active, disabled]
+ *         edges:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               source:
+ *                 type: integer
+ *               target:
+ *                 type: integer
+ *               bidirectional:
+ *                 type: boolean
  */
 
 /**
@@ -68,6 +332,12 @@ const crypto = require('crypto')
  *   get:
  *     summary: Retrieve a list of all devices
  *     tags: [Devices]
+ *     parameters:
+ *       - in: query
+ *         name: service_state
+ *         schema:
+ *           type: string
+ *         description: Comma-separated service states to list, e.g. "archived". Defaults to active and disabled devices.
  *     responses:
  *       200:
  *         description: A list of devices.
@@ -77,9 +347,18 @@ const crypto = require('crypto')
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Device'
+ *       400:
+ *         description: Unknown service state.
  */
-router.get('/', asyncHandler(async (req, res) => {
-    const [devices] = await pool.query('SELECT * FROM devices')
+router.get('/', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const states = req.query.service_state
+        ? String(req.query.service_state).split(',').map(s => s.trim()).filter(Boolean)
+        : ['active', 'disabled']
+    if (states.length === 0 || states.some(s => !SERVICE_STATES.includes(s))) {
+        return res.status(400).json({ error: `service_state must be a list of: ${SERVICE_STATES.join(', ')}` })
+    }
+
+    const [devices] = await pool.query('SELECT * FROM devices WHERE service_state IN (?)', [states])
     res.json(devices)
 }))
 
@@ -89,6 +368,8 @@ router.get('/', asyncHandler(async (req, res) => {
  *   post:
  *     summary: Register a new device
  *     tags: [Devices]
+ *     security:
+ *       - AdminToken: []
  *     requestBody:
  *       required: true
  *       content:
@@ -105,20 +386,37 @@ router.get('/', asyncHandler(async (req, res) => {
  *               location:
  *                 type: string
  *                 example: "1st Floor, West Wing"
+ *               area_m2:
+ *                 type: number
+ *                 example: 250
+ *               calibration_factor:
+ *                 type: number
+ *                 example: 1.2
  *               threshold:
  *                 $ref: '#/components/schemas/Threshold'
+ *               auth_type:
+ *                 type: string
+ *                 enum: [api_key, hmac]
+ *                 default: api_key
+ *                 description: The kind of ingestion credential to issue.
  *     responses:
  *       201:
- *         description: The newly created device.
+ *         description: The newly created device and its first ingestion credential. The key is only shown once.
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Device'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Device'
+ *                 - type: object
+ *                   properties:
+ *                     credential:
+ *                       $ref: '#/components/schemas/IssuedCredential'
  *       400:
- *         description: Missing required fields.
+ *         description: Missing required fields, or an invalid area or thresholds.
  */
-router.post('/', asyncHandler(async (req, res) => {
-    const { device_name, location, threshold } = req.body
+router.post('/', requireRole('admin'), asyncHandler(async (req, res) => {
+    const { device_name, location, threshold, auth_type = 'api_key' } = req.body
+    const { area_m2 = null, calibration_factor = null } = req.body
 
     if (!device_name || !location) {
       return res
@@ -126,28 +424,185 @@ router.post('/', asyncHandler(async (req, res) => {
         .json({ error: 'device_name과 location은 필수입니다.' })
     }
 
-    const url =
-      'http://example.com/crowd_data/' +
-      device_name +
-      '_' +
-      crypto.randomBytes(8).toString('hex')
+    if (!CREDENTIAL_TYPES.includes(auth_type)) {
+      return res
+        .status(400)
+        .json({ error: `auth_type must be one of ${CREDENTIAL_TYPES.join(', ')}` })
+    }
+
+    const { levels, error: levelsError } = mergeLevels(threshold)
+    const { smoothing, error: smoothingError } = parseSmoothing(threshold)
+    const { density, error: densityError } = parseDensity(threshold)
+    const { error: areaError } = parseArea({ area_m2, calibration_factor })
+    if (levelsError || smoothingError || densityError || areaError) {
+      return res.status(400).json({ error: levelsError || smoothingError || densityError || areaError })
+    }
+
+    const slug = newSlug(device_name)
+    const url = ingestionUrl(slug)
 
     const [result] = await pool.query(
-      'INSERT INTO devices (device_name, location, url) VALUES (?, ?, ?)',
-      [device_name, location, url]
+      'INSERT INTO devices (device_name, location, url, slug, area_m2, calibration_factor) VALUES (?, ?, ?, ?, ?, ?)',
+      [device_name, location, url, slug, area_m2, calibration_factor]
     )
     const deviceId = result.insertId
 
-    const t = threshold || {}
     await pool.query(
-      'INSERT INTO threshold (device_id, safe, normal, warning, danger) VALUES (?, ?, ?, ?, ?)',
-      [deviceId, t.safe || 30, t.normal || 50, t.warning || 80, t.danger || 120]
+      `INSERT INTO threshold (device_id, safe, normal, warning, danger, hysteresis, min_dwell_seconds,
+         mode, safe_density, normal_density, warning_density, danger_density)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        deviceId, levels.safe, levels.normal, levels.warning, levels.danger, smoothing.hysteresis, smoothing.min_dwell_seconds,
+        density.mode, ...DENSITY_FIELDS.map(f => density[f]),
+      ]
     )
 
-    res.status(201).json({ id: deviceId, device_name, location, url })
+    const credential = await issueCredential(pool, deviceId, auth_type)
+
+    res.status(201).json({ id: deviceId, device_name, location, url, area_m2, calibration_factor, credential })
   })
 )
 
+/**
+ * @swagger
+ * /devices/graph:
+ *   get:
+ *     summary: Get the whole device neighbor graph
+ *     tags: [Devices]
+ *     responses:
+ *       200:
+ *         description: All devices except archived ones as nodes, and all neighbor links as directed edges.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NeighborGraph'
+ */
+router.get('/graph', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const [nodes] = await pool.query("SELECT id, device_name, location, service_state FROM devices WHERE service_state <> 'archived' ORDER BY id")
+    const [links] = await pool.query('SELECT device_id, neighbor_device_id FROM device_neighbors ORDER BY device_id, neighbor_device_id')
+
+    const linkSet = new Set(links.map(l => `${l.device_id}:${l.neighbor_device_id}`))
+    const edges = links.map(l => ({
+        source: l.device_id,
+        target: l.neighbor_device_id,
+        bidirectional: linkSet.has(`${l.neighbor_device_id}:${l.device_id}`),
+    }))
+
+    res.json({ nodes, edges })
+}))
+
+/**
+ * @swagger
+ * /devices/health:
+ *   get:
+ *     summary: Show whether each device is reporting
+ *     description: >
+ *       A device is online while it reports on time, stale after DEVICE_STALE_AFTER_INTERVALS missed report
+ *       intervals and offline after DEVICE_OFFLINE_AFTER_INTERVALS, and unknown until its first report.
+ *       States are computed as of the request; a background check records changes and raises `device_offline` alerts.
+ *       Only devices in service are listed.
+ *     tags: [Devices]
+ *     parameters:
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *         description: "Comma separated list of states to include, e.g. `stale,offline`."
+ *     responses:
+ *       200:
+ *         description: Device states and a count per state.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 summary:
+ *                   type: object
+ *                   description: Number of devices per state, over all devices.
+ *                   properties:
+ *                     unknown:
+ *                       type: integer
+ *                     online:
+ *                       type: integer
+ *                     stale:
+ *                       type: integer
+ *                     offline:
+ *                       type: integer
+ *                 devices:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       device_id:
+ *                         type: integer
+ *                       device_name:
+ *                         type: string
+ *                       location:
+ *                         type: string
+ *                       state:
+ *                         type: string
+ *                         enum: [unknown, online, stale, offline]
+ *                       last_report_at:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       silent_seconds:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: Seconds since the last report.
+ *                       report_interval_seconds:
+ *                         type: integer
+ *                       readings_last_hour:
+ *                         type: integer
+ *                         description: Readings stored for the last hour, including ones uploaded late.
+ *                       expected_readings_last_hour:
+ *                         type: integer
+ *                       report_rate:
+ *                         type: number
+ *                         description: readings_last_hour / expected_readings_last_hour; below 1 means missed reports.
+ *       400:
+ *         description: Unknown state.
+ */
+router.get('/health', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const states = req.query.state ? String(req.query.state).split(',').map(s => s.trim()).filter(Boolean) : null
+    if (states && (states.length === 0 || states.some(s => !HEALTH_STATES.includes(s)))) {
+        return res.status(400).json({ error: `state must be a list of: ${HEALTH_STATES.join(', ')}` })
+    }
+
+    const [rows] = await pool.query(
+        `SELECT id, device_name, location, ${HEALTH_COLUMNS}, COALESCE(r.readings, 0) AS readings_last_hour
+         FROM devices
+         LEFT JOIN (
+           SELECT device_id, COUNT(*) AS readings FROM crowd_data
+           WHERE created_at >= DATE_SUB(NOW(), INTERVAL 1 HOUR) GROUP BY device_id
+         ) r ON r.device_id = devices.id
+         WHERE service_state = 'active'
+         ORDER BY id`
+    )
+
+    const summary = Object.fromEntries(HEALTH_STATES.map(s => [s, 0]))
+    const devices = rows.map(row => {
+        const interval = reportInterval(row)
+        const expected = Math.max(1, Math.floor(3600 / interval))
+        const state = healthState(row)
+        summary[state] += 1
+        return {
+            device_id: row.id,
+            device_name: row.device_name,
+            location: row.location,
+            state,
+            last_report_at: row.last_report_at,
+            silent_seconds: row.silent_seconds,
+            report_interval_seconds: interval,
+            readings_last_hour: Number(row.readings_last_hour),
+            expected_readings_last_hour: expected,
+            report_rate: Number((Number(row.readings_last_hour) / expected).toFixed(2)),
+        }
+    })
+
+    res.json({ summary, devices: states ? devices.filter(d => states.includes(d.state)) : devices })
+}))
+
 /**
  * @swagger
  * /devices/{id}:
@@ -171,7 +626,7 @@ router.post('/', asyncHandler(async (req, res) => {
  *       404:
  *         description: Device not found.
  */
-router.get('/:id', asyncHandler(async (req, res) => {
+router.get('/:id', requireRole('viewer'), asyncHandler(async (req, res) => {
     const deviceId = req.params.id
     const [devices] = await pool.query('SELECT * FROM devices WHERE id = ?', [deviceId])
 
@@ -189,12 +644,27 @@ router.get('/:id', asyncHandler(async (req, res) => {
 
 }))
 
+// Resolves a device's ongoing alerts when it leaves service, inside the caller's transaction.
+// Returns the alert events to publish once it commits.
+const resolveDeviceAlerts = async (conn, deviceId) => {
+    const [open] = await conn.query(
+        "SELECT DISTINCT alert_type FROM alerts WHERE device_id = ? AND state <> 'resolved'",
+        [deviceId]
+    )
+    for (const { alert_type } of open) {
+        await resolveAlerts(conn, deviceId, alert_type)
+    }
+    return open.map(({ alert_type }) => ({ device_id: deviceId, alert_type, state: 'resolved' }))
+}
+
 /**
  * @swagger
  * /devices/{id}:
  *   put:
  *     summary: Update a device's information and/or thresholds
  *     tags: [Devices]
+ *     security:
+ *       - OperatorToken: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -214,6 +684,41 @@ router.get('/:id', asyncHandler(async (req, res) => {
  *               location:
  *                 type: string
  *                 example: "1st Floor, Main Lobby"
+ *               min_rssi:
+ *                 type: integer
+ *                 nullable: true
+ *                 minimum: -127
+ *                 maximum: 0
+ *                 description: Signal cutoff in dBm, e.g. -75 to ignore a neighboring room. Null removes the cutoff.
+ *                 example: -75
+ *               randomized_mac_mode:
+ *                 type: string
+ *                 enum: [count, separate, exclude]
+ *                 nullable: true
+ *                 description: >
+ *                   `count` treats randomized MACs like any other, `separate` keeps them out of the headcount
+ *                   but records how many there were, `exclude` drops them. Null uses the server default.
+ *               report_interval_seconds:
+ *                 type: integer
+ *                 nullable: true
+ *                 minimum: 5
+ *                 maximum: 86400
+ *                 description: How often the device reports. It turns stale and offline after several missed intervals. Null uses the server default.
+ *                 example: 60
+ *               area_m2:
+ *                 type: number
+ *                 nullable: true
+ *                 description: The area the device covers, in m². Null removes it, which turns density off.
+ *               calibration_factor:
+ *                 type: number
+ *                 nullable: true
+ *                 description: People per detected device. Null counts 1.
+ *               service_state:
+ *                 type: string
+ *                 enum: [active, disabled]
+ *                 description: >
+ *                   `disabled` takes the device out of service: its data is refused, it is left out of neighbor
+ *                   predictions and health checks, and its ongoing alerts are resolved. `active` puts it back.
  *               threshold:
  *                 $ref: '#/components/schemas/Threshold'
  *     responses:
@@ -223,12 +728,16 @@ router.get('/:id', asyncHandler(async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/DeviceWithThreshold'
+ *       400:
+ *         description: Invalid min_rssi, randomized_mac_mode, report_interval_seconds, area, service_state or thresholds.
  *       404:
  *         description: Device not found.
+ *       409:
+ *         description: The device is archived.
  */
-router.put('/:id', asyncHandler(async (req, res) => {
+router.put('/:id', requireRole('operator'), asyncHandler(async (req, res) => {
     const deviceId = req.params.id
-    const { device_name, location, threshold } = req.body
+    const { device_name, location, threshold, min_rssi, randomized_mac_mode, report_interval_seconds, service_state } = req.body
 
     const [devices] = await pool.query(
         'SELECT * FROM devices WHERE id = ?',
@@ -237,53 +746,122 @@ router.put('/:id', asyncHandler(async (req, res) => {
     if (devices.length === 0) {
         return res.status(404).json({ error: 'Device not found' })
     }
+    if (devices[0].service_state === 'archived') {
+        return res.status(409).json({ error: 'Archived devices cannot be changed' })
+    }
 
-    if (device_name || location) {
-        const newName = device_name || devices[0].device_name
-        const newLocation = location || devices[0].location
-        await pool.query(
-            'UPDATE devices SET device_name = ?, location = ? WHERE id = ?',
-            [newName, newLocation, deviceId]
-        )
+    if (service_state !== undefined && service_state !== 'active' && service_state !== 'disabled') {
+        return res.status(400).json({ error: 'service_state must be active or disabled; archive a device with DELETE' })
+    }
+    if (min_rssi !== undefined && min_rssi !== null && !(Number.isInteger(min_rssi) && min_rssi >= -127 && min_rssi <= 0)) {
+        return res.status(400).json({ error: 'min_rssi must be null or an integer dBm between -127 and 0' })
+    }
+    if (randomized_mac_mode !== undefined && randomized_mac_mode !== null && !RANDOMIZED_MAC_MODES.includes(randomized_mac_mode)) {
+        return res.status(400).json({ error: `randomized_mac_mode must be null or one of: ${RANDOMIZED_MAC_MODES.join(', ')}` })
+    }
+    if (report_interval_seconds !== undefined && report_interval_seconds !== null
+        && !(Number.isInteger(report_interval_seconds) && report_interval_seconds >= 5 && report_interval_seconds <= 86400)) {
+        return res.status(400).json({ error: 'report_interval_seconds must be null or an integer between 5 and 86400' })
+    }
+    const { area, error: areaError } = parseArea(req.body)
+    if (areaError) {
+        return res.status(400).json({ error: areaError })
     }
 
+    // thresholds are validated as a whole, with the given fields merged over the stored ones
     const hasThresholdFields =
         threshold &&
-        ['safe', 'normal', 'warning', 'danger'].some(
+        [...STATUS_LEVELS, 'hysteresis', 'min_dwell_seconds', 'mode', ...DENSITY_FIELDS].some(
             (k) => Object.prototype.hasOwnProperty.call(threshold, k) && threshold[k] !== undefined
         )
-
+    let thresholdUpdate = null
     if (hasThresholdFields) {
         const [thRows] = await pool.query(
             'SELECT * FROM threshold WHERE device_id = ?',
             [deviceId]
         )
         const existing = thRows[0] || {}
+        const { levels, error: levelsError } = mergeLevels(threshold, existing)
+        const { smoothing, error: smoothingError } = parseSmoothing(threshold, existing)
+        const { density, error: densityError } = parseDensity(threshold, existing)
+        if (levelsError || smoothingError || densityError) {
+            return res.status(400).json({ error: levelsError || smoothingError || densityError })
+        }
+        thresholdUpdate = { exists: thRows.length > 0, ...levels, ...smoothing, ...density }
+    }
 
-        const safe = threshold.safe ?? existing.safe ?? 30
-        const normal = threshold.normal ?? existing.normal ?? 50
-        const warning = threshold.warning ?? existing.warning ?? 80
-        const danger = threshold.danger ?? existing.danger ?? 120
-
-        if (thRows.length === 0) {
-            await pool.query(
-                'INSERT INTO threshold (device_id, safe, normal, warning, danger) VALUES (?, ?, ?, ?, ?)',
-                [deviceId, safe, normal, warning, danger]
+    // all of the changes or none
+    const conn = await pool.getConnection()
+    let alertEvents = []
+    try {
+        await conn.beginTransaction()
+        if (min_rssi !== undefined) {
+            await conn.query('UPDATE devices SET min_rssi = ? WHERE id = ?', [min_rssi, deviceId])
+        }
+        if (randomized_mac_mode !== undefined) {
+            await conn.query('UPDATE devices SET randomized_mac_mode = ? WHERE id = ?', [randomized_mac_mode, deviceId])
+        }
+        if (report_interval_seconds !== undefined) {
+            await conn.query('UPDATE devices SET report_interval_seconds = ? WHERE id = ?', [report_interval_seconds, deviceId])
+        }
+        for (const [column, value] of Object.entries(area)) {
+            await conn.query(`UPDATE devices SET ${column} = ? WHERE id = ?`, [value, deviceId])
+        }
+        if (service_state !== undefined && service_state !== devices[0].service_state) {
+            await conn.query(
+                'UPDATE devices SET service_state = ?, service_changed_at = NOW() WHERE id = ?',
+                [service_state, deviceId]
             )
-        } else {
-            await pool.query(
-                'UPDATE threshold SET safe = ?, normal = ?, warning = ?, danger = ? WHERE device_id = ?',
-                [safe, normal, warning, danger, deviceId]
+            if (service_state === 'disabled') {
+                alertEvents = await resolveDeviceAlerts(conn, deviceId)
+            }
+        }
+
+        if (device_name || location) {
+            const newName = device_name || devices[0].device_name
+            const newLocation = location || devices[0].location
+            await conn.query(
+                'UPDATE devices SET device_name = ?, location = ? WHERE id = ?',
+                [newName, newLocation, deviceId]
             )
         }
+
+        if (thresholdUpdate) {
+            const { exists, safe, normal, warning, danger, hysteresis, min_dwell_seconds, mode } = thresholdUpdate
+            const densityLevels = DENSITY_FIELDS.map(f => thresholdUpdate[f])
+            if (!exists) {
+                await conn.query(
+                    `INSERT INTO threshold (device_id, safe, normal, warning, danger, hysteresis, min_dwell_seconds,
+                       mode, safe_density, normal_density, warning_density, danger_density)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [deviceId, safe, normal, warning, danger, hysteresis, min_dwell_seconds, mode, ...densityLevels]
+                )
+            } else {
+                await conn.query(
+                    `UPDATE threshold SET safe = ?, normal = ?, warning = ?, danger = ?, hysteresis = ?, min_dwell_seconds = ?,
+                       mode = ?, safe_density = ?, normal_density = ?, warning_density = ?, danger_density = ?
+                     WHERE device_id = ?`,
+                    [safe, normal, warning, danger, hysteresis, min_dwell_seconds, mode, ...densityLevels, deviceId]
+                )
+            }
+        }
+        await conn.commit()
+    } catch (err) {
+        await conn.rollback()
+        throw err
+    } finally {
+        conn.release()
     }
+    alertEvents.forEach(e => publish('alert', e))
 
     const [updated] = await pool.query(
         'SELECT * FROM devices WHERE id = ?',
         [deviceId]
     )
     const [updatedThreshold] = await pool.query(
-        'SELECT safe, normal, warning, danger FROM threshold WHERE device_id = ?',
+        `SELECT safe, normal, warning, danger, hysteresis, min_dwell_seconds,
+           mode, safe_density, normal_density, warning_density, danger_density
+         FROM threshold WHERE device_id = ?`,
         [deviceId]
     )
 
@@ -293,4 +871,888 @@ router.put('/:id', asyncHandler(async (req, res) => {
     })
 }))
 
+/**
+ * @swagger
+ * /devices/{id}:
+ *   delete:
+ *     summary: Delete or archive a device
+ *     description: >
+ *       Deleting removes the device with all of its readings, alerts and settings. With `archive=true` the
+ *       device and its history are kept: its credentials are revoked, it leaves its zone and neighbor links,
+ *       its ongoing alerts are resolved, and it refuses data from then on. Deleting an archived device
+ *       removes it for good.
+ *     tags: [Devices]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The device ID.
+ *       - in: query
+ *         name: archive
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Keep the device's history instead of deleting it.
+ *     responses:
+ *       200:
+ *         description: The archived device.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Device'
+ *       204:
+ *         description: Device deleted.
+ *       404:
+ *         description: Device not found.
+ */
+router.delete('/:id', requireRole('admin'), asyncHandler(async (req, res) => {
+    const deviceId = parseId(req.params.id)
+    const [devices] = await pool.query('SELECT id FROM devices WHERE id = ?', [deviceId])
+    if (devices.length === 0) {
+        return res.status(404).json({ error: 'Device not found' })
+    }
+
+    if (!parseBool(req.query.archive)) {
+        await pool.query('DELETE FROM devices WHERE id = ?', [deviceId])
+        return res.status(204).send()
+    }
+
+    const conn = await pool.getConnection()
+    let alertEvents
+    try {
+        await conn.beginTransaction()
+        await conn.query(
+            `UPDATE devices SET service_state = 'archived', service_changed_at = NOW(), zone_id = NULL
+             WHERE id = ? AND service_state <> 'archived'`,
+            [deviceId]
+        )
+        await conn.query(`UPDATE device_credentials SET revoked_at = NOW() WHERE device_id = ? AND ${ACTIVE_SQL}`, [deviceId])
+        await conn.query('DELETE FROM device_neighbors WHERE device_id = ? OR neighbor_device_id = ?', [deviceId, deviceId])
+        alertEvents = await resolveDeviceAlerts(conn, deviceId)
+        await conn.commit()
+    } catch (err) {
+        await conn.rollback()
+        throw err
+    } finally {
+        conn.release()
+    }
+    alertEvents.forEach(e => publish('alert', e))
+
+    const [archived] = await pool.query('SELECT * FROM devices WHERE id = ?', [deviceId])
+    res.json(archived[0])
+}))
+
+// neighbor graph helpers
+const parseId = (v) => {
+    const n = Number(v)
+    return Number.isInteger(n) && n > 0 ? n : null
+}
+
+const parseBool = (v) => v === true || v === 'true' || v === '1' || v === 1
+
+// returns ids from the list that have no matching row in devices
+const findMissingDevices = async (conn, ids) => {
+    if (ids.length === 0) return []
+    const [rows] = await conn.query(`SELECT id FROM devices WHERE id IN (${ids.map(()=>'?').join(',')})`, ids)
+    const found = new Set(rows.map(r => r.id))
+    return ids.filter(id => !found.has(id))
+}
+
+const insertLinks = async (conn, pairs) => {
+    if (pairs.length === 0) return
+    await conn.query(
+        `INSERT IGNORE INTO device_neighbors (device_id, neighbor_device_id) VALUES ${pairs.map(()=>'(?, ?)').join(', ')}`,
+        pairs.flat()
+    )
+}
+
+const listNeighbors = async (conn, deviceId) => {
+    const [rows] = await conn.query(
+        `SELECT d.id AS device_id, d.device_name, d.location,
+                EXISTS (SELECT 1 FROM device_neighbors r WHERE r.device_id = n.neighbor_device_id AND r.neighbor_device_id = n.device_id) AS bidirectional
+         FROM device_neighbors n
+         JOIN devices d ON d.id = n.neighbor_device_id
+         WHERE n.device_id = ?
+         ORDER BY d.id`,
+        [deviceId]
+    )
+    return rows.map(r => ({ ...r, bidirectional: Boolean(r.bidirectional) }))
+}
+
+// validates the path device and a list of neighbor ids; sends the error response and returns null on failure
+const resolveNeighborRequest = async (req, res, rawIds) => {
+    const deviceId = parseId(req.params.id)
+    if (!deviceId) {
+        res.status(400).json({ error: 'Invalid device id' })
+        return null
+    }
+
+    const [devices] = await pool.query('SELECT id FROM devices WHERE id = ?', [deviceId])
+    if (devices.length === 0) {
+        res.status(404).json({ error: 'Device not found' })
+        return null
+    }
+
+    if (!Array.isArray(rawIds)) {
+        res.status(400).json({ error: 'neighbor_ids must be an array of device IDs' })
+        return null
+    }
+
+    const neighborIds = [...new Set(rawIds.map(parseId))]
+    if (neighborIds.includes(null)) {
+        res.status(400).json({ error: 'neighbor_ids must contain positive integer device IDs' })
+        return null
+    }
+    if (neighborIds.includes(deviceId)) {
+        res.status(400).json({ error: 'A device cannot be its own neighbor' })
+        return null
+    }
+
+    const missing = await findMissingDevices(pool, neighborIds)
+    if (missing.length > 0) {
+        res.status(400).json({ error: 'Unknown device IDs', device_ids: missing })
+        return null
+    }
+
+    return { deviceId, neighborIds }
+}
+
+/**
+ * @swagger
+ * /devices/{id}/neighbors:
+ *   get:
+ *     summary: List the neighbors of a device
+ *     tags: [Devices]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The device ID.
+ *     responses:
+ *       200:
+ *         description: The neighbor devices.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Neighbor'
+ *       404:
+ *         description: Device not found.
+ */
+router.get('/:id/neighbors', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const deviceId = parseId(req.params.id)
+    if (!deviceId) {
+        return res.status(400).json({ error: 'Invalid device id' })
+    }
+
+    const [devices] = await pool.query('SELECT id FROM devices WHERE id = ?', [deviceId])
+    if (devices.length === 0) {
+        return res.status(404).json({ error: 'Device not found' })
+    }
+
+    res.json(await listNeighbors(pool, deviceId))
+}))
+
+/**
+ * @swagger
+ * /devices/{id}/neighbors:
+ *   post:
+ *     summary: Add one or more neighbors to a device
+ *     description: Existing links are kept. With `symmetric` the reverse links are added as well.
+ *     tags: [Devices]
+ *     security:
+ *       - OperatorToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The device ID.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NeighborUpdate'
+ *     responses:
+ *       201:
+ *         description: The neighbors of the device after the update.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Neighbor'
+ *       400:
+ *         description: Invalid neighbor list, self-link or unknown device IDs.
+ *       404:
+ *         description: Device not found.
+ */
+router.post('/:id/neighbors', requireRole('operator'), asyncHandler(async (req, res) => {
+    const { neighbor_id, neighbor_ids, symmetric } = req.body || {}
+    const rawIds = neighbor_ids ?? (neighbor_id !== undefined ? [neighbor_id] : undefined)
+
+    const resolved = await resolveNeighborRequest(req, res, rawIds)
+    if (!resolved) return
+    const { deviceId, neighborIds } = resolved
+
+    if (neighborIds.length === 0) {
+        return res.status(400).json({ error: 'At least one neighbor ID is required' })
+    }
+
+    const pairs = neighborIds.map(n => [deviceId, n])
+    if (parseBool(symmetric)) {
+        pairs.push(...neighborIds.map(n => [n, deviceId]))
+    }
+
+    const conn = await pool.getConnection()
+    try {
+        await conn.beginTransaction()
+        await insertLinks(conn, pairs)
+        await conn.commit()
+    } catch (err) {
+        await conn.rollback()
+        throw err
+    } finally {
+        conn.release()
+    }
+
+    res.status(201).json(await listNeighbors(pool, deviceId))
+}))
+
+/**
+ * @swagger
+ * /devices/{id}/neighbors:
+ *   put:
+ *     summary: Replace the neighbor list of a device
+ *     description: >
+ *       Links not in `neighbor_ids` are removed. With `symmetric` the reverse links of removed
+ *       neighbors are removed and the reverse links of the new list are added.
+ *     tags: [Devices]
+ *     security:
+ *       - OperatorToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The device ID.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NeighborUpdate'
+ *     responses:
+ *       200:
+ *         description: The neighbors of the device after the update.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Neighbor'
+ *       400:
+ *         description: Invalid neighbor list, self-link or unknown device IDs.
+ *       404:
+ *         description: Device not found.
+ */
+router.put('/:id/neighbors', requireRole('operator'), asyncHandler(async (req, res) => {
+    const { neighbor_ids, symmetric } = req.body || {}
+
+    const resolved = await resolveNeighborRequest(req, res, neighbor_ids)
+    if (!resolved) return
+    const { deviceId, neighborIds } = resolved
+    const isSymmetric = parseBool(symmetric)
+
+    const conn = await pool.getConnection()
+    try {
+        await conn.beginTransaction()
+
+        const [current] = await conn.query('SELECT neighbor_device_id FROM device_neighbors WHERE device_id = ? FOR UPDATE', [deviceId])
+        const keep = new Set(neighborIds)
+        const removed = current.map(r => r.neighbor_device_id).filter(id => !keep.has(id))
+
+        if (removed.length > 0) {
+            const placeholders = removed.map(()=>'?').join(',')
+            await conn.query(`DELETE FROM device_neighbors WHERE device_id = ? AND neighbor_device_id IN (${placeholders})`, [deviceId, ...removed])
+            if (isSymmetric) {
+                await conn.query(`DELETE FROM device_neighbors WHERE neighbor_device_id = ? AND device_id IN (${placeholders})`, [deviceId, ...removed])
+            }
+        }
+
+        const pairs = neighborIds.map(n => [deviceId, n])
+        if (isSymmetric) {
+            pairs.push(...neighborIds.map(n => [n, deviceId]))
+        }
+        await insertLinks(conn, pairs)
+
+        await conn.commit()
+    } catch (err) {
+        await conn.rollback()
+        throw err
+    } finally {
+        conn.release()
+    }
+
+    res.json(await listNeighbors(pool, deviceId))
+}))
+
+/**
+ * @swagger
+ * /devices/{id}/neighbors/{neighborId}:
+ *   delete:
+ *     summary: Remove a neighbor from a device
+ *     tags: [Devices]
+ *     security:
+ *       - OperatorToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The device ID.
+ *       - in: path
+ *         name: neighborId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The neighbor device ID to remove.
+ *       - in: query
+ *         name: symmetric
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also remove the reverse link.
+ *     responses:
+ *       204:
+ *         description: Neighbor removed successfully.
+ *       404:
+ *         description: Neighbor link not found.
+ */
+router.delete('/:id/neighbors/:neighborId', requireRole('operator'), asyncHandler(async (req, res) => {
+    const deviceId = parseId(req.params.id)
+    const neighborId = parseId(req.params.neighborId)
+    if (!deviceId || !neighborId) {
+        return res.status(400).json({ error: 'Invalid device id' })
+    }
+
+    const [result] = await pool.query(
+        'DELETE FROM device_neighbors WHERE device_id = ? AND neighbor_device_id = ?',
+        [deviceId, neighborId]
+    )
+    if (result.affectedRows === 0) {
+        return res.status(404).json({ error: 'Neighbor link not found' })
+    }
+
+    if (parseBool(req.query.symmetric)) {
+        await pool.query(
+            'DELETE FROM device_neighbors WHERE device_id = ? AND neighbor_device_id = ?',
+            [neighborId, deviceId]
+        )
+    }
+
+    res.status(204).send()
+}))
+
+/**
+ * @swagger
+ * /devices/{id}/credentials:
+ *   get:
+ *     summary: List the ingestion credentials of a device
+ *     description: Keys and secrets are never returned here, only their prefixes.
+ *     tags: [Devices]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The device ID.
+ *     responses:
+ *       200:
+ *         description: The credentials, newest first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DeviceCredential'
+ *       404:
+ *         description: Device not found.
+ */
+router.get('/:id/credentials', requireRole('admin'), asyncHandler(async (req, res) => {
+    const deviceId = req.params.id
+    const [devices] = await pool.query('SELECT id FROM devices WHERE id = ?', [deviceId])
+    if (devices.length === 0) {
+        return res.status(404).json({ error: 'Device not found' })
+    }
+
+    const [rows] = await pool.query(
+        `SELECT id, credential_type, key_prefix, ${ACTIVE_SQL} AS active, expires_at, revoked_at, last_used_at, created_at
+         FROM device_credentials WHERE device_id = ? ORDER BY id DESC`,
+        [deviceId]
+    )
+    res.json(rows.map(r => ({ ...r, active: Boolean(r.active) })))
+}))
+
+/**
+ * @swagger
+ * /devices/{id}/credentials/rotate:
+ *   post:
+ *     summary: Issue a new ingestion credential and phase out the current ones
+ *     tags: [Devices]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The device ID.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               auth_type:
+ *                 type: string
+ *                 enum: [api_key, hmac]
+ *                 default: api_key
+ *               grace_seconds:
+ *                 type: integer
+ *                 default: 3600
+ *                 description: How long the current credentials keep working. 0 revokes them immediately.
+ *     responses:
+ *       201:
+ *         description: The new credential. The key is only shown once.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/IssuedCredential'
+ *       400:
+ *         description: Invalid auth_type or grace period.
+ *       404:
+ *         description: Device not found.
+ */
+router.post('/:id/credentials/rotate', requireRole('admin'), asyncHandler(async (req, res) => {
+    const deviceId = req.params.id
+    const { auth_type = 'api_key' } = req.body || {}
+    const graceSeconds = req.body && req.body.grace_seconds !== undefined ? Number(req.body.grace_seconds) : 3600
+
+    if (!CREDENTIAL_TYPES.includes(auth_type)) {
+        return res.status(400).json({ error: `auth_type must be one of ${CREDENTIAL_TYPES.join(', ')}` })
+    }
+    if (!Number.isInteger(graceSeconds) || graceSeconds < 0 || graceSeconds > 30 * 86400) {
+        return res.status(400).json({ error: 'grace_seconds must be an integer between 0 and 2592000' })
+    }
+
+    const [devices] = await pool.query('SELECT id FROM devices WHERE id = ?', [deviceId])
+    if (devices.length === 0) {
+        return res.status(404).json({ error: 'Device not found' })
+    }
+
+    const conn = await pool.getConnection()
+    let credential
+    try {
+        await conn.beginTransaction()
+        if (graceSeconds === 0) {
+            await conn.query(`UPDATE device_credentials SET revoked_at = NOW() WHERE device_id = ? AND ${ACTIVE_SQL}`, [deviceId])
+        } else {
+            await conn.query(
+                `UPDATE device_credentials SET expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+                 WHERE device_id = ? AND ${ACTIVE_SQL} AND (expires_at IS NULL OR expires_at > DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+                [graceSeconds, deviceId, graceSeconds]
+            )
+        }
+        credential = await issueCredential(conn, deviceId, auth_type)
+        await conn.commit()
+    } catch (err) {
+        await conn.rollback()
+        throw err
+    } finally {
+        conn.release()
+    }
+
+    res.status(201).json(credential)
+}))
+
+/**
+ * @swagger
+ * /devices/{id}/credentials/{credentialId}:
+ *   delete:
+ *     summary: Revoke an ingestion credential immediately
+ *     tags: [Devices]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The device ID.
+ *       - in: path
+ *         name: credentialId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The credential ID.
+ *     responses:
+ *       204:
+ *         description: Credential revoked.
+ *       404:
+ *         description: Credential not found or already revoked.
+ */
+router.delete('/:id/credentials/:credentialId', requireRole('admin'), asyncHandler(async (req, res) => {
+    const { id, credentialId } = req.params
+    const [result] = await pool.query(
+        'UPDATE device_credentials SET revoked_at = NOW() WHERE id = ? AND device_id = ? AND revoked_at IS NULL',
+        [credentialId, id]
+    )
+
+    if (result.affectedRows === 0) {
+        return res.status(404).json({ error: 'Credential not found' })
+    }
+
+    res.status(204).send()
+}))
+
+/**
+ * @swagger
+ * /devices/{id}/regenerate-url:
+ *   post:
+ *     summary: Give a device a new ingestion URL
+ *     description: >
+ *       The old URL (and MQTT topic) stops working at once, so use this when it has leaked and reconfigure
+ *       the device with the new one. Also moves devices created under an older PUBLIC_BASE_URL to the current one.
+ *     tags: [Devices]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The device ID.
+ *     responses:
+ *       200:
+ *         description: The device with its new URL.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Device'
+ *       404:
+ *         description: Device not found.
+ *       409:
+ *         description: The device is archived.
+ */
+router.post('/:id/regenerate-url', requireRole('admin'), asyncHandler(async (req, res) => {
+    const deviceId = parseId(req.params.id)
+    const [devices] = await pool.query('SELECT * FROM devices WHERE id = ?', [deviceId])
+    if (devices.length === 0) {
+        return res.status(404).json({ error: 'Device not found' })
+    }
+    if (devices[0].service_state === 'archived') {
+        return res.status(409).json({ error: 'Archived devices cannot be changed' })
+    }
+
+    const slug = newSlug(devices[0].device_name)
+    const url = ingestionUrl(slug)
+    await pool.query('UPDATE devices SET slug = ?, url = ? WHERE id = ?', [slug, url, deviceId])
+    res.json({ ...devices[0], slug, url })
+}))
+
+// Validates a threshold profile, with the given fields merged over `base` for updates.
+// Returns { profile } or { error }.
+const parseProfile = (body, base = {}) => {
+    const name = body.name ?? base.name
+    if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+        return { error: 'name must be a non-empty string of at most 100 characters' }
+    }
+    const { levels, error: levelsError } = mergeLevels(body, base)
+    if (levelsError) return { error: levelsError }
+    // density levels are optional; without them the profile is compared by headcount
+    let densityLevels = Object.fromEntries(DENSITY_FIELDS.map(f => [f, null]))
+    if (DENSITY_FIELDS.some(f => body[f] !== undefined) || base.danger_density != null) {
+        const { density, error: densityError } = parseDensity({ ...body, mode: undefined }, base)
+        if (densityError) return { error: densityError }
+        densityLevels = Object.fromEntries(DENSITY_FIELDS.map(f => [f, density[f]]))
+    }
+    const { schedule, error: scheduleError } = parseSchedule(body.schedule ?? base.schedule)
+    if (scheduleError) return { error: scheduleError }
+    const { timeZone, error: tzError } = parseTimeZone(body.time_zone ?? base.time_zone)
+    if (tzError) return { error: tzError }
+    const priority = body.priority ?? base.priority ?? 0
+    if (!Number.isInteger(priority)) return { error: 'priority must be an integer' }
+    return { profile: { name: name.trim(), ...levels, ...densityLevels, schedule, time_zone: timeZone, priority } }
+}
+
+const profileRow = (row) => ({ ...row, schedule: typeof row.schedule === 'string' ? JSON.parse(row.schedule) : row.schedule })
+
+/**
+ * @swagger
+ * /devices/{id}/threshold_profiles:
+ *   get:
+ *     summary: List a device's scheduled threshold profiles
+ *     tags: [Devices]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The device ID.
+ *     responses:
+ *       200:
+ *         description: The profiles by priority, and the one in effect now.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 active:
+ *                   $ref: '#/components/schemas/ThresholdProfileRef'
+ *                 profiles:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ThresholdProfile'
+ *       404:
+ *         description: Device not found.
+ */
+router.get('/:id/threshold_profiles', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const deviceId = parseId(req.params.id)
+    const [devices] = await pool.query('SELECT id FROM devices WHERE id = ?', [deviceId])
+    if (devices.length === 0) {
+        return res.status(404).json({ error: 'Device not found' })
+    }
+
+    const settings = await loadThresholds(pool, deviceId)
+    if (!settings) {
+        return res.json({ active: null, profiles: [] })
+    }
+    res.json({ active: activeLevels(settings, new Date()).profile, profiles: settings.profiles })
+}))
+
+/**
+ * @swagger
+ * /devices/{id}/threshold_profiles:
+ *   post:
+ *     summary: Add a scheduled threshold profile
+ *     description: >
+ *       While one of its schedule windows is open, the profile's levels replace the device's own.
+ *       Hysteresis and dwell time always come from the device's thresholds.
+ *     tags: [Devices]
+ *     security:
+ *       - OperatorToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The device ID.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, schedule]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               safe:
+ *                 type: integer
+ *               normal:
+ *                 type: integer
+ *               warning:
+ *                 type: integer
+ *               danger:
+ *                 type: integer
+ *               safe_density:
+ *                 type: number
+ *               normal_density:
+ *                 type: number
+ *               warning_density:
+ *                 type: number
+ *               danger_density:
+ *                 type: number
+ *               schedule:
+ *                 type: array
+ *                 description: "Weekly windows as in ThresholdProfile, e.g. [{\"days\": [5, 6], \"start\": \"18:00\", \"end\": \"23:30\"}]"
+ *                 items:
+ *                   type: object
+ *               time_zone:
+ *                 type: string
+ *               priority:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: The new profile. Levels not given are taken from the device's thresholds.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ThresholdProfile'
+ *       400:
+ *         description: Invalid levels, schedule, time zone or priority.
+ *       404:
+ *         description: Device not found.
+ *       409:
+ *         description: The device already has a profile with this name.
+ */
+router.post('/:id/threshold_profiles', requireRole('operator'), asyncHandler(async (req, res) => {
+    const deviceId = parseId(req.params.id)
+    const [devices] = await pool.query('SELECT id FROM devices WHERE id = ?', [deviceId])
+    if (devices.length === 0) {
+        return res.status(404).json({ error: 'Device not found' })
+    }
+
+    const [thRows] = await pool.query('SELECT safe, normal, warning, danger FROM threshold WHERE device_id = ?', [deviceId])
+    const { profile, error } = parseProfile(req.body || {}, thRows[0])
+    if (error) {
+        return res.status(400).json({ error })
+    }
+
+    try {
+        const [result] = await pool.query(
+            `INSERT INTO threshold_profiles (device_id, name, safe, normal, warning, danger,
+               safe_density, normal_density, warning_density, danger_density, schedule, time_zone, priority)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [deviceId, profile.name, profile.safe, profile.normal, profile.warning, profile.danger,
+                ...DENSITY_FIELDS.map(f => profile[f]), JSON.stringify(profile.schedule), profile.time_zone, profile.priority]
+        )
+        res.status(201).json({ id: result.insertId, device_id: deviceId, ...profile })
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'This device already has a threshold profile with this name' })
+        }
+        throw error
+    }
+}))
+
+/**
+ * @swagger
+ * /devices/{id}/threshold_profiles/{profileId}:
+ *   put:
+ *     summary: Update a scheduled threshold profile
+ *     tags: [Devices]
+ *     security:
+ *       - OperatorToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The device ID.
+ *       - in: path
+ *         name: profileId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The profile ID.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ThresholdProfile'
+ *     responses:
+ *       200:
+ *         description: The updated profile. Fields not given keep their values.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ThresholdProfile'
+ *       400:
+ *         description: Invalid levels, schedule, time zone or priority.
+ *       404:
+ *         description: Profile not found.
+ *       409:
+ *         description: The device already has a profile with this name.
+ */
+router.put('/:id/threshold_profiles/:profileId', requireRole('operator'), asyncHandler(async (req, res) => {
+    const deviceId = parseId(req.params.id)
+    const profileId = parseId(req.params.profileId)
+    const [rows] = await pool.query('SELECT * FROM threshold_profiles WHERE id = ? AND device_id = ?', [profileId, deviceId])
+    if (rows.length === 0) {
+        return res.status(404).json({ error: 'Threshold profile not found' })
+    }
+
+    const { profile, error } = parseProfile(req.body || {}, profileRow(rows[0]))
+    if (error) {
+        return res.status(400).json({ error })
+    }
+
+    try {
+        await pool.query(
+            `UPDATE threshold_profiles SET name = ?, safe = ?, normal = ?, warning = ?, danger = ?,
+               safe_density = ?, normal_density = ?, warning_density = ?, danger_density = ?, schedule = ?, time_zone = ?, priority = ?
+             WHERE id = ?`,
+            [profile.name, profile.safe, profile.normal, profile.warning, profile.danger,
+                ...DENSITY_FIELDS.map(f => profile[f]), JSON.stringify(profile.schedule), profile.time_zone, profile.priority, profileId]
+        )
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'This device already has a threshold profile with this name' })
+        }
+        throw error
+    }
+    res.json({ id: profileId, device_id: deviceId, ...profile })
+}))
+
+/**
+ * @swagger
+ * /devices/{id}/threshold_profiles/{profileId}:
+ *   delete:
+ *     summary: Delete a scheduled threshold profile
+ *     description: Readings keep the name of the profile that applied to them.
+ *     tags: [Devices]
+ *     security:
+ *       - OperatorToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The device ID.
+ *       - in: path
+ *         name: profileId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The profile ID.
+ *     responses:
+ *       204:
+ *         description: Profile deleted.
+ *       404:
+ *         description: Profile not found.
+ */
+router.delete('/:id/threshold_profiles/:profileId', requireRole('operator'), asyncHandler(async (req, res) => {
+    const [result] = await pool.query(
+        'DELETE FROM threshold_profiles WHERE id = ? AND device_id = ?',
+        [req.params.profileId, req.params.id]
+    )
+    if (result.affectedRows === 0) {
+        return res.status(404).json({ error: 'Threshold profile not found' })
+    }
+    res.status(204).send()
+}))
+
 module.exports = router
\ No newline at end of file
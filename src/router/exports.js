@@ -0,0 +1,379 @@
+const express = require('express')
+const router = express.Router()
+const asyncHandler = require('../utils/asyncHandler')
+const pool = require('../utils/db')
+const { requireRole } = require('../utils/operatorAuth')
+const { EXPORT_FORMATS, streamRows, writeExport } = require('../utils/exportStream')
+const { computeFlows } = require('../utils/flows')
+const { findZone, zoneDeviceIds } = require('../utils/zones')
+
+const MAX_EXPORT_WINDOW_DAYS = Number(process.env.EXPORT_MAX_WINDOW_DAYS) || 366
+// flows are computed in memory like /mobility/flows, so they keep its limit
+const MAX_FLOW_WINDOW_DAYS = 7
+
+/**
+ * @swagger
+ * tags:
+ *   name: Exports
+ *   description: >
+ *     Raw data as CSV (with a header line) or NDJSON (one JSON object per line), streamed from the
+ *     database so that exports of any size use little memory. All take `from`/`to` (default: the last
+ *     24 hours) and `device_id` or `zone_id` filters.
+ */
+
+const parseIds = (v) => String(v).split(',').map(s => Number(s.trim()))
+
+// The parameters shared by all exports. A zone stands for the devices in it now.
+// Returns { format, from, to, deviceIds, zoneId } (deviceIds null for all devices) or { status, error }.
+const parseExportQuery = async (query, maxDays) => {
+    const format = query.format || 'csv'
+    if (!EXPORT_FORMATS.includes(format)) {
+        return { status: 400, error: `format must be one of ${EXPORT_FORMATS.join(', ')}` }
+    }
+
+    const toMs = query.to ? Date.parse(query.to) : Date.now()
+    const fromMs = query.from ? Date.parse(query.from) : toMs - 86400 * 1000
+    if (Number.isNaN(fromMs) || Number.isNaN(toMs) || fromMs >= toMs) {
+        return { status: 400, error: 'from and to must be valid dates with from < to' }
+    }
+    if (toMs - fromMs > maxDays * 86400 * 1000) {
+        return { status: 400, error: `The window can be at most ${maxDays} days` }
+    }
+
+    if (query.device_id !== undefined && query.zone_id !== undefined) {
+        return { status: 400, error: 'Filter by device_id or zone_id, not both' }
+    }
+    let deviceIds = null
+    let zoneId = null
+    if (query.device_id !== undefined) {
+        deviceIds = [...new Set(parseIds(query.device_id))]
+        if (deviceIds.some(n => !Number.isInteger(n) || n <= 0)) {
+            return { status: 400, error: 'device_id must be a comma-separated list of device IDs' }
+        }
+    } else if (query.zone_id !== undefined) {
+        const zone = await findZone(pool, Number(query.zone_id))
+        if (!zone) {
+            return { status: 404, error: 'Zone not found' }
+        }
+        zoneId = zone.id
+        deviceIds = await zoneDeviceIds(pool, zone.id)
+    }
+
+    return { format, from: new Date(fromMs), to: new Date(toMs), deviceIds, zoneId }
+}
+
+// " AND <column> IN (...)" for a device filter; an empty zone matches nothing.
+const deviceFilter = (column, deviceIds) => {
+    if (!deviceIds) return { sql: '', params: [] }
+    if (deviceIds.length === 0) return { sql: ' AND FALSE', params: [] }
+    return { sql: ` AND ${column} IN (${deviceIds.map(() => '?').join(',')})`, params: deviceIds }
+}
+
+const exportName = (kind, { from, to }) =>
+    `${kind}_${from.toISOString().slice(0, 19).replace(/:/g, '')}_${to.toISOString().slice(0, 19).replace(/:/g, '')}`
+
+const CROWD_DATA_COLUMNS = [
+    'id', 'device_id', 'device_name', 'headcount', 'randomized_count', 'status', 'raw_status',
+    'density', 'status_basis', 'threshold_profile', 'created_at',
+]
+
+/**
+ * @swagger
+ * /exports/crowd_data:
+ *   get:
+ *     summary: Export device readings
+ *     description: "Columns: id, device_id, device_name, headcount, randomized_count, status, raw_status, density, status_basis, threshold_profile, created_at. MAC lists are not exported."
+ *     tags: [Exports]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *           default: csv
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the window (inclusive). Defaults to 24 hours before `to`.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the window (exclusive). Defaults to now.
+ *       - in: query
+ *         name: device_id
+ *         schema:
+ *           type: string
+ *         description: Comma-separated device IDs.
+ *       - in: query
+ *         name: zone_id
+ *         schema:
+ *           type: integer
+ *         description: Only the devices currently in this zone.
+ *     responses:
+ *       200:
+ *         description: The readings, oldest first.
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid format, time range or filter.
+ *       404:
+ *         description: Zone not found.
+ */
+router.get('/crowd_data', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const q = await parseExportQuery(req.query, MAX_EXPORT_WINDOW_DAYS)
+    if (q.error) {
+        return res.status(q.status).json({ error: q.error })
+    }
+
+    const filter = deviceFilter('c.device_id', q.deviceIds)
+    const rows = streamRows(
+        `SELECT c.id, c.device_id, d.device_name, c.headcount, c.randomized_count, c.status, c.raw_status,
+                c.density, c.status_basis, c.threshold_profile, c.created_at
+         FROM crowd_data c JOIN devices d ON d.id = c.device_id
+         WHERE c.created_at >= ? AND c.created_at < ?${filter.sql}
+         ORDER BY c.created_at, c.id`,
+        [q.from, q.to, ...filter.params]
+    )
+    await writeExport(res, rows, {
+        format: q.format,
+        columns: CROWD_DATA_COLUMNS,
+        filename: exportName('crowd_data', q),
+        numeric: ['density'],
+    })
+}))
+
+const ALERT_COLUMNS = [
+    'id', 'device_id', 'zone_id', 'alert_type', 'level', 'state', 'message', 'occurrences',
+    'created_at', 'last_seen', 'acknowledged_at', 'acknowledged_by', 'resolved_at', 'resolved_by',
+]
+
+/**
+ * @swagger
+ * /exports/alerts:
+ *   get:
+ *     summary: Export alerts
+ *     description: >
+ *       Alerts created in the window. With `zone_id`, the zone's own alerts and those of its devices.
+ *       Columns: id, device_id, zone_id, alert_type, level, state, message, occurrences, created_at,
+ *       last_seen, acknowledged_at, acknowledged_by, resolved_at, resolved_by.
+ *     tags: [Exports]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *           default: csv
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: device_id
+ *         schema:
+ *           type: string
+ *         description: Comma-separated device IDs.
+ *       - in: query
+ *         name: zone_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The alerts, oldest first.
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid format, time range or filter.
+ *       404:
+ *         description: Zone not found.
+ */
+router.get('/alerts', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const q = await parseExportQuery(req.query, MAX_EXPORT_WINDOW_DAYS)
+    if (q.error) {
+        return res.status(q.status).json({ error: q.error })
+    }
+
+    let filter = deviceFilter('device_id', q.deviceIds)
+    if (q.zoneId) {
+        const ids = q.deviceIds
+        filter = ids.length > 0
+            ? { sql: ` AND (zone_id = ? OR device_id IN (${ids.map(() => '?').join(',')}))`, params: [q.zoneId, ...ids] }
+            : { sql: ' AND zone_id = ?', params: [q.zoneId] }
+    }
+    const rows = streamRows(
+        `SELECT ${ALERT_COLUMNS.join(', ')} FROM alerts
+         WHERE created_at >= ? AND created_at < ?${filter.sql}
+         ORDER BY created_at, id`,
+        [q.from, q.to, ...filter.params]
+    )
+    await writeExport(res, rows, { format: q.format, columns: ALERT_COLUMNS, filename: exportName('alerts', q) })
+}))
+
+const OBSERVATION_COLUMNS = ['id', 'device_id', 'mac_pseudonym', 'observed_at', 'rssi', 'channel']
+
+/**
+ * @swagger
+ * /exports/observations:
+ *   get:
+ *     summary: Export raw MAC sightings
+ *     description: >
+ *       Each sighting with the hashed MAC (`mac_pseudonym`, hex), never the address itself. Pseudonyms
+ *       change with MAC_HASH_ROTATION, and raw sightings are only kept for RETENTION_RAW_OBSERVATIONS_DAYS.
+ *       Columns: id, device_id, mac_pseudonym, observed_at, rssi, channel.
+ *     tags: [Exports]
+ *     security:
+ *       - OperatorToken: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *           default: csv
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: device_id
+ *         schema:
+ *           type: string
+ *         description: Comma-separated device IDs.
+ *       - in: query
+ *         name: zone_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The sightings, oldest first.
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid format, time range or filter.
+ *       404:
+ *         description: Zone not found.
+ */
+router.get('/observations', requireRole('operator'), asyncHandler(async (req, res) => {
+    const q = await parseExportQuery(req.query, MAX_EXPORT_WINDOW_DAYS)
+    if (q.error) {
+        return res.status(q.status).json({ error: q.error })
+    }
+
+    const filter = deviceFilter('o.device_id', q.deviceIds)
+    const rows = streamRows(
+        `SELECT o.id, o.device_id, LOWER(HEX(t.mac_hash)) AS mac_pseudonym, o.observed_at, o.rssi, o.channel
+         FROM device_observations o JOIN tracked_devices t ON t.id = o.tracked_device_id
+         WHERE o.observed_at >= ? AND o.observed_at < ?${filter.sql}
+         ORDER BY o.observed_at, o.id`,
+        [q.from, q.to, ...filter.params]
+    )
+    await writeExport(res, rows, { format: q.format, columns: OBSERVATION_COLUMNS, filename: exportName('observations', q) })
+}))
+
+const FLOW_COLUMNS = ['from_device_id', 'to_device_id', 'count', 'share_of_origin', 'median_travel_seconds']
+
+/**
+ * @swagger
+ * /exports/flows:
+ *   get:
+ *     summary: Export the origin-destination flows between devices
+ *     description: >
+ *       The rows of /mobility/flows, busiest first. The window can be at most 7 days.
+ *       Columns: from_device_id, to_device_id, count, share_of_origin, median_travel_seconds.
+ *     tags: [Exports]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *           default: csv
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: max_gap_seconds
+ *         schema:
+ *           type: integer
+ *           default: 600
+ *         description: Longest time between two sightings that still counts as a transition.
+ *       - in: query
+ *         name: device_id
+ *         schema:
+ *           type: string
+ *         description: Comma-separated device IDs.
+ *       - in: query
+ *         name: zone_id
+ *         schema:
+ *           type: integer
+ *         description: Only flows between the devices in this zone. Moves through devices outside it are still followed.
+ *     responses:
+ *       200:
+ *         description: The flows.
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid format, time range, gap or filter.
+ *       404:
+ *         description: Zone not found.
+ */
+router.get('/flows', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const q = await parseExportQuery(req.query, MAX_FLOW_WINDOW_DAYS)
+    if (q.error) {
+        return res.status(q.status).json({ error: q.error })
+    }
+    const maxGapSeconds = req.query.max_gap_seconds !== undefined ? Number(req.query.max_gap_seconds) : 600
+    if (!Number.isFinite(maxGapSeconds) || maxGapSeconds <= 0) {
+        return res.status(400).json({ error: 'max_gap_seconds must be a positive number' })
+    }
+
+    const flows = q.deviceIds && q.deviceIds.length === 0
+        ? []
+        : await computeFlows({ from: q.from, to: q.to, maxGapSeconds, deviceIds: q.deviceIds })
+    await writeExport(res, flows, { format: q.format, columns: FLOW_COLUMNS, filename: exportName('flows', q) })
+}))
+
+module.exports = router
@@ -0,0 +1,360 @@
+const express = require('express')
+const router = express.Router()
+const asyncHandler = require('../utils/asyncHandler')
+const pool = require('../utils/db')
+const { requireRole } = require('../utils/operatorAuth')
+const { MODELS, DEFAULT_MODEL, resolveParams, loadSettings, backtest } = require('../utils/forecast')
+
+const MAX_BACKTEST_DAYS = 7
+const MAX_BACKTEST_STEPS = 20000
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ForecastSetting:
+ *       type: object
+ *       properties:
+ *         device_id:
+ *           type: integer
+ *         model:
+ *           type: string
+ *           enum: [linear_delta, ewma, holt, seasonal]
+ *         params:
+ *           type: object
+ *           description: Model parameters, with defaults filled in.
+ *           additionalProperties:
+ *             type: number
+ *         configured:
+ *           type: boolean
+ *           description: False when the device uses the server default model.
+ *     BacktestResult:
+ *       type: object
+ *       properties:
+ *         model:
+ *           type: string
+ *         params:
+ *           type: object
+ *           additionalProperties:
+ *             type: number
+ *         samples:
+ *           type: integer
+ *           description: Number of windows forecast.
+ *         mae:
+ *           type: number
+ *           nullable: true
+ *           description: Mean absolute error in people.
+ *         rmse:
+ *           type: number
+ *           nullable: true
+ *           description: Root mean squared error in people.
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Forecasting
+ *   description: Headcount forecasting models per device and their backtests.
+ */
+
+const parseId = (v) => {
+    const n = Number(v)
+    return Number.isInteger(n) && n > 0 ? n : null
+}
+
+const deviceExists = async (id) => {
+    const [rows] = await pool.query('SELECT id FROM devices WHERE id = ?', [id])
+    return rows.length > 0
+}
+
+/**
+ * @swagger
+ * /forecast/models:
+ *   get:
+ *     summary: List the forecasting models and their parameters
+ *     tags: [Forecasting]
+ *     responses:
+ *       200:
+ *         description: The available models and the server default.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 default_model:
+ *                   type: string
+ *                 models:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       description:
+ *                         type: string
+ *                       params:
+ *                         type: object
+ *                         additionalProperties:
+ *                           type: object
+ *                           properties:
+ *                             default:
+ *                               type: number
+ *                             min:
+ *                               type: number
+ *                             max:
+ *                               type: number
+ *                             integer:
+ *                               type: boolean
+ *                             description:
+ *                               type: string
+ */
+router.get('/models', requireRole('viewer'), (req, res) => {
+    res.json({
+        default_model: DEFAULT_MODEL,
+        models: Object.entries(MODELS).map(([name, m]) => ({ name, description: m.description, params: m.params })),
+    })
+})
+
+/**
+ * @swagger
+ * /forecast/devices/{id}:
+ *   get:
+ *     summary: Get the forecasting model used for a device
+ *     tags: [Forecasting]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The device's forecast setting.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ForecastSetting'
+ *       404:
+ *         description: Device not found.
+ */
+router.get('/devices/:id', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const id = parseId(req.params.id)
+    if (!id || !(await deviceExists(id))) {
+        return res.status(404).json({ error: 'Device not found' })
+    }
+    const settings = await loadSettings(pool, [id])
+    res.json({ device_id: id, ...settings.get(id) })
+}))
+
+/**
+ * @swagger
+ * /forecast/devices/{id}:
+ *   put:
+ *     summary: Choose the forecasting model for a device
+ *     description: Predictions in ingestion responses, `/crowd_data/{uniq_url}/latest` and the event stream use this model.
+ *     tags: [Forecasting]
+ *     security:
+ *       - OperatorToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [model]
+ *             properties:
+ *               model:
+ *                 type: string
+ *                 enum: [linear_delta, ewma, holt, seasonal]
+ *               params:
+ *                 type: object
+ *                 description: Parameters to override. Missing ones use the model defaults.
+ *                 additionalProperties:
+ *                   type: number
+ *                 example: { "alpha": 0.4, "history_windows": 15 }
+ *     responses:
+ *       200:
+ *         description: The stored setting.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ForecastSetting'
+ *       400:
+ *         description: Unknown model or invalid parameters.
+ *       404:
+ *         description: Device not found.
+ */
+router.put('/devices/:id', requireRole('operator'), asyncHandler(async (req, res) => {
+    const id = parseId(req.params.id)
+    if (!id || !(await deviceExists(id))) {
+        return res.status(404).json({ error: 'Device not found' })
+    }
+    const { model } = req.body || {}
+    const { params, error } = resolveParams(model, (req.body || {}).params || {})
+    if (error) {
+        return res.status(400).json({ error })
+    }
+
+    await pool.query(
+        'INSERT INTO forecast_settings (device_id, model, params) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE model = VALUES(model), params = VALUES(params)',
+        [id, model, JSON.stringify(params)]
+    )
+    res.json({ device_id: id, model, params, configured: true })
+}))
+
+/**
+ * @swagger
+ * /forecast/devices/{id}:
+ *   delete:
+ *     summary: Reset a device to the server default model
+ *     tags: [Forecasting]
+ *     security:
+ *       - OperatorToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: The device now uses the default model.
+ *       404:
+ *         description: Device not found.
+ */
+router.delete('/devices/:id', requireRole('operator'), asyncHandler(async (req, res) => {
+    const id = parseId(req.params.id)
+    if (!id || !(await deviceExists(id))) {
+        return res.status(404).json({ error: 'Device not found' })
+    }
+    await pool.query('DELETE FROM forecast_settings WHERE device_id = ?', [id])
+    res.status(204).send()
+}))
+
+/**
+ * @swagger
+ * /forecast/backtest:
+ *   get:
+ *     summary: Compare forecasting models on a device's stored history
+ *     description: >
+ *       Steps through the range one window at a time. At each step every model forecasts the distinct
+ *       MAC count of the next window from the history before it, and the forecast is compared with
+ *       the stored count. Windows whose raw observations were purged use the minute rollups.
+ *       The device's configured parameters are used for its configured model, defaults for the others.
+ *       Inflow from neighbors is not part of the backtest.
+ *     tags: [Forecasting]
+ *     parameters:
+ *       - in: query
+ *         name: device_id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the replayed range. Defaults to 24 hours before `to`.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the replayed range. Defaults to now.
+ *       - in: query
+ *         name: window_seconds
+ *         schema:
+ *           type: integer
+ *           default: 60
+ *         description: Forecast window, the same as used for live predictions by default.
+ *       - in: query
+ *         name: models
+ *         schema:
+ *           type: string
+ *         description: "Comma separated model names. Leave out for all models."
+ *     responses:
+ *       200:
+ *         description: Error metrics per model, best (lowest RMSE) first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 device_id:
+ *                   type: integer
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *                 window_seconds:
+ *                   type: integer
+ *                 best_model:
+ *                   type: string
+ *                   nullable: true
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BacktestResult'
+ *       400:
+ *         description: Invalid parameters.
+ *       404:
+ *         description: Device not found.
+ */
+router.get('/backtest', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const deviceId = parseId(req.query.device_id)
+    const toMs = req.query.to ? Date.parse(req.query.to) : Date.now()
+    const fromMs = req.query.from ? Date.parse(req.query.from) : toMs - 86400 * 1000
+    const windowSeconds = req.query.window_seconds !== undefined ? Number(req.query.window_seconds) : 60
+    const names = req.query.models ? String(req.query.models).split(',').map(s => s.trim()).filter(Boolean) : Object.keys(MODELS)
+
+    if (!deviceId) {
+        return res.status(400).json({ error: 'device_id is required' })
+    }
+    if (Number.isNaN(fromMs) || Number.isNaN(toMs) || fromMs >= toMs) {
+        return res.status(400).json({ error: 'from and to must be valid dates with from < to' })
+    }
+    if (toMs - fromMs > MAX_BACKTEST_DAYS * 86400 * 1000) {
+        return res.status(400).json({ error: `The range can be at most ${MAX_BACKTEST_DAYS} days` })
+    }
+    if (!Number.isInteger(windowSeconds) || windowSeconds < 10 || windowSeconds > 86400) {
+        return res.status(400).json({ error: 'window_seconds must be an integer between 10 and 86400' })
+    }
+    if ((toMs - fromMs) / (windowSeconds * 1000) > MAX_BACKTEST_STEPS) {
+        return res.status(400).json({ error: `The range holds more than ${MAX_BACKTEST_STEPS} windows; use a shorter range or a longer window` })
+    }
+    const unknown = names.filter(n => !MODELS[n])
+    if (unknown.length > 0 || names.length === 0) {
+        return res.status(400).json({ error: `models must be a list of: ${Object.keys(MODELS).join(', ')}` })
+    }
+    if (!(await deviceExists(deviceId))) {
+        return res.status(404).json({ error: 'Device not found' })
+    }
+
+    const setting = (await loadSettings(pool, [deviceId])).get(deviceId)
+    const models = [...new Set(names)].map(model => ({
+        model,
+        params: setting.configured && setting.model === model ? setting.params : resolveParams(model).params,
+    }))
+
+    const results = await backtest({ deviceId, fromMs, toMs, windowSeconds, models })
+    results.sort((a, b) => (a.rmse ?? Infinity) - (b.rmse ?? Infinity))
+
+    res.json({
+        device_id: deviceId,
+        from: new Date(fromMs),
+        to: new Date(toMs),
+        window_seconds: windowSeconds,
+        best_model: results.length > 0 && results[0].rmse !== null ? results[0].model : null,
+        results,
+    })
+}))
+
+module.exports = router
@@ -0,0 +1,460 @@
+const express = require('express')
+const router = express.Router()
+const asyncHandler = require('../utils/asyncHandler')
+const pool = require('../utils/db')
+const { requireRole } = require('../utils/operatorAuth')
+const { macFingerprint, currentPeriodStart } = require('../utils/macHash')
+const { detectAlwaysPresent } = require('../utils/macFilters')
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     IgnoredMac:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         device_id:
+ *           type: integer
+ *           nullable: true
+ *           description: The device the entry applies to. Null applies to all devices.
+ *         mac_hash:
+ *           type: string
+ *           description: >
+ *             Hex keyed hash of the MAC: its fingerprint when added by MAC, or the pseudonym it had when a
+ *             candidate was confirmed (the fingerprint is added once the MAC is seen again).
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *         source:
+ *           type: string
+ *           enum: [manual, detected]
+ *           description: "`detected` entries came from a confirmed always-present candidate."
+ *         created_by:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     IgnoreCandidate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         device_id:
+ *           type: integer
+ *         mac_hash:
+ *           type: string
+ *         presence_ratio:
+ *           type: number
+ *           description: Share of the device's active hours in which the MAC was seen.
+ *         hours_seen:
+ *           type: integer
+ *         state:
+ *           type: string
+ *           enum: [pending, confirmed, dismissed]
+ *         detected_at:
+ *           type: string
+ *           format: date-time
+ *         last_detected_at:
+ *           type: string
+ *           format: date-time
+ *         reviewed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         reviewed_by:
+ *           type: string
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: MAC Filters
+ *   description: Ignore lists for fixed infrastructure and review of always-present MACs.
+ */
+
+const CANDIDATE_STATES = ['pending', 'confirmed', 'dismissed']
+
+const parseId = (v) => {
+    const n = Number(v)
+    return Number.isInteger(n) && n > 0 ? n : null
+}
+
+const toHex = (row) => ({ ...row, mac_hash: Buffer.from(row.mac_hash).toString('hex') })
+
+const deviceExists = async (id) => {
+    const [rows] = await pool.query('SELECT id FROM devices WHERE id = ?', [id])
+    return rows.length > 0
+}
+
+// NULL never equals NULL in a unique key, so global entries are checked by hand
+const findIgnoreEntry = async (conn, deviceId, hash) => {
+    const [rows] = await conn.query(
+        'SELECT * FROM mac_ignore_list WHERE mac_hash = ? AND device_id <=> ?',
+        [hash, deviceId]
+    )
+    return rows[0]
+}
+
+/**
+ * @swagger
+ * /mac_filters/ignored:
+ *   get:
+ *     summary: List ignored MACs
+ *     tags: [MAC Filters]
+ *     parameters:
+ *       - in: query
+ *         name: device_id
+ *         schema:
+ *           type: integer
+ *         description: Only entries for this device, plus the global ones.
+ *     responses:
+ *       200:
+ *         description: The ignore list.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/IgnoredMac'
+ */
+router.get('/ignored', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const deviceId = req.query.device_id !== undefined ? parseId(req.query.device_id) : null
+    if (req.query.device_id !== undefined && !deviceId) {
+        return res.status(400).json({ error: 'device_id must be a device ID' })
+    }
+
+    const [rows] = deviceId
+        ? await pool.query('SELECT * FROM mac_ignore_list WHERE device_id IS NULL OR device_id = ? ORDER BY id', [deviceId])
+        : await pool.query('SELECT * FROM mac_ignore_list ORDER BY id')
+    res.json(rows.map(toHex))
+}))
+
+/**
+ * @swagger
+ * /mac_filters/ignored:
+ *   post:
+ *     summary: Ignore a MAC at one device or everywhere
+ *     description: Sightings of an ignored MAC are dropped at ingestion. Data already stored is kept.
+ *     tags: [MAC Filters]
+ *     security:
+ *       - OperatorToken: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mac:
+ *                 type: string
+ *                 description: The MAC address. It is hashed and not stored.
+ *                 example: "00:11:22:33:44:55"
+ *               mac_hash:
+ *                 type: string
+ *                 description: Hex fingerprint or pseudonym of the MAC, instead of `mac`.
+ *               device_id:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Leave out to ignore the MAC at every device.
+ *               reason:
+ *                 type: string
+ *                 example: "Lobby access point"
+ *     responses:
+ *       201:
+ *         description: The new entry.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/IgnoredMac'
+ *       400:
+ *         description: Neither a valid mac nor mac_hash was given.
+ *       404:
+ *         description: Device not found.
+ *       409:
+ *         description: The MAC is already ignored with this scope.
+ */
+router.post('/ignored', requireRole('operator'), asyncHandler(async (req, res) => {
+    const { mac, mac_hash, reason } = req.body || {}
+    const deviceId = req.body && req.body.device_id !== undefined && req.body.device_id !== null ? parseId(req.body.device_id) : null
+
+    let hash = null
+    if (typeof mac === 'string' && mac.trim() !== '') {
+        hash = macFingerprint(mac)
+    } else if (typeof mac_hash === 'string' && /^[0-9a-fA-F]{64}$/.test(mac_hash)) {
+        hash = Buffer.from(mac_hash, 'hex')
+    }
+    if (!hash) {
+        return res.status(400).json({ error: 'mac or a 64 character hex mac_hash is required' })
+    }
+    if (req.body.device_id !== undefined && req.body.device_id !== null && !deviceId) {
+        return res.status(400).json({ error: 'device_id must be a device ID' })
+    }
+    if (deviceId && !(await deviceExists(deviceId))) {
+        return res.status(404).json({ error: 'Device not found' })
+    }
+    if (await findIgnoreEntry(pool, deviceId, hash)) {
+        return res.status(409).json({ error: 'This MAC is already ignored with this scope' })
+    }
+
+    const [result] = await pool.query(
+        'INSERT INTO mac_ignore_list (device_id, mac_hash, reason, source, created_by) VALUES (?, ?, ?, ?, ?)',
+        [deviceId, hash, reason || null, 'manual', req.operator.name]
+    )
+    const [rows] = await pool.query('SELECT * FROM mac_ignore_list WHERE id = ?', [result.insertId])
+    res.status(201).json(toHex(rows[0]))
+}))
+
+/**
+ * @swagger
+ * /mac_filters/ignored/{id}:
+ *   delete:
+ *     summary: Stop ignoring a MAC
+ *     tags: [MAC Filters]
+ *     security:
+ *       - OperatorToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: The entry was removed.
+ *       404:
+ *         description: Entry not found.
+ */
+router.delete('/ignored/:id', requireRole('operator'), asyncHandler(async (req, res) => {
+    const [result] = await pool.query('DELETE FROM mac_ignore_list WHERE id = ?', [req.params.id])
+    if (result.affectedRows === 0) {
+        return res.status(404).json({ error: 'Ignore list entry not found' })
+    }
+    res.status(204).send()
+}))
+
+/**
+ * @swagger
+ * /mac_filters/candidates:
+ *   get:
+ *     summary: List MACs detected as always present
+ *     description: >
+ *       A background job looks for MACs seen at a device in nearly every hour the device was active
+ *       (see ALWAYS_PRESENT_* settings). They are usually access points, printers or staff devices.
+ *       Confirm a candidate to put it on the ignore list, or dismiss it to stop it from being suggested.
+ *     tags: [MAC Filters]
+ *     parameters:
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *           default: pending
+ *         description: "Comma separated states: pending, confirmed, dismissed."
+ *       - in: query
+ *         name: device_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Candidates, most present first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/IgnoreCandidate'
+ *       400:
+ *         description: Invalid state.
+ */
+router.get('/candidates', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const states = String(req.query.state || 'pending').split(',').map(s => s.trim())
+    if (states.some(s => !CANDIDATE_STATES.includes(s))) {
+        return res.status(400).json({ error: `state must be a list of: ${CANDIDATE_STATES.join(', ')}` })
+    }
+
+    const where = [`state IN (${states.map(() => '?').join(',')})`]
+    const params = [...states]
+    if (req.query.device_id !== undefined) {
+        where.push('device_id = ?')
+        params.push(req.query.device_id)
+    }
+    const [rows] = await pool.query(
+        `SELECT * FROM mac_ignore_candidates WHERE ${where.join(' AND ')} ORDER BY presence_ratio DESC, id`,
+        params
+    )
+    res.json(rows.map(r => ({ ...toHex(r), presence_ratio: Number(r.presence_ratio) })))
+}))
+
+/**
+ * @swagger
+ * /mac_filters/candidates/detect:
+ *   post:
+ *     summary: Run the always-present detection now
+ *     tags: [MAC Filters]
+ *     security:
+ *       - AdminToken: []
+ *     responses:
+ *       200:
+ *         description: Number of MACs found (new and already known candidates).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 detected:
+ *                   type: integer
+ *       409:
+ *         description: A detection run is already in progress.
+ */
+router.post('/candidates/detect', requireRole('admin'), asyncHandler(async (req, res) => {
+    const detected = await detectAlwaysPresent()
+    if (detected === null) {
+        return res.status(409).json({ error: 'Detection is already running' })
+    }
+    res.json({ detected })
+}))
+
+/**
+ * @swagger
+ * /mac_filters/candidates/{id}/confirm:
+ *   post:
+ *     summary: Confirm a candidate and ignore the MAC
+ *     tags: [MAC Filters]
+ *     security:
+ *       - OperatorToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               global:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Ignore the MAC at every device instead of only the one it was detected at.
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The confirmed candidate and its ignore list entry.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 candidate:
+ *                   $ref: '#/components/schemas/IgnoreCandidate'
+ *                 ignored:
+ *                   $ref: '#/components/schemas/IgnoredMac'
+ *       404:
+ *         description: Candidate not found.
+ *       409:
+ *         description: >
+ *           The candidate was already reviewed, or was detected in an earlier MAC_HASH_ROTATION period, so its
+ *           pseudonym no longer matches the MAC.
+ */
+router.post('/candidates/:id/confirm', requireRole('operator'), asyncHandler(async (req, res) => {
+    const { global: isGlobal, reason } = req.body || {}
+    const by = req.operator.name
+
+    const conn = await pool.getConnection()
+    try {
+        await conn.beginTransaction()
+        const [rows] = await conn.query('SELECT * FROM mac_ignore_candidates WHERE id = ? FOR UPDATE', [req.params.id])
+        if (rows.length === 0) {
+            await conn.rollback()
+            return res.status(404).json({ error: 'Candidate not found' })
+        }
+        const candidate = rows[0]
+        if (candidate.state !== 'pending') {
+            await conn.rollback()
+            return res.status(409).json({ error: `Candidate is already ${candidate.state}` })
+        }
+        // the entry would hold a pseudonym that is no longer used, so it would never match
+        if (new Date(candidate.last_detected_at).getTime() < currentPeriodStart()) {
+            await conn.rollback()
+            return res.status(409).json({
+                error: 'Candidate was detected in an earlier pseudonym period; confirm it once it is detected again',
+            })
+        }
+
+        const deviceId = isGlobal === true ? null : candidate.device_id
+        let entry = await findIgnoreEntry(conn, deviceId, candidate.mac_hash)
+        if (!entry) {
+            const [result] = await conn.query(
+                'INSERT INTO mac_ignore_list (device_id, mac_hash, reason, source, created_by) VALUES (?, ?, ?, ?, ?)',
+                [deviceId, candidate.mac_hash, reason || `Always present (${Math.round(candidate.presence_ratio * 100)}% of active hours)`, 'detected', by]
+            )
+            const [created] = await conn.query('SELECT * FROM mac_ignore_list WHERE id = ?', [result.insertId])
+            entry = created[0]
+        }
+        await conn.query(
+            "UPDATE mac_ignore_candidates SET state = 'confirmed', reviewed_at = NOW(), reviewed_by = ? WHERE id = ?",
+            [by, candidate.id]
+        )
+        const [updated] = await conn.query('SELECT * FROM mac_ignore_candidates WHERE id = ?', [candidate.id])
+        await conn.commit()
+
+        res.json({
+            candidate: { ...toHex(updated[0]), presence_ratio: Number(updated[0].presence_ratio) },
+            ignored: toHex(entry),
+        })
+    } catch (err) {
+        await conn.rollback()
+        throw err
+    } finally {
+        conn.release()
+    }
+}))
+
+/**
+ * @swagger
+ * /mac_filters/candidates/{id}/dismiss:
+ *   post:
+ *     summary: Dismiss a candidate so it is not suggested again
+ *     tags: [MAC Filters]
+ *     security:
+ *       - OperatorToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The dismissed candidate.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/IgnoreCandidate'
+ *       404:
+ *         description: Candidate not found.
+ *       409:
+ *         description: The candidate was already reviewed.
+ */
+router.post('/candidates/:id/dismiss', requireRole('operator'), asyncHandler(async (req, res) => {
+    const [result] = await pool.query(
+        "UPDATE mac_ignore_candidates SET state = 'dismissed', reviewed_at = NOW(), reviewed_by = ? WHERE id = ? AND state = 'pending'",
+        [req.operator.name, req.params.id]
+    )
+    const [rows] = await pool.query('SELECT * FROM mac_ignore_candidates WHERE id = ?', [req.params.id])
+    if (rows.length === 0) {
+        return res.status(404).json({ error: 'Candidate not found' })
+    }
+    if (result.affectedRows === 0) {
+        return res.status(409).json({ error: `Candidate is already ${rows[0].state}` })
+    }
+    res.json({ ...toHex(rows[0]), presence_ratio: Number(rows[0].presence_ratio) })
+}))
+
+module.exports = router
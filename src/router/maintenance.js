@@ -0,0 +1,134 @@
+const express = require('express')
+const router = express.Router()
+const asyncHandler = require('../utils/asyncHandler')
+const { requireRole } = require('../utils/operatorAuth')
+const { runMaintenance, getMaintenanceStatus } = require('../utils/maintenance')
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MaintenanceRun:
+ *       type: object
+ *       properties:
+ *         started_at:
+ *           type: string
+ *           format: date-time
+ *         finished_at:
+ *           type: string
+ *           format: date-time
+ *         rolled_up:
+ *           type: object
+ *           description: Rows written per rollup table.
+ *           additionalProperties:
+ *             type: integer
+ *         purged:
+ *           type: object
+ *           description: Rows deleted (or wifi lists cleared) per table.
+ *           additionalProperties:
+ *             type: integer
+ *         error:
+ *           type: string
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Maintenance
+ *   description: Rollups of raw observations and data retention.
+ */
+
+/**
+ * @swagger
+ * /maintenance/retention:
+ *   get:
+ *     summary: Show retention settings, rollup progress and table sizes
+ *     tags: [Maintenance]
+ *     security:
+ *       - OperatorToken: []
+ *     responses:
+ *       200:
+ *         description: The current maintenance configuration and state.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 retention:
+ *                   type: object
+ *                   description: Retention periods in days. 0 means kept forever.
+ *                   properties:
+ *                     raw_observations_days:
+ *                       type: integer
+ *                     wifi_list_days:
+ *                       type: integer
+ *                     minute_rollups_days:
+ *                       type: integer
+ *                     hour_rollups_days:
+ *                       type: integer
+ *                     ingest_batches_days:
+ *                       type: integer
+ *                       description: How long batch idempotency keys are remembered.
+ *                 interval_ms:
+ *                   type: integer
+ *                 tables:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       table_name:
+ *                         type: string
+ *                       approx_rows:
+ *                         type: integer
+ *                       data_bytes:
+ *                         type: integer
+ *                       index_bytes:
+ *                         type: integer
+ *                 watermarks:
+ *                   type: array
+ *                   description: How far each rollup has progressed.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       watermark:
+ *                         type: string
+ *                         format: date-time
+ *                 last_run:
+ *                   $ref: '#/components/schemas/MaintenanceRun'
+ *                 running:
+ *                   type: boolean
+ */
+router.get('/retention', requireRole('operator'), asyncHandler(async (req, res) => {
+    res.json(await getMaintenanceStatus())
+}))
+
+/**
+ * @swagger
+ * /maintenance/run:
+ *   post:
+ *     summary: Run a rollup and purge pass now
+ *     tags: [Maintenance]
+ *     security:
+ *       - AdminToken: []
+ *     responses:
+ *       200:
+ *         description: The result of the pass.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MaintenanceRun'
+ *       409:
+ *         description: A pass is already running.
+ */
+router.post('/run', requireRole('admin'), asyncHandler(async (req, res) => {
+    const result = await runMaintenance()
+    if (!result) {
+        return res.status(409).json({ error: 'Maintenance is already running' })
+    }
+    res.json(result)
+}))
+
+module.exports = router
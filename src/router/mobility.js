@@ -2,7 +2,74 @@ const express = require('express')
 const router = express.Router()
 const asyncHandler = require('../utils/asyncHandler')
 const pool = require('../utils/db')
+const { requireRole } = require('../utils/operatorAuth')
 const { analyzeMobility } = require('../utils/crowdHelper')
+const { computeFlows } = require('../utils/flows')
+const { DEFAULT_HISTOGRAM_MINUTES, computeDwell, computeStuck } = require('../utils/dwell')
+const { toPseudonyms } = require('../utils/macHash')
+
+const MAX_ANALYSIS_WINDOW_DAYS = 7
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Flow:
+ *       type: object
+ *       properties:
+ *         from_device_id:
+ *           type: integer
+ *         to_device_id:
+ *           type: integer
+ *         count:
+ *           type: integer
+ *           description: Number of transitions from the origin to the destination.
+ *         share_of_origin:
+ *           type: number
+ *           format: float
+ *           description: This flow's share of all transitions leaving the origin.
+ *         median_travel_seconds:
+ *           type: integer
+ *     DeviceDwell:
+ *       type: object
+ *       properties:
+ *         device_id:
+ *           type: integer
+ *         sessions:
+ *           type: integer
+ *         mean_seconds:
+ *           type: integer
+ *           nullable: true
+ *         median_seconds:
+ *           type: integer
+ *           nullable: true
+ *         p90_seconds:
+ *           type: integer
+ *           nullable: true
+ *         max_seconds:
+ *           type: integer
+ *           nullable: true
+ *         histogram:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               from_minutes:
+ *                 type: number
+ *               to_minutes:
+ *                 type: number
+ *                 nullable: true
+ *               count:
+ *                 type: integer
+ *         stuck:
+ *           type: object
+ *           properties:
+ *             count:
+ *               type: integer
+ *               description: MACs currently at the device for at least stuck_minutes.
+ *             longest_seconds:
+ *               type: integer
+ */
 
 /**
  * @swagger
@@ -92,7 +159,7 @@ const { analyzeMobility } = require('../utils/crowdHelper')
  *       404:
  *         description: No recent crowd data found for one or both devices in the specified time window.
  */
-router.get('/analysis', asyncHandler(async (req, res) => {
+router.get('/analysis', requireRole('viewer'), asyncHandler(async (req, res) => {
     const { device1_id, device2_id } = req.query
     const windowSeconds = parseInt(req.query.window_seconds, 10) || 120
 
@@ -125,7 +192,9 @@ router.get('/analysis', asyncHandler(async (req, res) => {
     const listA = typeof data1.wifi_list === 'string' ? JSON.parse(data1.wifi_list || '[]') : (data1.wifi_list || []);
     const listB = typeof data2.wifi_list === 'string' ? JSON.parse(data2.wifi_list || '[]') : (data2.wifi_list || []);
 
-    const { jaccard, mobility, intersection, union } = analyzeMobility(listA, listB)
+    // lists may hold raw MACs or pseudonyms; compare both as pseudonyms of the same period
+    const at = Math.max(new Date(data1.created_at).getTime(), new Date(data2.created_at).getTime())
+    const { jaccard, mobility, intersection, union } = analyzeMobility(toPseudonyms(listA, at), toPseudonyms(listB, at))
 
     res.json({
         from_device_id: parseInt(device1_id, 10),
@@ -150,4 +219,230 @@ router.get('/analysis', asyncHandler(async (req, res) => {
     })
 }))
 
+/**
+ * @swagger
+ * /mobility/flows:
+ *   get:
+ *     summary: Origin-destination flow matrix between devices
+ *     description: >
+ *       Follows each hashed MAC across devices. When a MAC last seen at device A shows up at
+ *       device B within `max_gap_seconds`, that counts as one A → B transition. Travel time is the
+ *       time between the last sighting at A and the first at B.
+ *     tags: [Mobility Analysis]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the window. Defaults to one hour before `to`.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the window. Defaults to now.
+ *       - in: query
+ *         name: max_gap_seconds
+ *         schema:
+ *           type: integer
+ *           default: 600
+ *         description: Longest time between two sightings that still counts as a transition.
+ *       - in: query
+ *         name: device_id
+ *         schema:
+ *           type: string
+ *         description: "Comma separated device IDs to restrict the matrix to. Leave out for all devices. Moves through other devices still count, so A -> X -> B is not reported as A -> B."
+ *     responses:
+ *       200:
+ *         description: The flows in the window, busiest first, plus the same counts as a matrix.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *                 max_gap_seconds:
+ *                   type: integer
+ *                 total_transitions:
+ *                   type: integer
+ *                 flows:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Flow'
+ *                 matrix:
+ *                   type: object
+ *                   description: "Counts keyed by origin then destination device ID."
+ *                   additionalProperties:
+ *                     type: object
+ *                     additionalProperties:
+ *                       type: integer
+ *       400:
+ *         description: Invalid time range or gap.
+ */
+router.get('/flows', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const toMs = req.query.to ? Date.parse(req.query.to) : Date.now()
+    const fromMs = req.query.from ? Date.parse(req.query.from) : toMs - 3600 * 1000
+    const maxGapSeconds = req.query.max_gap_seconds !== undefined ? Number(req.query.max_gap_seconds) : 600
+    const deviceIds = req.query.device_id
+        ? String(req.query.device_id).split(',').map(Number).filter(n => Number.isInteger(n) && n > 0)
+        : null
+
+    if (Number.isNaN(fromMs) || Number.isNaN(toMs) || fromMs >= toMs) {
+        return res.status(400).json({ error: 'from and to must be valid dates with from < to' })
+    }
+    if (toMs - fromMs > MAX_ANALYSIS_WINDOW_DAYS * 86400 * 1000) {
+        return res.status(400).json({ error: `The window can be at most ${MAX_ANALYSIS_WINDOW_DAYS} days` })
+    }
+    if (!Number.isFinite(maxGapSeconds) || maxGapSeconds <= 0) {
+        return res.status(400).json({ error: 'max_gap_seconds must be a positive number' })
+    }
+    if (deviceIds && deviceIds.length === 0) {
+        return res.status(400).json({ error: 'device_id must list device IDs' })
+    }
+
+    const flows = await computeFlows({ from: new Date(fromMs), to: new Date(toMs), maxGapSeconds, deviceIds })
+
+    const matrix = {}
+    for (const f of flows) {
+        matrix[f.from_device_id] = matrix[f.from_device_id] || {}
+        matrix[f.from_device_id][f.to_device_id] = f.count
+    }
+
+    res.json({
+        from: new Date(fromMs),
+        to: new Date(toMs),
+        max_gap_seconds: maxGapSeconds,
+        total_transitions: flows.reduce((acc, f) => acc + f.count, 0),
+        flows,
+        matrix,
+    })
+}))
+
+/**
+ * @swagger
+ * /mobility/dwell:
+ *   get:
+ *     summary: Dwell-time distribution per device and the population currently stuck
+ *     description: >
+ *       Splits each MAC's observations at a device into visit sessions. A session ends when the MAC
+ *       is not seen there for more than `session_gap_seconds`. Dwell time is the time between the
+ *       first and last sighting of a session. `stuck` counts MACs whose ongoing session has already
+ *       lasted `stuck_minutes` or more.
+ *     tags: [Mobility Analysis]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the window. Defaults to 24 hours before `to`.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the window. Defaults to now.
+ *       - in: query
+ *         name: device_id
+ *         schema:
+ *           type: string
+ *         description: "Comma separated device IDs. Leave out for all devices."
+ *       - in: query
+ *         name: session_gap_seconds
+ *         schema:
+ *           type: integer
+ *           default: 300
+ *       - in: query
+ *         name: stuck_minutes
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *       - in: query
+ *         name: histogram
+ *         schema:
+ *           type: string
+ *           default: "1,5,15,30,60,120"
+ *         description: Histogram bin edges in minutes.
+ *     responses:
+ *       200:
+ *         description: Dwell statistics per device.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *                 session_gap_seconds:
+ *                   type: integer
+ *                 stuck_minutes:
+ *                   type: integer
+ *                 devices:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DeviceDwell'
+ *       400:
+ *         description: Invalid parameters.
+ */
+router.get('/dwell', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const toMs = req.query.to ? Date.parse(req.query.to) : Date.now()
+    const fromMs = req.query.from ? Date.parse(req.query.from) : toMs - 86400 * 1000
+    const gapSeconds = req.query.session_gap_seconds !== undefined ? Number(req.query.session_gap_seconds) : 300
+    const stuckMinutes = req.query.stuck_minutes !== undefined ? Number(req.query.stuck_minutes) : 30
+    const deviceIds = req.query.device_id
+        ? String(req.query.device_id).split(',').map(Number).filter(n => Number.isInteger(n) && n > 0)
+        : null
+    const histogramMinutes = req.query.histogram
+        ? String(req.query.histogram).split(',').map(Number)
+        : DEFAULT_HISTOGRAM_MINUTES
+
+    if (Number.isNaN(fromMs) || Number.isNaN(toMs) || fromMs >= toMs) {
+        return res.status(400).json({ error: 'from and to must be valid dates with from < to' })
+    }
+    if (toMs - fromMs > MAX_ANALYSIS_WINDOW_DAYS * 86400 * 1000) {
+        return res.status(400).json({ error: `The window can be at most ${MAX_ANALYSIS_WINDOW_DAYS} days` })
+    }
+    if (!Number.isFinite(gapSeconds) || gapSeconds <= 0 || !Number.isFinite(stuckMinutes) || stuckMinutes <= 0) {
+        return res.status(400).json({ error: 'session_gap_seconds and stuck_minutes must be positive numbers' })
+    }
+    if (histogramMinutes.some((m, i) => !Number.isFinite(m) || m <= 0 || (i > 0 && m <= histogramMinutes[i - 1]))) {
+        return res.status(400).json({ error: 'histogram must be increasing positive minutes, e.g. 1,5,15' })
+    }
+    if (deviceIds && deviceIds.length === 0) {
+        return res.status(400).json({ error: 'device_id must list device IDs' })
+    }
+
+    const dwell = await computeDwell({ from: new Date(fromMs), to: new Date(toMs), gapSeconds, deviceIds, histogramMinutes })
+    const stuck = await computeStuck({
+        gapSeconds,
+        stuckSeconds: stuckMinutes * 60,
+        // trace ongoing sessions back a few times the limit so their length is not cut short
+        lookbackSeconds: Math.min(86400, stuckMinutes * 60 * 4),
+        deviceIds,
+    })
+
+    const ids = [...new Set([...dwell.keys(), ...stuck.keys()])].sort((a, b) => a - b)
+    res.json({
+        from: new Date(fromMs),
+        to: new Date(toMs),
+        session_gap_seconds: gapSeconds,
+        stuck_minutes: stuckMinutes,
+        devices: ids.map(id => ({
+            device_id: id,
+            ...(dwell.get(id) || { sessions: 0, mean_seconds: null, median_seconds: null, p90_seconds: null, max_seconds: null, histogram: [] }),
+            stuck: stuck.get(id) || { count: 0, longest_seconds: 0 },
+        })),
+    })
+}))
+
 module.exports = router
\ No newline at end of file
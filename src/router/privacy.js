@@ -0,0 +1,159 @@
+const express = require('express')
+const router = express.Router()
+const asyncHandler = require('../utils/asyncHandler')
+const pool = require('../utils/db')
+const { requireRole } = require('../utils/operatorAuth')
+const { ROTATION, WIFI_LIST_STORE, secretSource } = require('../utils/macHash')
+const { eraseMac } = require('../utils/macErasure')
+
+/**
+ * @swagger
+ * tags:
+ *   name: Privacy
+ *   description: MAC pseudonymization settings and erasure requests.
+ */
+
+/**
+ * @swagger
+ * /privacy/settings:
+ *   get:
+ *     summary: Show how MAC addresses are pseudonymized and stored
+ *     tags: [Privacy]
+ *     security:
+ *       - OperatorToken: []
+ *     responses:
+ *       200:
+ *         description: The current settings.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keyed:
+ *                   type: boolean
+ *                   description: Always true; MACs are always hashed with a key.
+ *                 secret_source:
+ *                   type: string
+ *                   enum: [env, generated]
+ *                   description: "'generated' when MAC_HASH_SECRET is not set and the key was generated and stored in the database."
+ *                 rotation:
+ *                   type: string
+ *                   enum: [none, daily, weekly]
+ *                   description: How often pseudonyms change (UTC days, or weeks starting on Monday).
+ *                 wifi_list_store:
+ *                   type: string
+ *                   enum: [raw, pseudonym]
+ *                   description: Whether crowd_data.wifi_list keeps the MACs as sent or only their pseudonyms.
+ */
+router.get('/settings', requireRole('operator'), (req, res) => {
+    res.json({ keyed: true, secret_source: secretSource(), rotation: ROTATION, wifi_list_store: WIFI_LIST_STORE })
+})
+
+/**
+ * @swagger
+ * /privacy/erase:
+ *   post:
+ *     summary: Delete all data stored for a MAC address
+ *     description: >
+ *       Removes the MAC's tracked devices under every pseudonym it may have had, with all their
+ *       observations, its ignore list entries and candidates, and the MAC from every wifi list.
+ *       Aggregates such as headcounts and rollups do not identify anyone and are kept.
+ *     tags: [Privacy]
+ *     security:
+ *       - AdminToken: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [mac]
+ *             properties:
+ *               mac:
+ *                 type: string
+ *                 example: "00:11:22:33:44:55"
+ *     responses:
+ *       200:
+ *         description: How many rows were removed or changed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 observations:
+ *                   type: integer
+ *                 tracked_devices:
+ *                   type: integer
+ *                 ignore_list_entries:
+ *                   type: integer
+ *                 ignore_candidates:
+ *                   type: integer
+ *                 wifi_lists:
+ *                   type: integer
+ *                   description: crowd_data rows the MAC was removed from.
+ *       400:
+ *         description: mac is required.
+ */
+router.post('/erase', requireRole('admin'), asyncHandler(async (req, res) => {
+    const { mac } = req.body || {}
+    if (typeof mac !== 'string' || mac.trim() === '') {
+        return res.status(400).json({ error: 'mac is required' })
+    }
+
+    const erased = await eraseMac(mac.trim(), { requestedBy: req.operator.name })
+    res.json(erased)
+}))
+
+/**
+ * @swagger
+ * /privacy/erasures:
+ *   get:
+ *     summary: List past MAC erasures
+ *     description: The audit log of erasure requests. It records who asked and how much was removed, never the MAC.
+ *     tags: [Privacy]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Erasures, newest first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                   requested_by:
+ *                     type: string
+ *                     nullable: true
+ *                   erased:
+ *                     type: object
+ *                     description: The counts POST /privacy/erase returned.
+ *                   created_at:
+ *                     type: string
+ *                     format: date-time
+ */
+router.get('/erasures', requireRole('admin'), asyncHandler(async (req, res) => {
+    const limit = Math.min(1000, Number(req.query.limit) || 100)
+    const offset = Math.max(0, Number(req.query.offset) || 0)
+    const [rows] = await pool.query(
+        'SELECT * FROM mac_erasures ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?',
+        [limit, offset]
+    )
+    res.json(rows)
+}))
+
+module.exports = router
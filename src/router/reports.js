@@ -0,0 +1,639 @@
+const express = require('express')
+const router = express.Router()
+const asyncHandler = require('../utils/asyncHandler')
+const pool = require('../utils/db')
+const { requireRole } = require('../utils/operatorAuth')
+const { parseTimeZone } = require('../utils/thresholds')
+const { REPORT_FREQUENCIES, findReport, createReport } = require('../utils/reports')
+const { renderReportHtml } = require('../utils/reportHtml')
+
+// on-demand reports are built while the client waits, so their range is capped
+const MAX_REPORT_DAYS = Number(process.env.REPORT_MAX_DAYS) || 31
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReportSchedule:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         venue_id:
+ *           type: integer
+ *         venue_name:
+ *           type: string
+ *         frequency:
+ *           type: string
+ *           enum: [daily, weekly]
+ *           description: Daily reports cover the previous day, weekly ones the previous week (Monday to Sunday).
+ *         time_zone:
+ *           type: string
+ *           example: "Asia/Seoul"
+ *         send_hour:
+ *           type: integer
+ *           example: 7
+ *           description: Local hour after the end of the period at which the report is made.
+ *         deliver:
+ *           type: boolean
+ *           description: Whether the report is sent to the venue's webhooks.
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     ReportFigures:
+ *       type: object
+ *       description: >
+ *         Figures for a device, a zone or the whole venue. Headcounts are taken per minute (the highest
+ *         reading of the minute); minutes without readings are left out.
+ *       properties:
+ *         minutes_reported:
+ *           type: integer
+ *         peak_headcount:
+ *           type: integer
+ *           nullable: true
+ *         peak_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: The first minute the peak was reached.
+ *         average_headcount:
+ *           type: number
+ *           nullable: true
+ *         minutes_in_warning:
+ *           type: integer
+ *         minutes_in_danger:
+ *           type: integer
+ *         busiest_hour:
+ *           type: object
+ *           nullable: true
+ *           description: The hour with the highest average headcount.
+ *           properties:
+ *             start:
+ *               type: string
+ *               format: date-time
+ *             end:
+ *               type: string
+ *               format: date-time
+ *             average_headcount:
+ *               type: number
+ *         alerts:
+ *           type: object
+ *           description: Alerts raised during the period.
+ *           properties:
+ *             warning:
+ *               type: integer
+ *             danger:
+ *               type: integer
+ *             total:
+ *               type: integer
+ *         previous:
+ *           type: object
+ *           description: The same figures for the period before.
+ *           properties:
+ *             peak_headcount:
+ *               type: integer
+ *               nullable: true
+ *             average_headcount:
+ *               type: number
+ *               nullable: true
+ *         change:
+ *           type: object
+ *           description: Change from the period before in percent, null when there is nothing to compare with.
+ *           properties:
+ *             peak_headcount_pct:
+ *               type: number
+ *               nullable: true
+ *             average_headcount_pct:
+ *               type: number
+ *               nullable: true
+ *     ReportSummary:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         schedule_id:
+ *           type: integer
+ *           nullable: true
+ *           description: The schedule that made the report; null for reports made on demand.
+ *         venue_id:
+ *           type: integer
+ *         period:
+ *           type: string
+ *           enum: [daily, weekly, custom]
+ *         from:
+ *           type: string
+ *           format: date-time
+ *         to:
+ *           type: string
+ *           format: date-time
+ *           description: End of the period (exclusive).
+ *         time_zone:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     Report:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ReportSummary'
+ *         - type: object
+ *           properties:
+ *             venue:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                 name:
+ *                   type: string
+ *             generated_at:
+ *               type: string
+ *               format: date-time
+ *             previous_period:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *             summary:
+ *               description: >
+ *                 The whole venue. Its headcount each minute is the number of distinct MACs seen by
+ *                 any of its devices, so people in overlapping zones count once.
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ReportFigures'
+ *                 - type: object
+ *                   properties:
+ *                     zones:
+ *                       type: integer
+ *                     devices:
+ *                       type: integer
+ *                     days:
+ *                       type: array
+ *                       description: Peak and average per day, each compared with the day before.
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           start:
+ *                             type: string
+ *                             format: date-time
+ *                           peak_headcount:
+ *                             type: integer
+ *                             nullable: true
+ *                           average_headcount:
+ *                             type: number
+ *                             nullable: true
+ *                           peak_change_pct:
+ *                             type: number
+ *                             nullable: true
+ *             zones:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - type: object
+ *                     properties:
+ *                       zone_id:
+ *                         type: integer
+ *                       zone_name:
+ *                         type: string
+ *                   - $ref: '#/components/schemas/ReportFigures'
+ *             devices:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - type: object
+ *                     properties:
+ *                       device_id:
+ *                         type: integer
+ *                       device_name:
+ *                         type: string
+ *                       zone_id:
+ *                         type: integer
+ *                       zone_name:
+ *                         type: string
+ *                   - $ref: '#/components/schemas/ReportFigures'
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reports
+ *   description: >
+ *     Occupancy reports per venue, with figures for the venue, each of its zones and each device in them.
+ *     Schedules make a daily or weekly report every morning and send it to the venue's webhooks
+ *     (event type `report`); reports for any range can also be made on demand. Every report is stored
+ *     and can be fetched as JSON or as a self-contained HTML page.
+ */
+
+const parseId = (v) => {
+    const n = Number(v)
+    return Number.isInteger(n) && n > 0 ? n : null
+}
+
+const parseSendHour = (v) => (Number.isInteger(v) && v >= 0 && v <= 23 ? v : null)
+
+const findVenue = async (id) => {
+    const [rows] = await pool.query('SELECT id, name FROM venues WHERE id = ?', [id])
+    return rows[0] || null
+}
+
+const findSchedule = async (id) => {
+    const [rows] = await pool.query(
+        `SELECT s.*, v.name AS venue_name FROM report_schedules s JOIN venues v ON v.id = s.venue_id WHERE s.id = ?`,
+        [id]
+    )
+    return rows[0] ? { ...rows[0], deliver: Boolean(rows[0].deliver) } : null
+}
+
+/**
+ * @swagger
+ * /reports/schedules:
+ *   get:
+ *     summary: List report schedules
+ *     tags: [Reports]
+ *     parameters:
+ *       - in: query
+ *         name: venue_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The schedules.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ReportSchedule'
+ */
+router.get('/schedules', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const venueId = req.query.venue_id === undefined ? null : parseId(req.query.venue_id)
+    const [rows] = await pool.query(
+        `SELECT s.*, v.name AS venue_name FROM report_schedules s JOIN venues v ON v.id = s.venue_id
+         ${venueId === null ? '' : 'WHERE s.venue_id = ?'} ORDER BY v.name, s.frequency`,
+        venueId === null ? [] : [venueId]
+    )
+    res.json(rows.map(r => ({ ...r, deliver: Boolean(r.deliver) })))
+}))
+
+/**
+ * @swagger
+ * /reports/schedules:
+ *   post:
+ *     summary: Schedule daily or weekly reports for a venue
+ *     tags: [Reports]
+ *     security:
+ *       - OperatorToken: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [venue_id, frequency]
+ *             properties:
+ *               venue_id:
+ *                 type: integer
+ *               frequency:
+ *                 type: string
+ *                 enum: [daily, weekly]
+ *               time_zone:
+ *                 type: string
+ *                 description: IANA time zone for the period boundaries and the send hour (default UTC).
+ *               send_hour:
+ *                 type: integer
+ *                 default: 7
+ *               deliver:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: The new schedule. The last complete period is reported at the next check once its send hour has passed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReportSchedule'
+ *       400:
+ *         description: Invalid field.
+ *       404:
+ *         description: Venue not found.
+ *       409:
+ *         description: The venue already has a schedule with this frequency.
+ */
+router.post('/schedules', requireRole('operator'), asyncHandler(async (req, res) => {
+    const body = req.body || {}
+    const { venue_id, frequency, send_hour = 7, deliver = true } = body
+    if (!REPORT_FREQUENCIES.includes(frequency)) {
+        return res.status(400).json({ error: `frequency must be one of ${REPORT_FREQUENCIES.join(', ')}` })
+    }
+    const { timeZone, error } = parseTimeZone(body.time_zone ?? 'UTC')
+    if (error) {
+        return res.status(400).json({ error })
+    }
+    if (parseSendHour(send_hour) === null) {
+        return res.status(400).json({ error: 'send_hour must be an integer from 0 to 23' })
+    }
+    if (typeof deliver !== 'boolean') {
+        return res.status(400).json({ error: 'deliver must be a boolean' })
+    }
+    const venue = await findVenue(parseId(venue_id))
+    if (!venue) {
+        return res.status(404).json({ error: 'Venue not found' })
+    }
+
+    try {
+        const [result] = await pool.query(
+            'INSERT INTO report_schedules (venue_id, frequency, time_zone, send_hour, deliver) VALUES (?, ?, ?, ?, ?)',
+            [venue.id, frequency, timeZone, send_hour, deliver]
+        )
+        res.status(201).json(await findSchedule(result.insertId))
+    } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: `This venue already has a ${frequency} report schedule` })
+        }
+        throw err
+    }
+}))
+
+/**
+ * @swagger
+ * /reports/schedules/{id}:
+ *   put:
+ *     summary: Change a report schedule
+ *     tags: [Reports]
+ *     security:
+ *       - OperatorToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               time_zone:
+ *                 type: string
+ *               send_hour:
+ *                 type: integer
+ *               deliver:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: The updated schedule.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReportSchedule'
+ *       400:
+ *         description: Invalid field.
+ *       404:
+ *         description: Schedule not found.
+ */
+router.put('/schedules/:id', requireRole('operator'), asyncHandler(async (req, res) => {
+    const schedule = await findSchedule(parseId(req.params.id))
+    if (!schedule) {
+        return res.status(404).json({ error: 'Schedule not found' })
+    }
+
+    const body = req.body || {}
+    const { timeZone, error } = parseTimeZone(body.time_zone ?? schedule.time_zone)
+    if (error) {
+        return res.status(400).json({ error })
+    }
+    const sendHour = body.send_hour ?? schedule.send_hour
+    if (parseSendHour(sendHour) === null) {
+        return res.status(400).json({ error: 'send_hour must be an integer from 0 to 23' })
+    }
+    const deliver = body.deliver ?? schedule.deliver
+    if (typeof deliver !== 'boolean') {
+        return res.status(400).json({ error: 'deliver must be a boolean' })
+    }
+
+    await pool.query(
+        'UPDATE report_schedules SET time_zone = ?, send_hour = ?, deliver = ? WHERE id = ?',
+        [timeZone, sendHour, deliver, schedule.id]
+    )
+    res.json(await findSchedule(schedule.id))
+}))
+
+/**
+ * @swagger
+ * /reports/schedules/{id}:
+ *   delete:
+ *     summary: Delete a report schedule
+ *     description: Reports it already made are kept.
+ *     tags: [Reports]
+ *     security:
+ *       - OperatorToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: Schedule deleted.
+ *       404:
+ *         description: Schedule not found.
+ */
+router.delete('/schedules/:id', requireRole('operator'), asyncHandler(async (req, res) => {
+    const [result] = await pool.query('DELETE FROM report_schedules WHERE id = ?', [parseId(req.params.id)])
+    if (result.affectedRows === 0) {
+        return res.status(404).json({ error: 'Schedule not found' })
+    }
+    res.status(204).send()
+}))
+
+/**
+ * @swagger
+ * /reports:
+ *   get:
+ *     summary: List stored reports
+ *     tags: [Reports]
+ *     parameters:
+ *       - in: query
+ *         name: venue_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [daily, weekly, custom]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Reports without their content, latest period first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/ReportSummary'
+ *                   - type: object
+ *                     properties:
+ *                       venue_name:
+ *                         type: string
+ *       400:
+ *         description: Invalid filter value.
+ */
+router.get('/', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const { venue_id, period } = req.query
+    const limit = Math.min(500, Number(req.query.limit) || 50)
+    const offset = Math.max(0, Number(req.query.offset) || 0)
+
+    const where = []
+    const params = []
+    if (venue_id) {
+        where.push('r.venue_id = ?')
+        params.push(venue_id)
+    }
+    if (period) {
+        if (![...REPORT_FREQUENCIES, 'custom'].includes(period)) {
+            return res.status(400).json({ error: `period must be one of ${[...REPORT_FREQUENCIES, 'custom'].join(', ')}` })
+        }
+        where.push('r.period = ?')
+        params.push(period)
+    }
+
+    const [rows] = await pool.query(
+        `SELECT r.id, r.schedule_id, r.venue_id, v.name AS venue_name, r.period, r.range_start AS \`from\`,
+                r.range_end AS \`to\`, r.time_zone, r.created_at
+         FROM reports r JOIN venues v ON v.id = r.venue_id
+         ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+         ORDER BY r.range_start DESC, r.id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+    )
+    res.json(rows)
+}))
+
+/**
+ * @swagger
+ * /reports:
+ *   post:
+ *     summary: Make a report for any range
+ *     description: >
+ *       Builds the report now and stores it with period `custom`. The figures are compared with the
+ *       range of the same length just before.
+ *     tags: [Reports]
+ *     security:
+ *       - OperatorToken: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [venue_id, from, to]
+ *             properties:
+ *               venue_id:
+ *                 type: integer
+ *               from:
+ *                 type: string
+ *                 format: date-time
+ *               to:
+ *                 type: string
+ *                 format: date-time
+ *               time_zone:
+ *                 type: string
+ *                 description: IANA time zone for busiest hours and days (default UTC).
+ *     responses:
+ *       201:
+ *         description: The new report.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Report'
+ *       400:
+ *         description: Invalid range or time zone.
+ *       404:
+ *         description: Venue not found.
+ */
+router.post('/', requireRole('operator'), asyncHandler(async (req, res) => {
+    const body = req.body || {}
+    const fromMs = Date.parse(body.from)
+    const toMs = Date.parse(body.to)
+    if (Number.isNaN(fromMs) || Number.isNaN(toMs) || fromMs >= toMs) {
+        return res.status(400).json({ error: 'from and to must be valid dates with from < to' })
+    }
+    if (toMs - fromMs > MAX_REPORT_DAYS * 86400 * 1000) {
+        return res.status(400).json({ error: `A report can cover at most ${MAX_REPORT_DAYS} days` })
+    }
+    const { timeZone, error } = parseTimeZone(body.time_zone ?? 'UTC')
+    if (error) {
+        return res.status(400).json({ error })
+    }
+    const venue = await findVenue(parseId(body.venue_id))
+    if (!venue) {
+        return res.status(404).json({ error: 'Venue not found' })
+    }
+
+    const report = await createReport({ venue, period: 'custom', fromMs, toMs, tz: timeZone })
+    res.status(201).json(report)
+}))
+
+/**
+ * @swagger
+ * /reports/{id}:
+ *   get:
+ *     summary: Get a report as JSON or as an HTML page
+ *     tags: [Reports]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, html]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: The report.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Report'
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unknown format.
+ *       404:
+ *         description: Report not found.
+ */
+router.get('/:id', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const format = req.query.format || 'json'
+    if (format !== 'json' && format !== 'html') {
+        return res.status(400).json({ error: 'format must be json or html' })
+    }
+    const report = await findReport(parseId(req.params.id))
+    if (!report) {
+        return res.status(404).json({ error: 'Report not found' })
+    }
+
+    if (format === 'html') {
+        return res.type('html').send(renderReportHtml(report))
+    }
+    res.json(report)
+}))
+
+module.exports = router
@@ -0,0 +1,125 @@
+const express = require('express')
+const router = express.Router()
+const { requireRole } = require('../utils/operatorAuth')
+const { eventsSince, subscribe, parseFilter, matchesFilter } = require('../utils/eventStream')
+
+const HEARTBEAT_MS = 25000
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StreamEvent:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Event ID to resume from (Last-Event-ID).
+ *           example: "lx2k9a-42"
+ *         type:
+ *           type: string
+ *           enum: [status, prediction, alert, health, zone_status]
+ *         device_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Null for zone events.
+ *         zone_id:
+ *           type: integer
+ *           nullable: true
+ *           description: The zone of zone_status events and zone alerts; null for device events.
+ *         at:
+ *           type: string
+ *           format: date-time
+ *         data:
+ *           type: object
+ *           description: >
+ *             status: device_id, crowd_data_id, headcount, density, status, window_seconds.
+ *             prediction: device_id, neighbors (NeighborPrediction list).
+ *             alert: device_id (or zone_id), alert_id, alert_type, level, state, created, escalated.
+ *             health: device_id, state (online, stale, offline), previous_state.
+ *             zone_status: zone_id, zone_data_id, headcount, device_headcount_sum, density, status, window_seconds.
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Stream
+ *   description: >
+ *     Real-time push of status, prediction, alert and device health events. Use Server-Sent Events on `GET /stream`
+ *     or a WebSocket on `/stream/ws`. The WebSocket takes the same `device_id`, `zone_id`, `last_event_id` and
+ *     `access_token` query parameters, sends each event as a JSON text message, and accepts
+ *     `{"action": "subscribe", "device_ids": [1, 2], "zone_ids": [3]}` (leave both out for everything) to change
+ *     the subscription.
+ *     A `resync` event means some events could not be replayed and current state should be re-fetched.
+ */
+
+/**
+ * @swagger
+ * /stream:
+ *   get:
+ *     summary: Subscribe to real-time events over Server-Sent Events
+ *     tags: [Stream]
+ *     parameters:
+ *       - in: query
+ *         name: device_id
+ *         schema:
+ *           type: string
+ *         description: "Comma separated device IDs. With neither device_id nor zone_id, every event is sent."
+ *       - in: query
+ *         name: zone_id
+ *         schema:
+ *           type: string
+ *         description: "Comma separated zone IDs, for their zone_status events and zone alerts. Combined with device_id, events matching either are sent."
+ *       - in: query
+ *         name: last_event_id
+ *         schema:
+ *           type: string
+ *         description: Resume after this event. The Last-Event-ID header takes precedence.
+ *       - in: query
+ *         name: access_token
+ *         schema:
+ *           type: string
+ *         description: Viewer token, for clients that cannot set the Authorization header.
+ *     responses:
+ *       200:
+ *         description: An endless text/event-stream of StreamEvent objects.
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               $ref: '#/components/schemas/StreamEvent'
+ *       401:
+ *         description: Missing or invalid token.
+ */
+router.get('/', requireRole('viewer', { allowQueryToken: true }), (req, res) => {
+    const filter = parseFilter(req.query.device_id, req.query.zone_id)
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    })
+    res.flushHeaders()
+
+    const send = (event) => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`)
+    }
+
+    const { events, complete } = eventsSince(req.get('Last-Event-ID') || req.query.last_event_id)
+    if (!complete) {
+        res.write('event: resync\ndata: {}\n\n')
+    }
+    events.filter(e => matchesFilter(filter, e)).forEach(send)
+
+    const unsubscribe = subscribe((event) => {
+        if (matchesFilter(filter, event)) send(event)
+    })
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS)
+
+    req.on('close', () => {
+        clearInterval(heartbeat)
+        unsubscribe()
+    })
+})
+
+module.exports = router
@@ -0,0 +1,331 @@
+const express = require('express')
+const router = express.Router()
+const asyncHandler = require('../utils/asyncHandler')
+const pool = require('../utils/db')
+const { requireRole } = require('../utils/operatorAuth')
+const { WINDOW_SECONDS } = require('../utils/ingestion')
+const { countDistinct, currentZoneState } = require('../utils/zones')
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Venue:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           example: "Convention Center"
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         zone_count:
+ *           type: integer
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Venues
+ *   description: Venues group zones, which group devices.
+ */
+
+const parseId = (v) => {
+    const n = Number(v)
+    return Number.isInteger(n) && n > 0 ? n : null
+}
+
+const validName = (name) => typeof name === 'string' && name.trim() !== '' && name.length <= 255
+
+/**
+ * @swagger
+ * /venues:
+ *   get:
+ *     summary: List venues
+ *     tags: [Venues]
+ *     responses:
+ *       200:
+ *         description: All venues with the number of zones in each.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Venue'
+ */
+router.get('/', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const [rows] = await pool.query(
+        `SELECT v.*, COUNT(z.id) AS zone_count FROM venues v
+         LEFT JOIN zones z ON z.venue_id = v.id
+         GROUP BY v.id ORDER BY v.name`
+    )
+    res.json(rows)
+}))
+
+/**
+ * @swagger
+ * /venues:
+ *   post:
+ *     summary: Create a venue
+ *     tags: [Venues]
+ *     security:
+ *       - AdminToken: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The new venue.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Venue'
+ *       400:
+ *         description: Missing or invalid name.
+ *       409:
+ *         description: A venue with this name already exists.
+ */
+router.post('/', requireRole('admin'), asyncHandler(async (req, res) => {
+    const { name, description = null } = req.body || {}
+    if (!validName(name)) {
+        return res.status(400).json({ error: 'name must be a non-empty string of at most 255 characters' })
+    }
+
+    try {
+        const [result] = await pool.query('INSERT INTO venues (name, description) VALUES (?, ?)', [name.trim(), description])
+        res.status(201).json({ id: result.insertId, name: name.trim(), description, zone_count: 0 })
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'A venue with this name already exists' })
+        }
+        throw error
+    }
+}))
+
+/**
+ * @swagger
+ * /venues/{id}:
+ *   get:
+ *     summary: Get a venue and its zones
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The venue ID.
+ *     responses:
+ *       200:
+ *         description: The venue with its zones.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Venue'
+ *                 - type: object
+ *                   properties:
+ *                     zones:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Zone'
+ *       404:
+ *         description: Venue not found.
+ */
+router.get('/:id', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const [venues] = await pool.query('SELECT * FROM venues WHERE id = ?', [parseId(req.params.id)])
+    if (venues.length === 0) {
+        return res.status(404).json({ error: 'Venue not found' })
+    }
+
+    const [zones] = await pool.query(
+        `SELECT z.*, COUNT(d.id) AS device_count FROM zones z
+         LEFT JOIN devices d ON d.zone_id = z.id
+         WHERE z.venue_id = ? GROUP BY z.id ORDER BY z.name`,
+        [venues[0].id]
+    )
+    res.json({ ...venues[0], zone_count: zones.length, zones })
+}))
+
+/**
+ * @swagger
+ * /venues/{id}:
+ *   put:
+ *     summary: Rename a venue or change its description
+ *     tags: [Venues]
+ *     security:
+ *       - OperatorToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The venue ID.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: The updated venue.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Venue'
+ *       400:
+ *         description: Invalid name.
+ *       404:
+ *         description: Venue not found.
+ *       409:
+ *         description: A venue with this name already exists.
+ */
+router.put('/:id', requireRole('operator'), asyncHandler(async (req, res) => {
+    const venueId = parseId(req.params.id)
+    const { name, description } = req.body || {}
+    if (name !== undefined && !validName(name)) {
+        return res.status(400).json({ error: 'name must be a non-empty string of at most 255 characters' })
+    }
+
+    const [venues] = await pool.query('SELECT * FROM venues WHERE id = ?', [venueId])
+    if (venues.length === 0) {
+        return res.status(404).json({ error: 'Venue not found' })
+    }
+
+    const newName = name !== undefined ? name.trim() : venues[0].name
+    const newDescription = description !== undefined ? description : venues[0].description
+    try {
+        await pool.query('UPDATE venues SET name = ?, description = ? WHERE id = ?', [newName, newDescription, venueId])
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'A venue with this name already exists' })
+        }
+        throw error
+    }
+    res.json({ ...venues[0], name: newName, description: newDescription })
+}))
+
+/**
+ * @swagger
+ * /venues/{id}:
+ *   delete:
+ *     summary: Delete a venue and its zones
+ *     description: The venue's devices are kept, without a zone.
+ *     tags: [Venues]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The venue ID.
+ *     responses:
+ *       204:
+ *         description: Venue deleted.
+ *       404:
+ *         description: Venue not found.
+ */
+router.delete('/:id', requireRole('admin'), asyncHandler(async (req, res) => {
+    const [result] = await pool.query('DELETE FROM venues WHERE id = ?', [parseId(req.params.id)])
+    if (result.affectedRows === 0) {
+        return res.status(404).json({ error: 'Venue not found' })
+    }
+    res.status(204).send()
+}))
+
+/**
+ * @swagger
+ * /venues/{id}/current:
+ *   get:
+ *     summary: Get the current occupancy of a venue and each of its zones
+ *     description: >
+ *       People seen by several devices, in the same zone or in different zones, count once
+ *       in the venue's headcount. A person between two zones counts in both zones.
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The venue ID.
+ *     responses:
+ *       200:
+ *         description: The venue's headcount and the current state of each zone.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 venue:
+ *                   $ref: '#/components/schemas/Venue'
+ *                 headcount:
+ *                   type: integer
+ *                 weighted_headcount:
+ *                   type: number
+ *                 window_seconds:
+ *                   type: integer
+ *                 zones:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ZoneCurrent'
+ *       404:
+ *         description: Venue not found.
+ */
+router.get('/:id/current', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const [venues] = await pool.query('SELECT * FROM venues WHERE id = ?', [parseId(req.params.id)])
+    if (venues.length === 0) {
+        return res.status(404).json({ error: 'Venue not found' })
+    }
+    const venue = venues[0]
+
+    const conn = await pool.getConnection()
+    try {
+        const [zones] = await conn.query('SELECT * FROM zones WHERE venue_id = ? ORDER BY name', [venue.id])
+        const [devices] = await conn.query(
+            'SELECT d.id FROM devices d JOIN zones z ON z.id = d.zone_id WHERE z.venue_id = ?',
+            [venue.id]
+        )
+        const total = await countDistinct(conn, devices.map(d => d.id), WINDOW_SECONDS)
+
+        const zoneStates = []
+        for (const zone of zones) {
+            zoneStates.push(await currentZoneState(conn, { ...zone, venue_name: venue.name }, WINDOW_SECONDS))
+        }
+
+        res.json({
+            venue: { ...venue, zone_count: zones.length },
+            headcount: total.headcount,
+            weighted_headcount: total.weightedHeadcount,
+            window_seconds: WINDOW_SECONDS,
+            zones: zoneStates,
+        })
+    } finally {
+        conn.release()
+    }
+}))
+
+module.exports = router
@@ -2,6 +2,21 @@ const express = require('express')
 const router = express.Router()
 const asyncHandler = require('../utils/asyncHandler')
 const pool = require('../utils/db')
+const { requireRole } = require('../utils/operatorAuth')
+const { processDueDeliveries } = require('../utils/webhookDispatcher')
+const { generateSecret } = require('../utils/webhookSignature')
+
+// what a webhook can belong to: its column, the table it refers to and the name used in errors
+const OWNERS = [
+    { column: 'device_id', table: 'devices', name: 'Device' },
+    { column: 'zone_id', table: 'zones', name: 'Zone' },
+    { column: 'venue_id', table: 'venues', name: 'Venue' },
+]
+
+const ownerExists = async (owner, id) => {
+    const [rows] = await pool.query(`SELECT id FROM ${owner.table} WHERE id = ?`, [id])
+    return rows.length > 0
+}
 
 /**
  * @swagger
@@ -15,7 +30,16 @@ const pool = require('../utils/db')
  *           description: The unique identifier for the webhook.
  *         device_id:
  *           type: integer
+ *           nullable: true
  *           description: The ID of the device this webhook is for.
+ *         zone_id:
+ *           type: integer
+ *           nullable: true
+ *           description: The ID of the zone this webhook is for, instead of a device.
+ *         venue_id:
+ *           type: integer
+ *           nullable: true
+ *           description: The ID of the venue this webhook is for. Venue webhooks receive its scheduled reports.
  *         url:
  *           type: string
  *           description: The URL to send the webhook POST request to.
@@ -23,21 +47,78 @@ const pool = require('../utils/db')
  *           type: string
  *           format: date-time
  *           description: The timestamp when the webhook was registered.
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         webhook_id:
+ *           type: integer
+ *         alert_id:
+ *           type: integer
+ *           nullable: true
+ *         event_type:
+ *           type: string
+ *           example: alert
+ *         payload:
+ *           type: object
+ *           description: The JSON body sent to the webhook URL.
+ *         state:
+ *           type: string
+ *           enum: [pending, delivering, delivered, dead]
+ *           description: "'dead' means every retry failed and the delivery is parked until redelivered."
+ *         attempts:
+ *           type: integer
+ *         next_attempt_at:
+ *           type: string
+ *           format: date-time
+ *         last_error:
+ *           type: string
+ *           nullable: true
+ *         delivered_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     WebhookDeliveryAttempt:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         status_code:
+ *           type: integer
+ *           nullable: true
+ *           description: HTTP status returned by the receiver. Null when no response was received.
+ *         latency_ms:
+ *           type: integer
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         attempted_at:
+ *           type: string
+ *           format: date-time
  */
 
 /**
  * @swagger
  * tags:
  *   name: Webhooks
- *   description: API for managing webhook notifications.
+ *   description: >
+ *     API for managing webhook notifications. Every delivery carries `X-Webhook-Id` (unique per event,
+ *     stable across retries), `X-Webhook-Timestamp` (unix seconds) and `X-Webhook-Signature`, a comma
+ *     separated list of `v1=<hex>` HMAC-SHA256 signatures of `<id>.<timestamp>.<raw body>`.
  */
 
 /**
  * @swagger
  * /webhooks:
  *   post:
- *     summary: Register a new webhook URL for a device
+ *     summary: Register a new webhook URL for a device, zone or venue
  *     tags: [Webhooks]
+ *     security:
+ *       - AdminToken: []
  *     requestBody:
  *       required: true
  *       content:
@@ -45,48 +126,116 @@ const pool = require('../utils/db')
  *           schema:
  *             type: object
  *             required:
- *               - device_id
  *               - url
  *             properties:
  *               device_id:
  *                 type: integer
  *                 example: 1
+ *               zone_id:
+ *                 type: integer
+ *                 description: Receive the zone's alerts instead of a device's.
+ *               venue_id:
+ *                 type: integer
+ *                 description: Receive the venue's scheduled reports. Give exactly one of device_id, zone_id or venue_id.
  *               url:
  *                 type: string
  *                 example: "https://example.com/my-webhook-listener"
  *     responses:
  *       201:
- *         description: The newly registered webhook.
+ *         description: The newly registered webhook. The signing secret is only returned here and on rotation.
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Webhook'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Webhook'
+ *                 - type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       example: "whsec_3f1c..."
  *       400:
- *         description: Missing required fields.
+ *         description: Missing required fields, or more than one of device_id, zone_id and venue_id given.
+ *       404:
+ *         description: The device, zone or venue does not exist.
  *       409:
- *         description: Webhook URL already exists for this device.
+ *         description: Webhook URL already exists for this device, zone or venue.
  */
-router.post('/', asyncHandler(async (req, res) => {
-    const { device_id, url } = req.body
-    if (!device_id || !url) {
-        return res.status(400).json({ error: 'device_id and url are required' })
+router.post('/', requireRole('admin'), asyncHandler(async (req, res) => {
+    const { device_id = null, zone_id = null, venue_id = null, url } = req.body
+    if ([device_id, zone_id, venue_id].filter(Boolean).length !== 1 || !url) {
+        return res.status(400).json({ error: 'url and exactly one of device_id, zone_id or venue_id are required' })
     }
+    const owner = OWNERS.find(o => req.body[o.column])
+    if (!(await ownerExists(owner, req.body[owner.column]))) {
+        return res.status(404).json({ error: `${owner.name} not found` })
+    }
+
+    const secret = generateSecret()
 
     try {
         const [result] = await pool.query(
-            'INSERT INTO webhooks (device_id, url) VALUES (?, ?)',
-            [device_id, url]
+            'INSERT INTO webhooks (device_id, zone_id, venue_id, url, secret) VALUES (?, ?, ?, ?, ?)',
+            [device_id, zone_id, venue_id, url, secret]
         )
-        res.status(201).json({ id: result.insertId, device_id, url })
+        res.status(201).json({ id: result.insertId, device_id, zone_id, venue_id, url, secret })
     } catch (error) {
         // Handle potential unique constraint violation
         if (error.code === 'ER_DUP_ENTRY') {
-            return res.status(409).json({ error: 'This webhook URL is already registered for this device.' })
+            return res.status(409).json({ error: `This webhook URL is already registered for this ${venue_id ? 'venue' : zone_id ? 'zone' : 'device'}.` })
         }
         throw error
     }
 }))
 
+/**
+ * @swagger
+ * /webhooks:
+ *   get:
+ *     summary: List webhooks, optionally of one device, zone or venue
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: query
+ *         name: device_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: zone_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: venue_id
+ *         schema:
+ *           type: integer
+ *         description: Give at most one of device_id, zone_id and venue_id.
+ *     responses:
+ *       200:
+ *         description: The webhooks, without their secrets.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: More than one owner filter given, or one that is not an ID.
+ */
+router.get('/', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const filters = OWNERS.filter(o => req.query[o.column] !== undefined)
+    if (filters.length > 1) {
+        return res.status(400).json({ error: 'Give at most one of device_id, zone_id or venue_id' })
+    }
+    const owner = filters[0]
+    const ownerId = owner ? Number(req.query[owner.column]) : null
+    if (owner && !(Number.isInteger(ownerId) && ownerId > 0)) {
+        return res.status(400).json({ error: `${owner.column} must be an ID` })
+    }
+
+    const [rows] = owner
+        ? await pool.query(`SELECT id, device_id, zone_id, venue_id, url, created_at FROM webhooks WHERE ${owner.column} = ? ORDER BY id`, [ownerId])
+        : await pool.query('SELECT id, device_id, zone_id, venue_id, url, created_at FROM webhooks ORDER BY id')
+    res.json(rows)
+}))
+
 /**
  * @swagger
  * /webhooks/{device_id}:
@@ -110,7 +259,7 @@ router.post('/', asyncHandler(async (req, res) => {
  *               items:
  *                 $ref: '#/components/schemas/Webhook'
  */
-router.get('/:device_id', asyncHandler(async (req, res) => {
+router.get('/:device_id', requireRole('viewer'), asyncHandler(async (req, res) => {
     const { device_id } = req.params
     const [rows] = await pool.query('SELECT id, url, created_at FROM webhooks WHERE device_id = ?', [device_id])
     res.json(rows)
@@ -122,6 +271,8 @@ router.get('/:device_id', asyncHandler(async (req, res) => {
  *   delete:
  *     summary: Delete a webhook
  *     tags: [Webhooks]
+ *     security:
+ *       - AdminToken: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -135,7 +286,7 @@ router.get('/:device_id', asyncHandler(async (req, res) => {
  *       404:
  *         description: Webhook not found.
  */
-router.delete('/:id', asyncHandler(async (req, res) => {
+router.delete('/:id', requireRole('admin'), asyncHandler(async (req, res) => {
     const { id } = req.params
     const [result] = await pool.query('DELETE FROM webhooks WHERE id = ?', [id])
 
@@ -146,4 +297,254 @@ router.delete('/:id', asyncHandler(async (req, res) => {
     res.status(204).send()
 }))
 
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries:
+ *   get:
+ *     summary: List the deliveries queued for a webhook
+ *     tags: [Webhooks]
+ *     security:
+ *       - OperatorToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The webhook ID.
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivering, delivered, dead]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: The deliveries, newest first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Webhook not found.
+ */
+router.get('/:id/deliveries', requireRole('operator'), asyncHandler(async (req, res) => {
+    const { id } = req.params
+    const { state } = req.query
+    const limit = Math.min(500, Number(req.query.limit) || 50)
+
+    const [webhooks] = await pool.query('SELECT id FROM webhooks WHERE id = ?', [id])
+    if (webhooks.length === 0) {
+        return res.status(404).json({ error: 'Webhook not found' })
+    }
+
+    const params = [id]
+    let stateFilter = ''
+    if (state) {
+        stateFilter = 'AND state = ?'
+        params.push(state)
+    }
+
+    const [rows] = await pool.query(
+        `SELECT * FROM webhook_deliveries WHERE webhook_id = ? ${stateFilter} ORDER BY created_at DESC, id DESC LIMIT ?`,
+        [...params, limit]
+    )
+    res.json(rows)
+}))
+
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries/{deliveryId}:
+ *   get:
+ *     summary: Get a delivery with its attempt log
+ *     tags: [Webhooks]
+ *     security:
+ *       - OperatorToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The webhook ID.
+ *       - in: path
+ *         name: deliveryId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The delivery ID.
+ *     responses:
+ *       200:
+ *         description: The delivery and every attempt made so far.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/WebhookDelivery'
+ *                 - type: object
+ *                   properties:
+ *                     attempt_log:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/WebhookDeliveryAttempt'
+ *       404:
+ *         description: Delivery not found.
+ */
+router.get('/:id/deliveries/:deliveryId', requireRole('operator'), asyncHandler(async (req, res) => {
+    const { id, deliveryId } = req.params
+
+    const [rows] = await pool.query('SELECT * FROM webhook_deliveries WHERE id = ? AND webhook_id = ?', [deliveryId, id])
+    if (rows.length === 0) {
+        return res.status(404).json({ error: 'Delivery not found' })
+    }
+
+    const [attempts] = await pool.query(
+        'SELECT id, status_code, latency_ms, error, attempted_at FROM webhook_delivery_attempts WHERE delivery_id = ? ORDER BY attempted_at, id',
+        [deliveryId]
+    )
+
+    res.json({ ...rows[0], attempt_log: attempts })
+}))
+
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Queue a delivery to be sent again
+ *     description: >
+ *       Puts the delivery back in the queue with a fresh retry budget. Works for dead-lettered
+ *       and already delivered deliveries alike.
+ *     tags: [Webhooks]
+ *     security:
+ *       - OperatorToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The webhook ID.
+ *       - in: path
+ *         name: deliveryId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The delivery ID.
+ *     responses:
+ *       202:
+ *         description: The delivery has been queued.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Delivery not found.
+ *       409:
+ *         description: The delivery is being sent right now.
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', requireRole('operator'), asyncHandler(async (req, res) => {
+    const { id, deliveryId } = req.params
+
+    const [result] = await pool.query(
+        `UPDATE webhook_deliveries
+         SET state = 'pending', attempts = 0, next_attempt_at = NOW(), delivered_at = NULL
+         WHERE id = ? AND webhook_id = ? AND state <> 'delivering'`,
+        [deliveryId, id]
+    )
+
+    if (result.affectedRows === 0) {
+        const [rows] = await pool.query('SELECT state FROM webhook_deliveries WHERE id = ? AND webhook_id = ?', [deliveryId, id])
+        if (rows.length === 0) {
+            return res.status(404).json({ error: 'Delivery not found' })
+        }
+        return res.status(409).json({ error: 'Delivery is currently being sent' })
+    }
+
+    processDueDeliveries().catch(err => console.error('Webhook dispatcher error:', err.message))
+
+    const [rows] = await pool.query('SELECT * FROM webhook_deliveries WHERE id = ?', [deliveryId])
+    res.status(202).json(rows[0])
+}))
+
+/**
+ * @swagger
+ * /webhooks/{id}/rotate-secret:
+ *   post:
+ *     summary: Rotate the signing secret of a webhook
+ *     description: >
+ *       Generates a new secret. During the grace period every delivery is signed with both
+ *       the new and the old secret, so receivers can switch over without dropping events.
+ *     tags: [Webhooks]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The webhook ID.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               grace_seconds:
+ *                 type: integer
+ *                 default: 86400
+ *                 description: How long the old secret keeps verifying. 0 revokes it immediately.
+ *     responses:
+ *       200:
+ *         description: The new secret and when the old one stops being used.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                 secret:
+ *                   type: string
+ *                 previous_secret_expires_at:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *       400:
+ *         description: Invalid grace period.
+ *       404:
+ *         description: Webhook not found.
+ */
+router.post('/:id/rotate-secret', requireRole('admin'), asyncHandler(async (req, res) => {
+    const { id } = req.params
+    const graceSeconds = req.body && req.body.grace_seconds !== undefined ? Number(req.body.grace_seconds) : 86400
+
+    if (!Number.isInteger(graceSeconds) || graceSeconds < 0 || graceSeconds > 30 * 86400) {
+        return res.status(400).json({ error: 'grace_seconds must be an integer between 0 and 2592000' })
+    }
+
+    const secret = generateSecret()
+    const [result] = await pool.query(
+        `UPDATE webhooks
+         SET previous_secret = IF(? > 0, secret, NULL),
+             previous_secret_expires_at = IF(? > 0, DATE_ADD(NOW(), INTERVAL ? SECOND), NULL),
+             secret = ?
+         WHERE id = ?`,
+        [graceSeconds, graceSeconds, graceSeconds, secret, id]
+    )
+
+    if (result.affectedRows === 0) {
+        return res.status(404).json({ error: 'Webhook not found' })
+    }
+
+    const [rows] = await pool.query('SELECT previous_secret_expires_at FROM webhooks WHERE id = ?', [id])
+    res.json({ id: Number(id), secret, previous_secret_expires_at: rows[0].previous_secret_expires_at })
+}))
+
 module.exports = router
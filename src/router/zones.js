@@ -0,0 +1,829 @@
+const express = require('express')
+const router = express.Router()
+const asyncHandler = require('../utils/asyncHandler')
+const pool = require('../utils/db')
+const { requireRole } = require('../utils/operatorAuth')
+const { WINDOW_SECONDS } = require('../utils/ingestion')
+const { STATUS_LEVELS, DENSITY_FIELDS, mergeLevels, parseSmoothing, parseDensity, parseArea } = require('../utils/thresholds')
+const { BUCKET_SECONDS, isValidTimeZone } = require('../utils/timeBuckets')
+const { buildZoneSeries } = require('../utils/crowdSeries')
+const { findZone, zoneDeviceIds, currentZoneState } = require('../utils/zones')
+
+const MAX_SERIES_BUCKETS = 5000
+const MAX_ZONE_DEVICES = 200
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Zone:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         venue_id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           example: "Hall B"
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         area_m2:
+ *           type: number
+ *           nullable: true
+ *           description: The zone's floor area in m². Needed for density.
+ *         calibration_factor:
+ *           type: number
+ *           nullable: true
+ *           description: People per detected device. Null counts 1.
+ *         device_count:
+ *           type: integer
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     ZoneReading:
+ *       type: object
+ *       description: A zone reading, stored whenever one of the zone's devices reports.
+ *       properties:
+ *         id:
+ *           type: integer
+ *         headcount:
+ *           type: integer
+ *           description: Distinct MACs across all of the zone's devices.
+ *         device_headcount_sum:
+ *           type: integer
+ *           description: The devices' headcounts added up, counting people seen by overlapping devices more than once.
+ *         status:
+ *           type: string
+ *           enum: [safe, normal, warning, danger]
+ *         raw_status:
+ *           type: string
+ *           nullable: true
+ *           enum: [safe, normal, warning, danger]
+ *         density:
+ *           type: number
+ *           nullable: true
+ *           description: People per m², or null when the zone has no area.
+ *         status_basis:
+ *           type: string
+ *           nullable: true
+ *           enum: [absolute, density]
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     ZoneCurrent:
+ *       type: object
+ *       properties:
+ *         zone:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *             name:
+ *               type: string
+ *             venue_id:
+ *               type: integer
+ *             venue_name:
+ *               type: string
+ *         headcount:
+ *           type: integer
+ *           description: Distinct MACs across all of the zone's devices in the window.
+ *         weighted_headcount:
+ *           type: number
+ *         device_headcount_sum:
+ *           type: integer
+ *           description: The devices' headcounts added up; the difference to headcount is people seen by more than one device.
+ *         status:
+ *           type: string
+ *           enum: [safe, normal, warning, danger, unknown]
+ *           description: "`unknown` while none of the zone's devices is reporting."
+ *         status_basis:
+ *           type: string
+ *           nullable: true
+ *           enum: [absolute, density]
+ *         density:
+ *           type: number
+ *           nullable: true
+ *           description: People per m², or null when the zone has no area.
+ *         area_m2:
+ *           type: number
+ *           nullable: true
+ *         window_seconds:
+ *           type: integer
+ *         devices_reporting:
+ *           type: integer
+ *           description: Devices that are online or stale. Fewer than the zone's devices means the headcount may be low.
+ *         devices:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               device_id:
+ *                 type: integer
+ *               device_name:
+ *                 type: string
+ *               headcount:
+ *                 type: integer
+ *               health:
+ *                 type: string
+ *                 enum: [unknown, online, stale, offline]
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Zones
+ *   description: Zones group devices covering one area and are counted and alerted on as a whole.
+ */
+
+const parseId = (v) => {
+    const n = Number(v)
+    return Number.isInteger(n) && n > 0 ? n : null
+}
+
+const validName = (name) => typeof name === 'string' && name.trim() !== '' && name.length <= 255
+
+const hasThresholdFields = (threshold) =>
+    threshold && [...STATUS_LEVELS, 'hysteresis', 'min_dwell_seconds', 'mode', ...DENSITY_FIELDS].some(
+        (k) => Object.prototype.hasOwnProperty.call(threshold, k) && threshold[k] !== undefined
+    )
+
+// The thresholds of a zone with the given fields merged over `base`. Returns { threshold } or { error }.
+const parseZoneThreshold = (input, base) => {
+    const { levels, error: levelsError } = mergeLevels(input, base)
+    const { smoothing, error: smoothingError } = parseSmoothing(input, base)
+    const { density, error: densityError } = parseDensity(input, base)
+    if (levelsError || smoothingError || densityError) return { error: levelsError || smoothingError || densityError }
+    return { threshold: { ...levels, ...smoothing, ...density } }
+}
+
+const saveZoneThreshold = (conn, zoneId, t) => conn.query(
+    `INSERT INTO zone_thresholds (zone_id, safe, normal, warning, danger, hysteresis, min_dwell_seconds,
+       mode, safe_density, normal_density, warning_density, danger_density)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE safe = VALUES(safe), normal = VALUES(normal), warning = VALUES(warning), danger = VALUES(danger),
+       hysteresis = VALUES(hysteresis), min_dwell_seconds = VALUES(min_dwell_seconds), mode = VALUES(mode),
+       safe_density = VALUES(safe_density), normal_density = VALUES(normal_density),
+       warning_density = VALUES(warning_density), danger_density = VALUES(danger_density)`,
+    [zoneId, t.safe, t.normal, t.warning, t.danger, t.hysteresis, t.min_dwell_seconds, t.mode, ...DENSITY_FIELDS.map(f => t[f])]
+)
+
+const zoneDetails = async (zoneId) => {
+    const zone = await findZone(pool, zoneId)
+    if (!zone) return null
+    const [devices] = await pool.query('SELECT id, device_name, location FROM devices WHERE zone_id = ? ORDER BY id', [zoneId])
+    const [thresholds] = await pool.query(
+        `SELECT safe, normal, warning, danger, hysteresis, min_dwell_seconds,
+           mode, safe_density, normal_density, warning_density, danger_density
+         FROM zone_thresholds WHERE zone_id = ?`,
+        [zoneId]
+    )
+    return { ...zone, device_count: devices.length, devices, threshold: thresholds[0] || {} }
+}
+
+/**
+ * @swagger
+ * /zones:
+ *   get:
+ *     summary: List zones
+ *     tags: [Zones]
+ *     parameters:
+ *       - in: query
+ *         name: venue_id
+ *         schema:
+ *           type: integer
+ *         description: Only zones of this venue.
+ *     responses:
+ *       200:
+ *         description: Zones with the number of devices in each.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Zone'
+ */
+router.get('/', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const where = []
+    const params = []
+    if (req.query.venue_id) {
+        where.push('z.venue_id = ?')
+        params.push(parseId(req.query.venue_id))
+    }
+    const [rows] = await pool.query(
+        `SELECT z.*, COUNT(d.id) AS device_count FROM zones z
+         LEFT JOIN devices d ON d.zone_id = z.id
+         ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+         GROUP BY z.id ORDER BY z.venue_id, z.name`,
+        params
+    )
+    res.json(rows)
+}))
+
+/**
+ * @swagger
+ * /zones:
+ *   post:
+ *     summary: Create a zone in a venue
+ *     tags: [Zones]
+ *     security:
+ *       - AdminToken: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [venue_id, name]
+ *             properties:
+ *               venue_id:
+ *                 type: integer
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               area_m2:
+ *                 type: number
+ *                 example: 1200
+ *               calibration_factor:
+ *                 type: number
+ *               threshold:
+ *                 $ref: '#/components/schemas/Threshold'
+ *     responses:
+ *       201:
+ *         description: The new zone. Thresholds not given get the same defaults as devices.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Zone'
+ *       400:
+ *         description: Missing fields, or an invalid area or thresholds.
+ *       404:
+ *         description: Venue not found.
+ *       409:
+ *         description: The venue already has a zone with this name.
+ */
+router.post('/', requireRole('admin'), asyncHandler(async (req, res) => {
+    const { venue_id, name, description = null, threshold, area_m2 = null, calibration_factor = null } = req.body || {}
+    if (!validName(name)) {
+        return res.status(400).json({ error: 'name must be a non-empty string of at most 255 characters' })
+    }
+    const { error: areaError } = parseArea({ area_m2, calibration_factor })
+    const { threshold: levels, error } = parseZoneThreshold(threshold)
+    if (areaError || error) {
+        return res.status(400).json({ error: areaError || error })
+    }
+
+    const [venues] = await pool.query('SELECT id FROM venues WHERE id = ?', [parseId(venue_id)])
+    if (venues.length === 0) {
+        return res.status(404).json({ error: 'Venue not found' })
+    }
+
+    const conn = await pool.getConnection()
+    let zoneId
+    try {
+        await conn.beginTransaction()
+        const [result] = await conn.query(
+            'INSERT INTO zones (venue_id, name, description, area_m2, calibration_factor) VALUES (?, ?, ?, ?, ?)',
+            [venues[0].id, name.trim(), description, area_m2, calibration_factor]
+        )
+        zoneId = result.insertId
+        await saveZoneThreshold(conn, zoneId, levels)
+        await conn.commit()
+    } catch (err) {
+        await conn.rollback()
+        if (err.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'This venue already has a zone with this name' })
+        }
+        throw err
+    } finally {
+        conn.release()
+    }
+
+    res.status(201).json(await zoneDetails(zoneId))
+}))
+
+/**
+ * @swagger
+ * /zones/{id}:
+ *   get:
+ *     summary: Get a zone with its devices and thresholds
+ *     tags: [Zones]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The zone ID.
+ *     responses:
+ *       200:
+ *         description: The zone.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Zone'
+ *                 - type: object
+ *                   properties:
+ *                     venue_name:
+ *                       type: string
+ *                     devices:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                           device_name:
+ *                             type: string
+ *                           location:
+ *                             type: string
+ *                     threshold:
+ *                       $ref: '#/components/schemas/Threshold'
+ *       404:
+ *         description: Zone not found.
+ */
+router.get('/:id', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const zone = await zoneDetails(parseId(req.params.id))
+    if (!zone) {
+        return res.status(404).json({ error: 'Zone not found' })
+    }
+    res.json(zone)
+}))
+
+/**
+ * @swagger
+ * /zones/{id}:
+ *   put:
+ *     summary: Update a zone and/or its thresholds
+ *     tags: [Zones]
+ *     security:
+ *       - OperatorToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The zone ID.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               venue_id:
+ *                 type: integer
+ *                 description: Moves the zone to another venue.
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *               area_m2:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Null removes the area, which turns density off.
+ *               calibration_factor:
+ *                 type: number
+ *                 nullable: true
+ *               threshold:
+ *                 $ref: '#/components/schemas/Threshold'
+ *     responses:
+ *       200:
+ *         description: The updated zone.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Zone'
+ *       400:
+ *         description: Invalid name, area or thresholds.
+ *       404:
+ *         description: Zone or venue not found.
+ *       409:
+ *         description: The venue already has a zone with this name.
+ */
+router.put('/:id', requireRole('operator'), asyncHandler(async (req, res) => {
+    const zoneId = parseId(req.params.id)
+    const { venue_id, name, description, threshold } = req.body || {}
+
+    const zone = await zoneDetails(zoneId)
+    if (!zone) {
+        return res.status(404).json({ error: 'Zone not found' })
+    }
+    if (name !== undefined && !validName(name)) {
+        return res.status(400).json({ error: 'name must be a non-empty string of at most 255 characters' })
+    }
+    const { area, error: areaError } = parseArea(req.body)
+    if (areaError) {
+        return res.status(400).json({ error: areaError })
+    }
+    let levels = null
+    if (hasThresholdFields(threshold)) {
+        const parsed = parseZoneThreshold(threshold, zone.threshold)
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error })
+        }
+        levels = parsed.threshold
+    }
+    if (venue_id !== undefined) {
+        const [venues] = await pool.query('SELECT id FROM venues WHERE id = ?', [parseId(venue_id)])
+        if (venues.length === 0) {
+            return res.status(404).json({ error: 'Venue not found' })
+        }
+    }
+
+    const conn = await pool.getConnection()
+    try {
+        await conn.beginTransaction()
+        await conn.query(
+            'UPDATE zones SET venue_id = ?, name = ?, description = ?, area_m2 = ?, calibration_factor = ? WHERE id = ?',
+            [
+                venue_id !== undefined ? parseId(venue_id) : zone.venue_id,
+                name !== undefined ? name.trim() : zone.name,
+                description !== undefined ? description : zone.description,
+                area.area_m2 !== undefined ? area.area_m2 : zone.area_m2,
+                area.calibration_factor !== undefined ? area.calibration_factor : zone.calibration_factor,
+                zoneId,
+            ]
+        )
+        if (levels) {
+            await saveZoneThreshold(conn, zoneId, levels)
+        }
+        await conn.commit()
+    } catch (err) {
+        await conn.rollback()
+        if (err.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'This venue already has a zone with this name' })
+        }
+        throw err
+    } finally {
+        conn.release()
+    }
+
+    res.json(await zoneDetails(zoneId))
+}))
+
+/**
+ * @swagger
+ * /zones/{id}:
+ *   delete:
+ *     summary: Delete a zone
+ *     description: Its devices are kept, without a zone. The zone's readings, alerts and webhooks are deleted.
+ *     tags: [Zones]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The zone ID.
+ *     responses:
+ *       204:
+ *         description: Zone deleted.
+ *       404:
+ *         description: Zone not found.
+ */
+router.delete('/:id', requireRole('admin'), asyncHandler(async (req, res) => {
+    const [result] = await pool.query('DELETE FROM zones WHERE id = ?', [parseId(req.params.id)])
+    if (result.affectedRows === 0) {
+        return res.status(404).json({ error: 'Zone not found' })
+    }
+    res.status(204).send()
+}))
+
+/**
+ * @swagger
+ * /zones/{id}/devices:
+ *   put:
+ *     summary: Set the devices of a zone
+ *     description: >
+ *       Replaces the zone's devices with the given list. A device belongs to at most one zone,
+ *       so devices in another zone are moved here. Devices left out no longer belong to a zone.
+ *     tags: [Zones]
+ *     security:
+ *       - OperatorToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The zone ID.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [device_ids]
+ *             properties:
+ *               device_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [1, 2, 5]
+ *     responses:
+ *       200:
+ *         description: The zone with its new devices.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Zone'
+ *       400:
+ *         description: device_ids is not a list of device IDs.
+ *       404:
+ *         description: Zone or one or more devices not found.
+ *       409:
+ *         description: One or more of the devices are archived.
+ */
+router.put('/:id/devices', requireRole('operator'), asyncHandler(async (req, res) => {
+    const zoneId = parseId(req.params.id)
+    const { device_ids } = req.body || {}
+    if (!Array.isArray(device_ids) || device_ids.length > MAX_ZONE_DEVICES || device_ids.some(id => !parseId(id))) {
+        return res.status(400).json({ error: `device_ids must be a list of at most ${MAX_ZONE_DEVICES} device IDs` })
+    }
+    const deviceIds = [...new Set(device_ids.map(Number))]
+
+    const zone = await findZone(pool, zoneId)
+    if (!zone) {
+        return res.status(404).json({ error: 'Zone not found' })
+    }
+    if (deviceIds.length > 0) {
+        const [devices] = await pool.query(`SELECT id, service_state FROM devices WHERE id IN (${deviceIds.map(() => '?').join(',')})`, deviceIds)
+        if (devices.length !== deviceIds.length) {
+            const found = new Set(devices.map(d => d.id))
+            return res.status(404).json({ error: 'Device not found', device_ids: deviceIds.filter(id => !found.has(id)) })
+        }
+        const archived = devices.filter(d => d.service_state === 'archived').map(d => d.id)
+        if (archived.length > 0) {
+            return res.status(409).json({ error: 'Archived devices cannot be added to a zone', device_ids: archived })
+        }
+    }
+
+    const conn = await pool.getConnection()
+    try {
+        await conn.beginTransaction()
+        await conn.query('UPDATE devices SET zone_id = NULL WHERE zone_id = ?', [zoneId])
+        if (deviceIds.length > 0) {
+            await conn.query(`UPDATE devices SET zone_id = ? WHERE id IN (${deviceIds.map(() => '?').join(',')})`, [zoneId, ...deviceIds])
+        }
+        await conn.commit()
+    } catch (err) {
+        await conn.rollback()
+        throw err
+    } finally {
+        conn.release()
+    }
+
+    res.json(await zoneDetails(zoneId))
+}))
+
+/**
+ * @swagger
+ * /zones/{id}/current:
+ *   get:
+ *     summary: Get the current occupancy of a zone
+ *     description: Counts distinct MACs across all of the zone's devices, so people seen by overlapping devices count once.
+ *     tags: [Zones]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The zone ID.
+ *     responses:
+ *       200:
+ *         description: The zone's headcount and status now.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ZoneCurrent'
+ *       404:
+ *         description: Zone not found.
+ */
+router.get('/:id/current', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const zone = await findZone(pool, parseId(req.params.id))
+    if (!zone) {
+        return res.status(404).json({ error: 'Zone not found' })
+    }
+
+    // read-only connection
+    const conn = await pool.getConnection()
+    try {
+        res.json(await currentZoneState(conn, zone, WINDOW_SECONDS))
+    } finally {
+        conn.release()
+    }
+}))
+
+/**
+ * @swagger
+ * /zones/{id}/status:
+ *   get:
+ *     summary: Get a zone's latest stored status, recent readings and open alerts
+ *     tags: [Zones]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The zone ID.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: The number of recent readings to return.
+ *     responses:
+ *       200:
+ *         description: The latest reading (null before the first one), recent readings and the zone's unresolved alerts.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 zone_id:
+ *                   type: integer
+ *                 latest:
+ *                   $ref: '#/components/schemas/ZoneReading'
+ *                 rows:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ZoneReading'
+ *                 alerts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Alert'
+ *       404:
+ *         description: Zone not found.
+ */
+router.get('/:id/status', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const limit = Math.min(200, Number(req.query.limit) || 50)
+    const zone = await findZone(pool, parseId(req.params.id))
+    if (!zone) {
+        return res.status(404).json({ error: 'Zone not found' })
+    }
+
+    const [rows] = await pool.query(
+        'SELECT id, headcount, device_headcount_sum, status, raw_status, density, status_basis, created_at FROM zone_data WHERE zone_id = ? ORDER BY created_at DESC, id DESC LIMIT ?',
+        [zone.id, limit]
+    )
+    const [alerts] = await pool.query(
+        "SELECT * FROM alerts WHERE zone_id = ? AND state <> 'resolved' ORDER BY id DESC",
+        [zone.id]
+    )
+    res.json({ zone_id: zone.id, latest: rows[0] || null, rows, alerts })
+}))
+
+/**
+ * @swagger
+ * /zones/{id}/series:
+ *   get:
+ *     summary: Get a time-bucketed headcount series for a zone
+ *     description: >
+ *       Like /crowd_data/series, with readings and statuses from the zone's readings and distinct
+ *       MACs counted across the devices now in the zone.
+ *     tags: [Zones]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The zone ID.
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         required: true
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to now.
+ *       - in: query
+ *         name: bucket
+ *         schema:
+ *           type: string
+ *           enum: [1m, 5m, 1h, 1d]
+ *           default: 1h
+ *       - in: query
+ *         name: tz
+ *         schema:
+ *           type: string
+ *           default: UTC
+ *       - in: query
+ *         name: max_gap_seconds
+ *         schema:
+ *           type: integer
+ *           default: 300
+ *     responses:
+ *       200:
+ *         description: The zone's series.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 zone_id:
+ *                   type: integer
+ *                 bucket:
+ *                   type: string
+ *                 tz:
+ *                   type: string
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *                 device_ids:
+ *                   type: array
+ *                   items:
+ *                     type: integer
+ *                 buckets:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SeriesBucket'
+ *       400:
+ *         description: Invalid time range, bucket or time zone.
+ *       404:
+ *         description: Zone not found.
+ */
+router.get('/:id/series', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const { bucket = '1h', tz = 'UTC' } = req.query
+    const fromMs = Date.parse(req.query.from)
+    const toMs = req.query.to ? Date.parse(req.query.to) : Date.now()
+    const maxGapSeconds = Number(req.query.max_gap_seconds) || 300
+
+    if (Number.isNaN(fromMs) || Number.isNaN(toMs) || fromMs >= toMs) {
+        return res.status(400).json({ error: 'from and to must be valid dates with from < to' })
+    }
+    if (!BUCKET_SECONDS[bucket]) {
+        return res.status(400).json({ error: `bucket must be one of ${Object.keys(BUCKET_SECONDS).join(', ')}` })
+    }
+    if (!isValidTimeZone(tz)) {
+        return res.status(400).json({ error: `Unknown time zone: ${tz}` })
+    }
+    if ((toMs - fromMs) / 1000 / BUCKET_SECONDS[bucket] > MAX_SERIES_BUCKETS) {
+        return res.status(400).json({ error: `Too many buckets; use a larger bucket or a shorter range (max ${MAX_SERIES_BUCKETS})` })
+    }
+
+    const zone = await findZone(pool, parseId(req.params.id))
+    if (!zone) {
+        return res.status(404).json({ error: 'Zone not found' })
+    }
+    const deviceIds = await zoneDeviceIds(pool, zone.id)
+
+    const buckets = await buildZoneSeries({ zoneId: zone.id, deviceIds, fromMs, toMs, bucket, tz, maxGapSeconds })
+
+    res.json({
+        zone_id: zone.id,
+        bucket,
+        tz,
+        from: new Date(fromMs),
+        to: new Date(toMs),
+        device_ids: deviceIds,
+        buckets,
+    })
+}))
+
+/**
+ * @swagger
+ * /zones/{id}/webhooks:
+ *   get:
+ *     summary: Get all webhooks for a zone
+ *     description: Register them with POST /webhooks and a zone_id.
+ *     tags: [Zones]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The zone ID.
+ *     responses:
+ *       200:
+ *         description: A list of webhooks for the zone.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Webhook'
+ */
+router.get('/:id/webhooks', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const [rows] = await pool.query('SELECT id, zone_id, url, created_at FROM webhooks WHERE zone_id = ?', [parseId(req.params.id)])
+    res.json(rows)
+}))
+
+module.exports = router
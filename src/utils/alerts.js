@@ -0,0 +1,70 @@
+const LEVEL_RANK = { warning: 1, danger: 2 }
+
+const ALERT_STATES = ['open', 'acknowledged', 'resolved']
+
+// Records a reading for the ongoing (not yet resolved) alert of the given type,
+// or opens a new alert if there is none. Repeated readings only bump
+// occurrences/last_seen; an escalation raises the level and re-opens an
+// acknowledged alert so it gets looked at again. Zone alerts pass zoneId instead of deviceId.
+// `at` is when the reading was taken (now if null), which for buffered uploads is in the past.
+const raiseAlert = async (conn, { deviceId = null, zoneId = null, crowdDataId = null, alertType, level, message, at = null }) => {
+  const [column, ownerId] = zoneId ? ['zone_id', zoneId] : ['device_id', deviceId]
+  const [rows] = await conn.query(
+    `SELECT id, level, state FROM alerts WHERE ${column} = ? AND alert_type = ? AND state <> 'resolved' ORDER BY id DESC LIMIT 1 FOR UPDATE`,
+    [ownerId, alertType]
+  )
+
+  if (rows.length === 0) {
+    const [result] = await conn.query(
+      `INSERT INTO alerts (device_id, zone_id, crowd_data_id, alert_type, level, message, last_seen, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, NOW()), COALESCE(?, NOW()))`,
+      [zoneId ? null : deviceId, zoneId, crowdDataId, alertType, level, message, at, at]
+    )
+    return { id: result.insertId, level, created: true, escalated: false }
+  }
+
+  const ongoing = rows[0]
+  const escalated = LEVEL_RANK[level] > LEVEL_RANK[ongoing.level]
+  const newLevel = escalated ? level : ongoing.level
+
+  await conn.query(
+    `UPDATE alerts
+     SET occurrences = occurrences + 1, last_seen = GREATEST(last_seen, COALESCE(?, NOW())), level = ?, message = ?${escalated ? ", state = 'open'" : ''}
+     WHERE id = ?`,
+    [at, newLevel, message, ongoing.id]
+  )
+
+  return { id: ongoing.id, level: newLevel, created: false, escalated }
+}
+
+// Closes every ongoing alert of the given type for a device. Returns the number of alerts resolved.
+const resolveAlerts = async (conn, deviceId, alertType) => {
+  const [result] = await conn.query(
+    "UPDATE alerts SET state = 'resolved', resolved_at = NOW() WHERE device_id = ? AND alert_type = ? AND state <> 'resolved'",
+    [deviceId, alertType]
+  )
+  return result.affectedRows
+}
+
+const resolveZoneAlerts = async (conn, zoneId, alertType) => {
+  const [result] = await conn.query(
+    "UPDATE alerts SET state = 'resolved', resolved_at = NOW() WHERE zone_id = ? AND alert_type = ? AND state <> 'resolved'",
+    [zoneId, alertType]
+  )
+  return result.affectedRows
+}
+
+// Startup migration: alerts from before they had a state were fire-and-forget, so when the
+// column has just been added they are closed rather than all showing up as open.
+const backfillAlertStates = async (conn, added) => {
+  if (!added.includes('alerts.state')) return
+  await conn.query("UPDATE alerts SET state = 'resolved', resolved_at = created_at, last_seen = created_at")
+}
+
+module.exports = {
+  ALERT_STATES,
+  backfillAlertStates,
+  raiseAlert,
+  resolveAlerts,
+  resolveZoneAlerts,
+}
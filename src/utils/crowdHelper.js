@@ -1,8 +1,4 @@
-const crypto = require('crypto')
-
-const hashMac = (mac) => {
-  return crypto.createHash('sha256').update(mac).digest()
-}
+const { hashMac } = require('./macHash')
 
 const getStatus = (headcount, threshold) => {
   const t = threshold || {}
@@ -36,9 +32,65 @@ const analyzeMobility = (listA, listB) => {
     return { jaccard, mobility, intersection, union }
 }
 
+// p in [0, 1]; linear interpolation between closest ranks. values must be sorted ascending.
+const percentile = (values, p) => {
+  if (values.length === 0) return null
+  const pos = (values.length - 1) * p
+  const lo = Math.floor(pos)
+  const hi = Math.ceil(pos)
+  return values[lo] + (values[hi] - values[lo]) * (pos - lo)
+}
+
+const RSSI_WEIGHT_FLOOR = Number(process.env.RSSI_WEIGHT_FLOOR) || -90
+const RSSI_WEIGHT_CEILING = Number(process.env.RSSI_WEIGHT_CEILING) || -50
+
+// SQL expression weighting a sighting by signal strength: 0 at or below the floor,
+// 1 at or above the ceiling, linear in between. Sightings without RSSI count fully.
+const signalWeightSql = (column) =>
+  `COALESCE(LEAST(1, GREATEST(0, (${column} - (${RSSI_WEIGHT_FLOOR})) / ${RSSI_WEIGHT_CEILING - RSSI_WEIGHT_FLOOR})), 1)`
+
+const optionalInt = (v, min, max) => {
+  if (v === undefined || v === null) return { value: null }
+  const n = Number(v)
+  return Number.isInteger(n) && n >= min && n <= max ? { value: n } : { invalid: true }
+}
+
+// Normalizes an ingestion payload into sightings. Accepts the original array of MAC
+// strings, objects like { mac, rssi, seen_at, channel }, or a mix of both.
+const parseSightings = (body) => {
+  let items = body
+  if (typeof items === 'string' || (items && typeof items === 'object' && !Array.isArray(items))) items = [items]
+  if (!Array.isArray(items) || items.length === 0) return { error: 'MAC 주소가 필요합니다.' }
+
+  const sightings = []
+  for (const [i, item] of items.entries()) {
+    const s = typeof item === 'string' ? { mac: item } : item
+    if (!s || typeof s !== 'object' || typeof s.mac !== 'string' || s.mac.trim() === '') {
+      return { error: `Item ${i} must be a MAC string or an object with a mac string` }
+    }
+    const rssi = optionalInt(s.rssi, -127, 0)
+    if (rssi.invalid) return { error: `Item ${i}: rssi must be an integer dBm between -127 and 0` }
+    const channel = optionalInt(s.channel, 1, 233)
+    if (channel.invalid) return { error: `Item ${i}: channel must be an integer between 1 and 233` }
+
+    let seenAt = null
+    if (s.seen_at !== undefined && s.seen_at !== null) {
+      // numbers are unix seconds, strings ISO 8601
+      seenAt = typeof s.seen_at === 'number' ? s.seen_at * 1000 : Date.parse(s.seen_at)
+      if (!Number.isFinite(seenAt)) return { error: `Item ${i}: seen_at must be an ISO 8601 date or unix seconds` }
+    }
+
+    sightings.push({ mac: s.mac, rssi: rssi.value, channel: channel.value, seenAt })
+  }
+  return { sightings }
+}
+
 module.exports = {
   hashMac,
   getStatus,
   clampPrediction,
   analyzeMobility,
+  percentile,
+  signalWeightSql,
+  parseSightings,
 }
@@ -0,0 +1,272 @@
+const pool = require('./db')
+const { BUCKET_SECONDS, bucketStart, listBuckets, offsetSegments } = require('./timeBuckets')
+const { signalWeightSql } = require('./crowdHelper')
+
+const STATUSES = ['safe', 'normal', 'warning', 'danger']
+
+const emptyBucket = ({ start, end }) => ({
+  start: new Date(start),
+  end: new Date(end),
+  readings: 0,
+  headcount: { min: null, max: null, avg: null },
+  distinct_devices: null,
+  weighted_distinct_devices: null,
+  distinct_estimated: false,
+  status_seconds: { safe: 0, normal: 0, warning: 0, danger: 0, unknown: 0 },
+})
+
+// index of the bucket containing ms, or -1 (buckets are sorted and contiguous)
+const findBucket = (buckets, ms) => {
+  let lo = 0
+  let hi = buckets.length - 1
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1
+    if (ms < buckets[mid].start) hi = mid - 1
+    else if (ms >= buckets[mid].end) lo = mid + 1
+    else return mid
+  }
+  return -1
+}
+
+// Adds the time between startMs and endMs to status_seconds of every bucket it overlaps.
+const addStatusTime = (buckets, series, status, startMs, endMs) => {
+  let i = findBucket(buckets, startMs)
+  if (i < 0 && startMs < buckets[0].start) i = 0
+  for (; i >= 0 && i < buckets.length && buckets[i].start < endMs; i++) {
+    const overlap = Math.min(endMs, buckets[i].end) - Math.max(startMs, buckets[i].start)
+    if (overlap > 0) series[i].status_seconds[status] += overlap / 1000
+  }
+}
+
+// Readings come from crowd_data per device, or from zone_data per zone ({ table, key }).
+const DEVICE_READINGS = { table: 'crowd_data', key: 'device_id' }
+const ZONE_READINGS = { table: 'zone_data', key: 'zone_id' }
+
+const headcountStats = async (deviceIds, fromMs, toMs, buckets, seriesByDevice, maxGapMs, { table, key } = DEVICE_READINGS) => {
+  const placeholders = deviceIds.map(() => '?').join(',')
+  // the last reading before the range tells which status the range starts in
+  const [before] = await pool.query(
+    `SELECT c.${key} AS device_id, c.status, c.created_at FROM ${table} c
+     JOIN (SELECT ${key}, MAX(created_at) AS created_at FROM ${table}
+           WHERE ${key} IN (${placeholders}) AND created_at < ? AND created_at >= ?
+           GROUP BY ${key}) p ON p.${key} = c.${key} AND p.created_at = c.created_at`,
+    [...deviceIds, new Date(fromMs), new Date(fromMs - maxGapMs)]
+  )
+  const [rows] = await pool.query(
+    `SELECT ${key} AS device_id, headcount, status, created_at FROM ${table}
+     WHERE ${key} IN (${placeholders}) AND created_at >= ? AND created_at < ?
+     ORDER BY ${key}, created_at`,
+    [...deviceIds, new Date(fromMs), new Date(toMs)]
+  )
+
+  const sums = new Map()
+  const lastByDevice = new Map(before.map(r => [r.device_id, r]))
+
+  const closeInterval = (deviceId, untilMs) => {
+    const prev = lastByDevice.get(deviceId)
+    if (!prev) return
+    const startMs = Math.max(fromMs, new Date(prev.created_at).getTime())
+    const endMs = Math.min(untilMs, new Date(prev.created_at).getTime() + maxGapMs)
+    if (endMs > startMs) addStatusTime(buckets, seriesByDevice.get(deviceId), prev.status, startMs, endMs)
+  }
+
+  for (const row of rows) {
+    const ms = new Date(row.created_at).getTime()
+    closeInterval(row.device_id, ms)
+    lastByDevice.set(row.device_id, row)
+
+    const i = findBucket(buckets, ms)
+    if (i < 0) continue
+    const b = seriesByDevice.get(row.device_id)[i]
+    b.readings += 1
+    b.headcount.min = b.headcount.min === null ? row.headcount : Math.min(b.headcount.min, row.headcount)
+    b.headcount.max = b.headcount.max === null ? row.headcount : Math.max(b.headcount.max, row.headcount)
+    const key = `${row.device_id}:${i}`
+    sums.set(key, (sums.get(key) || 0) + row.headcount)
+  }
+
+  const now = Date.now()
+  for (const deviceId of deviceIds) {
+    closeInterval(deviceId, Math.min(toMs, now))
+  }
+
+  for (const [deviceId, series] of seriesByDevice) {
+    series.forEach((b, i) => {
+      if (b.readings > 0) b.headcount.avg = Number((sums.get(`${deviceId}:${i}`) / b.readings).toFixed(2))
+      // whatever is not covered by a reading (sensor silent, or in the future) is unknown
+      const known = STATUSES.reduce((acc, s) => acc + b.status_seconds[s], 0)
+      const span = Math.max(0, Math.min(buckets[i].end, now) - buckets[i].start) / 1000
+      b.status_seconds.unknown = Math.max(0, Math.round(span - known))
+      for (const s of STATUSES) b.status_seconds[s] = Math.round(b.status_seconds[s])
+    })
+  }
+}
+
+const distinctCounts = async (deviceIds, fromMs, toMs, bucket, tz, buckets, seriesByDevice) => {
+  const size = BUCKET_SECONDS[bucket]
+  const placeholders = deviceIds.map(() => '?').join(',')
+
+  for (const seg of offsetSegments(fromMs, toMs, tz)) {
+    // groups are aligned to wall-clock buckets within a constant-offset segment
+    const sizeMs = size * 1000
+    const ref = new Date(Math.floor((seg.from + seg.offsetSeconds * 1000) / sizeMs) * sizeMs - seg.offsetSeconds * 1000)
+    const [rows] = await pool.query(
+      `SELECT device_id, idx, MIN(first_seen) AS first_seen, COUNT(*) AS cnt, SUM(${signalWeightSql('rssi')}) AS weighted
+       FROM (SELECT device_id, tracked_device_id, FLOOR(TIMESTAMPDIFF(SECOND, ?, observed_at) / ?) AS idx,
+                    MIN(observed_at) AS first_seen, MAX(rssi) AS rssi
+             FROM device_observations
+             WHERE device_id IN (${placeholders}) AND observed_at >= ? AND observed_at < ?
+             GROUP BY device_id, idx, tracked_device_id) t
+       GROUP BY device_id, idx`,
+      [ref, size, ...deviceIds, new Date(seg.from), new Date(seg.to)]
+    )
+    for (const row of rows) {
+      const i = findBucket(buckets, new Date(row.first_seen).getTime())
+      if (i < 0) continue
+      const b = seriesByDevice.get(row.device_id)[i]
+      // a day split by a DST change is counted per part; keep the larger part
+      if (Number(row.cnt) > (b.distinct_devices || 0)) {
+        b.distinct_devices = Number(row.cnt)
+        b.weighted_distinct_devices = Number(Number(row.weighted).toFixed(2))
+      }
+    }
+  }
+
+  // raw observations older than the retention period are gone; fall back to the rollups
+  const [firstRaw] = await pool.query(
+    `SELECT device_id, MIN(observed_at) AS first FROM device_observations WHERE device_id IN (${placeholders}) GROUP BY device_id`,
+    deviceIds
+  )
+  const rawFrom = new Map(firstRaw.map(r => [r.device_id, new Date(r.first).getTime()]))
+
+  // buckets covered by raw data but without observations saw nobody
+  const now = Date.now()
+  for (const [deviceId, first] of rawFrom) {
+    const firstBucket = bucketStart(first, bucket, tz)
+    seriesByDevice.get(deviceId).forEach((b, i) => {
+      if (b.distinct_devices === null && buckets[i].start >= firstBucket && buckets[i].start < now) {
+        b.distinct_devices = 0
+        b.weighted_distinct_devices = 0
+      }
+    })
+  }
+
+  const needsRollup = deviceIds.filter(id => !rawFrom.has(id) || rawFrom.get(id) > fromMs)
+  if (needsRollup.length === 0) return
+
+  const table = size < 3600 ? 'observation_rollups_minute' : 'observation_rollups_hour'
+  const exact = (bucket === '1m' && table === 'observation_rollups_minute') || (bucket === '1h' && table === 'observation_rollups_hour')
+  const [rollups] = await pool.query(
+    `SELECT device_id, bucket_start, distinct_count FROM ${table}
+     WHERE device_id IN (${needsRollup.map(() => '?').join(',')}) AND bucket_start >= ? AND bucket_start < ?`,
+    [...needsRollup, new Date(fromMs), new Date(toMs)]
+  )
+  for (const row of rollups) {
+    const ms = new Date(row.bucket_start).getTime()
+    if (rawFrom.has(row.device_id) && ms >= bucketStart(rawFrom.get(row.device_id), bucket, tz)) continue
+    const i = findBucket(buckets, ms)
+    if (i < 0) continue
+    const b = seriesByDevice.get(row.device_id)[i]
+    // coarser buckets only get the busiest sub-bucket, a lower bound of the true distinct count
+    b.distinct_devices = Math.max(b.distinct_devices || 0, row.distinct_count)
+    b.distinct_estimated = !exact
+  }
+}
+
+// Builds a per-device, time-bucketed headcount series for [fromMs, toMs).
+// A reading's status is assumed to hold until the next reading, for at most maxGapSeconds.
+const buildSeries = async ({ deviceIds, fromMs, toMs, bucket, tz, maxGapSeconds = 300 }) => {
+  const buckets = listBuckets(fromMs, toMs, bucket, tz)
+  const seriesByDevice = new Map(deviceIds.map(id => [id, buckets.map(emptyBucket)]))
+  if (buckets.length === 0) return seriesByDevice
+
+  const rangeFrom = buckets[0].start
+  const rangeTo = buckets[buckets.length - 1].end
+  await headcountStats(deviceIds, rangeFrom, rangeTo, buckets, seriesByDevice, maxGapSeconds * 1000)
+  await distinctCounts(deviceIds, rangeFrom, rangeTo, bucket, tz, buckets, seriesByDevice)
+  return seriesByDevice
+}
+
+// Distinct MACs per bucket across all of a zone's devices, so people seen by overlapping
+// devices count once. Where raw observations were purged only per-device rollups are left;
+// the busiest device's count is then used as a lower bound.
+const zoneDistinctCounts = async (deviceIds, fromMs, toMs, bucket, tz, buckets, series) => {
+  if (deviceIds.length === 0) return
+  const size = BUCKET_SECONDS[bucket]
+  const placeholders = deviceIds.map(() => '?').join(',')
+
+  for (const seg of offsetSegments(fromMs, toMs, tz)) {
+    const sizeMs = size * 1000
+    const ref = new Date(Math.floor((seg.from + seg.offsetSeconds * 1000) / sizeMs) * sizeMs - seg.offsetSeconds * 1000)
+    const [rows] = await pool.query(
+      `SELECT idx, MIN(first_seen) AS first_seen, COUNT(*) AS cnt, SUM(${signalWeightSql('rssi')}) AS weighted
+       FROM (SELECT tracked_device_id, FLOOR(TIMESTAMPDIFF(SECOND, ?, observed_at) / ?) AS idx,
+                    MIN(observed_at) AS first_seen, MAX(rssi) AS rssi
+             FROM device_observations
+             WHERE device_id IN (${placeholders}) AND observed_at >= ? AND observed_at < ?
+             GROUP BY idx, tracked_device_id) t
+       GROUP BY idx`,
+      [ref, size, ...deviceIds, new Date(seg.from), new Date(seg.to)]
+    )
+    for (const row of rows) {
+      const i = findBucket(buckets, new Date(row.first_seen).getTime())
+      if (i < 0) continue
+      const b = series[i]
+      if (Number(row.cnt) > (b.distinct_devices || 0)) {
+        b.distinct_devices = Number(row.cnt)
+        b.weighted_distinct_devices = Number(Number(row.weighted).toFixed(2))
+      }
+    }
+  }
+
+  const [firstRaw] = await pool.query(
+    `SELECT MIN(observed_at) AS first FROM device_observations WHERE device_id IN (${placeholders})`,
+    deviceIds
+  )
+  const rawFrom = firstRaw[0].first ? new Date(firstRaw[0].first).getTime() : null
+  const now = Date.now()
+  if (rawFrom !== null) {
+    const firstBucket = bucketStart(rawFrom, bucket, tz)
+    series.forEach((b, i) => {
+      if (b.distinct_devices === null && buckets[i].start >= firstBucket && buckets[i].start < now) {
+        b.distinct_devices = 0
+        b.weighted_distinct_devices = 0
+      }
+    })
+  }
+  if (rawFrom !== null && rawFrom <= fromMs) return
+
+  const table = size < 3600 ? 'observation_rollups_minute' : 'observation_rollups_hour'
+  const [rollups] = await pool.query(
+    `SELECT bucket_start, MAX(distinct_count) AS distinct_count FROM ${table}
+     WHERE device_id IN (${placeholders}) AND bucket_start >= ? AND bucket_start < ?
+     GROUP BY bucket_start`,
+    [...deviceIds, new Date(fromMs), new Date(rawFrom === null ? toMs : Math.min(toMs, bucketStart(rawFrom, bucket, tz)))]
+  )
+  for (const row of rollups) {
+    const i = findBucket(buckets, new Date(row.bucket_start).getTime())
+    if (i < 0) continue
+    const b = series[i]
+    b.distinct_devices = Math.max(b.distinct_devices || 0, row.distinct_count)
+    b.distinct_estimated = true
+  }
+}
+
+// The same series for a zone: readings and statuses from zone_data, distinct counts over
+// the devices now in the zone.
+const buildZoneSeries = async ({ zoneId, deviceIds, fromMs, toMs, bucket, tz, maxGapSeconds = 300 }) => {
+  const buckets = listBuckets(fromMs, toMs, bucket, tz)
+  const series = buckets.map(emptyBucket)
+  if (buckets.length === 0) return series
+
+  const rangeFrom = buckets[0].start
+  const rangeTo = buckets[buckets.length - 1].end
+  await headcountStats([zoneId], rangeFrom, rangeTo, buckets, new Map([[zoneId, series]]), maxGapSeconds * 1000, ZONE_READINGS)
+  await zoneDistinctCounts(deviceIds, rangeFrom, rangeTo, bucket, tz, buckets, series)
+  return series
+}
+
+module.exports = {
+  buildSeries,
+  buildZoneSeries,
+}
@@ -0,0 +1,198 @@
+const crypto = require('crypto')
+const pool = require('./db')
+const asyncHandler = require('./asyncHandler')
+
+const HMAC_TOLERANCE_SECONDS = Number(process.env.DEVICE_HMAC_TOLERANCE_SECONDS) || 300
+// where devices reach this server; ingestion URLs are <base>/crowd_data/<slug>
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || 'http://localhost:3000').replace(/\/+$/, '')
+const MAX_SLUG_NAME_LENGTH = 40
+
+const CREDENTIAL_TYPES = ['api_key', 'hmac']
+
+// disabled devices can be put back into service; archived ones only keep their history
+const SERVICE_STATES = ['active', 'disabled', 'archived']
+
+const ACTIVE_SQL = '(revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW()))'
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest()
+
+const safeEqualHex = (a, b) => {
+  const bufA = Buffer.from(String(a), 'hex')
+  const bufB = Buffer.from(String(b), 'hex')
+  return bufA.length > 0 && bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB)
+}
+
+// Creates a new credential for the device. The plain key is only ever returned
+// here: API keys are stored hashed, HMAC secrets are kept to verify signatures.
+const issueCredential = async (conn, deviceId, type = 'api_key') => {
+  const key = (type === 'hmac' ? 'dsec_' : 'dk_') + crypto.randomBytes(32).toString('hex')
+  const [result] = await conn.query(
+    'INSERT INTO device_credentials (device_id, credential_type, key_prefix, key_hash, secret) VALUES (?, ?, ?, ?, ?)',
+    [deviceId, type, key.slice(0, 12), type === 'api_key' ? hashKey(key) : null, type === 'hmac' ? key : null]
+  )
+  return { id: result.insertId, type, key }
+}
+
+// A URL path segment for the device: its name reduced to lowercase ASCII words, plus a random
+// suffix so that the URL cannot be guessed from the name.
+const newSlug = (deviceName) => {
+  const name = String(deviceName)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, MAX_SLUG_NAME_LENGTH)
+    .replace(/^-+|-+$/g, '')
+  return `${name || 'device'}-${crypto.randomBytes(8).toString('hex')}`
+}
+
+const ingestionUrl = (slug) => `${PUBLIC_BASE_URL}/crowd_data/${slug}`
+
+// Startup migration of devices created before ingestion URLs had a slug: they were matched on
+// the tail of their url, which becomes their slug, and had no credentials. The key issued for
+// them is not shown anywhere; an admin gets a usable one with POST /devices/:id/credentials/rotate.
+const backfillLegacyDevices = async (conn) => {
+  const [devices] = await conn.query('SELECT id, device_name, url FROM devices WHERE slug IS NULL')
+  const [taken] = await conn.query('SELECT slug FROM devices WHERE slug IS NOT NULL')
+  const used = new Set(taken.map(r => r.slug))
+  for (const device of devices) {
+    const tail = String(device.url).split('/').pop()
+    const slug = tail && !used.has(tail) ? tail : newSlug(device.device_name)
+    used.add(slug)
+    await conn.query('UPDATE devices SET slug = ? WHERE id = ?', [slug, device.id])
+  }
+
+  const [uncredentialed] = await conn.query(
+    `SELECT d.id FROM devices d
+     WHERE NOT EXISTS (SELECT 1 FROM device_credentials c WHERE c.device_id = d.id)`
+  )
+  for (const device of uncredentialed) {
+    const credential = await issueCredential(conn, device.id, 'api_key')
+    console.log(
+      `Issued API key ${credential.key.slice(0, 12)}... for device ${device.id}; ` +
+      `rotate it with POST /devices/${device.id}/credentials/rotate to get a key for the device`
+    )
+  }
+}
+
+const findDeviceBySlug = async (slug) => {
+  const [rows] = await pool.query('SELECT * FROM devices WHERE slug = ?', [slug])
+  return rows[0] || null
+}
+
+const readApiKey = (req) => {
+  const auth = req.get('Authorization') || ''
+  if (auth.startsWith('Bearer ')) return auth.slice(7).trim()
+  return req.get('X-Device-Key') || null
+}
+
+// Checks that a request carries a credential of the device: an API key, or an HMAC-SHA256
+// signature of "<timestamp>.<body>" with one of its signing secrets. A signature is accepted
+// once, so a captured request cannot be replayed while its timestamp is still within the
+// tolerance. Shared by HTTP and MQTT ingestion. Returns { credentialId }, or { status, error }
+// to send back.
+const verifyDeviceCredential = async (device, { apiKey = null, signature = null, timestamp = null, body = '' }) => {
+  let credentialId
+
+  if (apiKey) {
+    const [rows] = await pool.query(
+      `SELECT id, device_id, ${ACTIVE_SQL} AS active FROM device_credentials WHERE key_hash = ? AND credential_type = 'api_key'`,
+      [hashKey(apiKey)]
+    )
+    if (rows.length === 0) {
+      return { status: 401, error: 'Invalid API key' }
+    }
+    if (rows[0].device_id !== device.id) {
+      return { status: 403, error: 'This API key belongs to a different device' }
+    }
+    if (!rows[0].active) {
+      return { status: 403, error: 'This API key has been revoked or has expired' }
+    }
+    credentialId = rows[0].id
+  } else if (signature) {
+    const seconds = Number(timestamp)
+    if (timestamp === null || !Number.isFinite(seconds) || Math.abs(Date.now() / 1000 - seconds) > HMAC_TOLERANCE_SECONDS) {
+      return { status: 401, error: `The signature timestamp is missing or more than ${HMAC_TOLERANCE_SECONDS} seconds off` }
+    }
+
+    const [rows] = await pool.query(
+      `SELECT id, secret FROM device_credentials WHERE device_id = ? AND credential_type = 'hmac' AND ${ACTIVE_SQL}`,
+      [device.id]
+    )
+    if (rows.length === 0) {
+      return { status: 403, error: 'This device has no active signing secret' }
+    }
+
+    const match = rows.find(r =>
+      safeEqualHex(crypto.createHmac('sha256', r.secret).update(`${timestamp}.${body}`).digest('hex'), signature)
+    )
+    if (!match) {
+      return { status: 401, error: 'Invalid signature' }
+    }
+
+    // kept until the timestamp falls out of the tolerance, after which the check above refuses it anyway
+    try {
+      await pool.query(
+        'INSERT INTO device_signatures (signature, device_id, expires_at) VALUES (?, ?, FROM_UNIXTIME(?))',
+        [Buffer.from(signature, 'hex'), device.id, Math.ceil(seconds) + HMAC_TOLERANCE_SECONDS]
+      )
+    } catch (err) {
+      if (err.code === 'ER_DUP_ENTRY') {
+        return { status: 401, error: 'This signature was already used' }
+      }
+      throw err
+    }
+    credentialId = match.id
+  } else {
+    return { status: 401, error: 'Device credentials are required (Authorization: Bearer <api key> or X-Device-Signature)' }
+  }
+
+  pool.query('UPDATE device_credentials SET last_used_at = NOW() WHERE id = ?', [credentialId])
+    .catch(err => console.error('Failed to update credential last_used_at:', err.message))
+
+  return { credentialId }
+}
+
+// Disabled and archived devices keep their data but take no more. Returns { status, error }
+// to send back, or null for devices in service.
+const serviceError = (device) => (device.service_state === 'active'
+  ? null
+  : { status: 403, error: `This device is ${device.service_state} and does not accept data` })
+
+// Resolves :uniq_url to exactly one device and checks that the request carries a
+// credential of that device, either an API key or an HMAC signature of
+// "<X-Device-Timestamp>.<raw body>". Sets req.device on success.
+const requireDeviceAuth = asyncHandler(async (req, res, next) => {
+  const device = await findDeviceBySlug(req.params.uniq_url)
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found' })
+  }
+
+  const auth = await verifyDeviceCredential(device, {
+    apiKey: readApiKey(req),
+    signature: req.get('X-Device-Signature') || null,
+    timestamp: req.get('X-Device-Timestamp') ?? null,
+    body: req.rawBody ? req.rawBody.toString('utf8') : '',
+  })
+  const refused = auth.error ? auth : serviceError(device)
+  if (refused) {
+    return res.status(refused.status).json({ error: refused.error })
+  }
+
+  req.device = device
+  next()
+})
+
+module.exports = {
+  ACTIVE_SQL,
+  CREDENTIAL_TYPES,
+  SERVICE_STATES,
+  issueCredential,
+  newSlug,
+  ingestionUrl,
+  backfillLegacyDevices,
+  findDeviceBySlug,
+  serviceError,
+  verifyDeviceCredential,
+  requireDeviceAuth,
+}
@@ -0,0 +1,180 @@
+const pool = require('./db')
+const { raiseAlert, resolveAlerts } = require('./alerts')
+const { publish } = require('./eventStream')
+const { enqueueWebhookEvent } = require('./webhookDispatcher')
+
+// How often devices are expected to report, unless set per device.
+const DEFAULT_REPORT_INTERVAL_SECONDS = Number(process.env.DEVICE_REPORT_INTERVAL_SECONDS) || 60
+// A device is stale, then offline, after this many expected reports in a row are missing.
+const STALE_AFTER_INTERVALS = Number(process.env.DEVICE_STALE_AFTER_INTERVALS) || 3
+const OFFLINE_AFTER_INTERVALS = Number(process.env.DEVICE_OFFLINE_AFTER_INTERVALS) || 10
+const INTERVAL_MS = Number(process.env.DEVICE_HEALTH_INTERVAL_MS) || 30 * 1000
+
+// unknown: never reported
+const HEALTH_STATES = ['unknown', 'online', 'stale', 'offline']
+
+let timer = null
+let running = false
+
+const reportInterval = (device) => device.report_interval_seconds || DEFAULT_REPORT_INTERVAL_SECONDS
+
+// Seconds of silence after which a device is in `state`.
+const silenceLimit = (device, state) =>
+  reportInterval(device) * (state === 'offline' ? OFFLINE_AFTER_INTERVALS : STALE_AFTER_INTERVALS)
+
+// State of a device row selected with HEALTH_COLUMNS. Silence is measured by the database
+// clock, the same one that stamped last_report_at.
+const healthState = (device) => {
+  if (device.last_report_at === null || device.silent_seconds === null) return 'unknown'
+  if (device.silent_seconds > silenceLimit(device, 'offline')) return 'offline'
+  if (device.silent_seconds > silenceLimit(device, 'stale')) return 'stale'
+  return 'online'
+}
+
+const HEALTH_COLUMNS = 'report_interval_seconds, last_report_at, health_state, TIMESTAMPDIFF(SECOND, last_report_at, NOW()) AS silent_seconds'
+
+// Records that a device reported (a scan, batch or heartbeat). A device that was offline
+// comes back online and its device_offline alert is resolved. Runs inside the caller's
+// transaction; returns the events to publish once it commits.
+const recordReport = async (conn, device) => {
+  await conn.query("UPDATE devices SET last_report_at = NOW(), health_state = 'online' WHERE id = ?", [device.id])
+  if (device.health_state === 'online') return []
+
+  const events = [{ type: 'health', data: { device_id: device.id, state: 'online', previous_state: device.health_state } }]
+  if (device.health_state === 'offline') {
+    const resolved = await resolveAlerts(conn, device.id, 'device_offline')
+    if (resolved > 0) events.push({ type: 'alert', data: { device_id: device.id, alert_type: 'device_offline', state: 'resolved' } })
+  }
+  return events
+}
+
+const publishEvents = (events) => {
+  for (const event of events) publish(event.type, event.data)
+}
+
+// A report without scan data, from devices that have nothing to upload.
+const recordHeartbeat = async (device) => {
+  const conn = await pool.getConnection()
+  try {
+    await conn.beginTransaction()
+    const events = await recordReport(conn, device)
+    await conn.commit()
+    publishEvents(events)
+  } catch (err) {
+    await conn.rollback()
+    throw err
+  } finally {
+    conn.release()
+  }
+  return { device_id: device.id, state: 'online', report_interval_seconds: reportInterval(device) }
+}
+
+// Moves one device to stale or offline, unless it reported in the meantime. Going offline
+// raises a device_offline alert and notifies the device's webhooks.
+const markDevice = async (device, state) => {
+  const conn = await pool.getConnection()
+  let alert = null
+  try {
+    await conn.beginTransaction()
+    const [result] = await conn.query(
+      'UPDATE devices SET health_state = ? WHERE id = ? AND health_state = ? AND TIMESTAMPDIFF(SECOND, last_report_at, NOW()) > ?',
+      [state, device.id, device.health_state, silenceLimit(device, state)]
+    )
+    if (result.affectedRows === 0) {
+      await conn.rollback()
+      return false
+    }
+
+    if (state === 'offline') {
+      const minutes = Math.round(device.silent_seconds / 60)
+      const message = `Device ${device.device_name} (${device.location}) has not reported for ${minutes} minutes.`
+      alert = { ...(await raiseAlert(conn, { deviceId: device.id, alertType: 'device_offline', level: 'danger', message })), message }
+    }
+    await conn.commit()
+  } catch (err) {
+    await conn.rollback()
+    throw err
+  } finally {
+    conn.release()
+  }
+
+  publish('health', { device_id: device.id, state, previous_state: device.health_state, last_report_at: device.last_report_at })
+  if (alert) {
+    if (alert.created || alert.escalated) {
+      publish('alert', {
+        device_id: device.id,
+        alert_id: alert.id,
+        alert_type: 'device_offline',
+        level: alert.level,
+        state: 'open',
+        created: alert.created,
+        escalated: alert.escalated,
+        message: alert.message,
+      })
+    }
+    await enqueueWebhookEvent(device.id, {
+      eventType: 'alert',
+      alertId: alert.id,
+      payload: {
+        deviceId: device.id,
+        deviceName: device.device_name,
+        location: device.location,
+        alertId: alert.id,
+        alertType: 'device_offline',
+        status: 'offline',
+        lastReportAt: device.last_report_at,
+        message: alert.message,
+        timestamp: new Date(),
+      },
+    }).catch(err => console.error(`Failed to queue webhooks for device ${device.id}:`, err.message))
+  }
+  return true
+}
+
+// One pass over all devices in service that have ever reported. Devices only go back online when
+// they report, never here. Returns the number of devices whose state changed, or null
+// if a pass is already running.
+const checkDeviceHealth = async () => {
+  if (running) return null
+  running = true
+  try {
+    const [devices] = await pool.query(
+      `SELECT id, device_name, location, ${HEALTH_COLUMNS} FROM devices WHERE last_report_at IS NOT NULL AND service_state = 'active'`
+    )
+    let changed = 0
+    for (const device of devices) {
+      const state = healthState(device)
+      if (state === 'online' || state === device.health_state) continue
+      if (await markDevice(device, state)) changed += 1
+    }
+    return changed
+  } finally {
+    running = false
+  }
+}
+
+const startDeviceHealthCheck = () => {
+  if (timer) return
+  const tick = () => checkDeviceHealth().catch(err => console.error('Device health check error:', err.message))
+  timer = setInterval(tick, INTERVAL_MS)
+  timer.unref()
+}
+
+const stopDeviceHealthCheck = () => {
+  clearInterval(timer)
+  timer = null
+}
+
+module.exports = {
+  DEFAULT_REPORT_INTERVAL_SECONDS,
+  HEALTH_STATES,
+  HEALTH_COLUMNS,
+  reportInterval,
+  healthState,
+  recordReport,
+  publishEvents,
+  recordHeartbeat,
+  checkDeviceHealth,
+  startDeviceHealthCheck,
+  stopDeviceHealthCheck,
+}
@@ -0,0 +1,111 @@
+const pool = require('./db')
+const { percentile } = require('./crowdHelper')
+
+const DEFAULT_HISTOGRAM_MINUTES = [1, 5, 15, 30, 60, 120]
+
+const streamObservationsByDevice = (from, to, deviceIds = null) => {
+  const deviceFilter = deviceIds ? `AND device_id IN (${deviceIds.map(() => '?').join(',')})` : ''
+  return pool.pool.query(
+    `SELECT device_id, tracked_device_id, observed_at FROM device_observations
+     WHERE observed_at >= ? AND observed_at < ? ${deviceFilter}
+     ORDER BY device_id, tracked_device_id, observed_at`,
+    [from, to, ...(deviceIds || [])]
+  ).stream()
+}
+
+// Groups observations (ordered by device, tracked device, time) into visit
+// sessions: a session ends when the same MAC is not seen at the device for
+// more than gapMs.
+const collectSessions = async (rows, gapMs, onSession) => {
+  let current = null
+
+  for await (const row of rows) {
+    const at = new Date(row.observed_at).getTime()
+    const sameVisit = current &&
+      current.deviceId === row.device_id &&
+      current.trackedId === row.tracked_device_id &&
+      at - current.end <= gapMs
+
+    if (sameVisit) {
+      current.end = at
+      current.observations += 1
+      continue
+    }
+
+    if (current) onSession(current)
+    current = { deviceId: row.device_id, trackedId: row.tracked_device_id, start: at, end: at, observations: 1 }
+  }
+
+  if (current) onSession(current)
+}
+
+const histogram = (sortedSeconds, edgesMinutes) => {
+  const bins = []
+  let lower = 0
+  for (const edge of [...edgesMinutes, Infinity]) {
+    bins.push({ from_minutes: lower, to_minutes: edge === Infinity ? null : edge, count: 0 })
+    lower = edge
+  }
+  for (const s of sortedSeconds) {
+    const minutes = s / 60
+    const bin = bins.find(b => b.to_minutes === null || minutes < b.to_minutes)
+    bin.count += 1
+  }
+  return bins
+}
+
+const summarize = (durations, edgesMinutes) => {
+  durations.sort((a, b) => a - b)
+  const total = durations.reduce((acc, d) => acc + d, 0)
+  return {
+    sessions: durations.length,
+    mean_seconds: durations.length ? Math.round(total / durations.length) : null,
+    median_seconds: durations.length ? Math.round(percentile(durations, 0.5)) : null,
+    p90_seconds: durations.length ? Math.round(percentile(durations, 0.9)) : null,
+    max_seconds: durations.length ? durations[durations.length - 1] : null,
+    histogram: histogram(durations, edgesMinutes),
+  }
+}
+
+// Dwell-time distribution per device from observations in [from, to).
+// Sessions that cross the window edges are cut at the edges.
+const computeDwell = async ({ from, to, gapSeconds, deviceIds = null, histogramMinutes = DEFAULT_HISTOGRAM_MINUTES }) => {
+  const byDevice = new Map()
+  await collectSessions(streamObservationsByDevice(from, to, deviceIds), gapSeconds * 1000, (s) => {
+    if (!byDevice.has(s.deviceId)) byDevice.set(s.deviceId, [])
+    byDevice.get(s.deviceId).push(Math.round((s.end - s.start) / 1000))
+  })
+
+  const result = new Map()
+  for (const [deviceId, durations] of byDevice) {
+    result.set(deviceId, summarize(durations, histogramMinutes))
+  }
+  return result
+}
+
+// MACs whose current (still open) session at a device has lasted at least
+// stuckSeconds. Sessions are only traced back lookbackSeconds, so durations are lower bounds.
+const computeStuck = async ({ gapSeconds, stuckSeconds, lookbackSeconds, deviceIds = null, now = Date.now() }) => {
+  const from = new Date(now - lookbackSeconds * 1000)
+  const to = new Date(now)
+  const stuck = new Map()
+
+  await collectSessions(streamObservationsByDevice(from, to, deviceIds), gapSeconds * 1000, (s) => {
+    const ongoing = now - s.end <= gapSeconds * 1000
+    const duration = Math.round((s.end - s.start) / 1000)
+    if (!ongoing || duration < stuckSeconds) return
+    if (!stuck.has(s.deviceId)) stuck.set(s.deviceId, { count: 0, longest_seconds: 0 })
+    const entry = stuck.get(s.deviceId)
+    entry.count += 1
+    entry.longest_seconds = Math.max(entry.longest_seconds, duration)
+  })
+
+  return stuck
+}
+
+module.exports = {
+  DEFAULT_HISTOGRAM_MINUTES,
+  collectSessions,
+  computeDwell,
+  computeStuck,
+}
@@ -0,0 +1,84 @@
+const { EventEmitter } = require('events')
+
+const BUFFER_SIZE = Number(process.env.STREAM_BUFFER_SIZE) || 1000
+
+// Event ids are "<boot>-<seq>". The boot part changes on every restart so a
+// client resuming with an id from a previous run is detected instead of
+// silently skipping events.
+const bootId = Date.now().toString(36)
+let seq = 0
+const buffer = []
+
+const emitter = new EventEmitter()
+emitter.setMaxListeners(0)
+
+// Publishes an event to every subscriber and keeps it for resuming clients.
+// data.device_id and data.zone_id route the event to per-device and per-zone subscriptions.
+const publish = (type, data) => {
+  seq += 1
+  const event = {
+    id: `${bootId}-${seq}`,
+    type,
+    device_id: data.device_id ?? null,
+    zone_id: data.zone_id ?? null,
+    at: new Date().toISOString(),
+    data,
+  }
+  buffer.push({ seq, event })
+  if (buffer.length > BUFFER_SIZE) buffer.shift()
+  emitter.emit('event', event)
+  return event
+}
+
+// Returns the buffered events after lastEventId. complete is false when some
+// events in between were already dropped (or the id is from an earlier run),
+// in which case the client should re-fetch current state.
+const eventsSince = (lastEventId) => {
+  if (!lastEventId) return { events: [], complete: true }
+
+  const [boot, n] = String(lastEventId).split('-')
+  const last = Number(n)
+  if (boot !== bootId || !Number.isInteger(last)) {
+    return { events: buffer.map(b => b.event), complete: false }
+  }
+
+  const complete = buffer.length === 0 ? last >= seq : buffer[0].seq <= last + 1
+  return { events: buffer.filter(b => b.seq > last).map(b => b.event), complete }
+}
+
+const subscribe = (listener) => {
+  emitter.on('event', listener)
+  return () => emitter.off('event', listener)
+}
+
+// Parses "1,2,3" (or an array) into a Set of ids; empty or "all" means no restriction (null).
+const parseIds = (value) => {
+  if (value === undefined || value === null || value === '' || value === 'all') return null
+  const list = Array.isArray(value) ? value : String(value).split(',')
+  const ids = list.map(Number).filter(n => Number.isInteger(n) && n > 0)
+  return new Set(ids)
+}
+
+// A subscription to the given devices and zones; with neither, to every event.
+const parseFilter = (deviceIds, zoneIds) => ({ deviceIds: parseIds(deviceIds), zoneIds: parseIds(zoneIds) })
+
+// An event matches if it is about one of the devices or one of the zones.
+const matchesFilter = (filter, event) => {
+  if (filter.deviceIds === null && filter.zoneIds === null) return true
+  return (filter.deviceIds !== null && filter.deviceIds.has(event.device_id)) ||
+    (filter.zoneIds !== null && filter.zoneIds.has(event.zone_id))
+}
+
+const describeFilter = (filter) => ({
+  device_ids: filter.deviceIds === null ? 'all' : [...filter.deviceIds],
+  zone_ids: filter.zoneIds === null ? 'all' : [...filter.zoneIds],
+})
+
+module.exports = {
+  publish,
+  eventsSince,
+  subscribe,
+  parseFilter,
+  matchesFilter,
+  describeFilter,
+}
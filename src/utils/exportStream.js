@@ -0,0 +1,81 @@
+const pool = require('./db')
+
+const EXPORT_FORMATS = ['csv', 'ndjson']
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+}
+
+// Plain values for both formats: dates as ISO strings, binary columns as hex, DECIMALs as numbers.
+const plain = (value) => {
+  if (value instanceof Date) return value.toISOString()
+  if (Buffer.isBuffer(value)) return value.toString('hex')
+  return value
+}
+
+// Spreadsheets run text starting with one of these as a formula, so such cells get a leading
+// apostrophe. Numbers are left alone: a negative headcount or offset is not text.
+const FORMULA_START = /^[=+\-@\t\r]/
+
+const csvCell = (value) => {
+  const v = plain(value)
+  if (v === null || v === undefined) return ''
+  let text = typeof v === 'object' ? JSON.stringify(v) : String(v)
+  if (typeof v === 'string' && FORMULA_START.test(text)) text = `'${text}`
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Streams `sql` on a connection of its own and yields each row as it arrives, so an
+// export holds one row in memory at a time. Stopping early (the client went away)
+// destroys the connection, since a half-read result cannot go back to the pool.
+async function* streamRows(sql, params) {
+  const conn = await pool.getConnection()
+  let finished = false
+  try {
+    for await (const row of conn.connection.query(sql, params).stream()) yield row
+    finished = true
+  } finally {
+    if (finished) conn.release()
+    else conn.destroy()
+  }
+}
+
+// Writes rows (any iterable or async iterable of objects) as CSV with a header line, or as
+// one JSON object per line, waiting for the client whenever its buffer is full.
+// `numeric` columns come back from mysql2 as strings (DECIMAL) and are written as numbers.
+const writeExport = async (res, rows, { format, columns, filename, numeric = [] }) => {
+  res.status(200)
+  res.set('Content-Type', CONTENT_TYPES[format])
+  res.set('Content-Disposition', `attachment; filename="${filename}.${format === 'csv' ? 'csv' : 'ndjson'}"`)
+  res.set('Cache-Control', 'no-store')
+
+  const closed = () => res.destroyed || res.writableEnded
+  const gone = new Promise(resolve => res.once('close', resolve))
+  const write = (chunk) => (res.write(chunk) ? null : Promise.race([new Promise(resolve => res.once('drain', resolve)), gone]))
+
+  try {
+    if (format === 'csv') await write(columns.join(',') + '\n')
+    for await (const row of rows) {
+      if (closed()) break
+      const values = columns.map(c => (numeric.includes(c) && row[c] !== null && row[c] !== undefined ? Number(row[c]) : plain(row[c])))
+      const line = format === 'csv'
+        ? values.map(csvCell).join(',') + '\n'
+        : JSON.stringify(Object.fromEntries(columns.map((c, i) => [c, values[i] ?? null]))) + '\n'
+      const waiting = write(line)
+      if (waiting) await waiting
+    }
+    if (!closed()) res.end()
+  } catch (err) {
+    if (!res.headersSent) throw err
+    // the status line is already sent, so a failure can only cut the download short
+    console.error('Export failed:', err.message)
+    res.destroy()
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  streamRows,
+  writeExport,
+}
@@ -0,0 +1,80 @@
+const pool = require('./db')
+const { percentile } = require('./crowdHelper')
+
+// Streams observations in [from, to) at every device, ordered by tracked device and time, so
+// memory stays flat no matter how many rows the window holds. There is deliberately no device
+// filter: a device left out would hide the stops in between, and A -> X -> B would look like
+// a direct (and slow) A -> B.
+const streamObservations = (from, to) => pool.pool.query(
+  `SELECT tracked_device_id, device_id, observed_at FROM device_observations
+   WHERE observed_at >= ? AND observed_at < ?
+   ORDER BY tracked_device_id, observed_at`,
+  [from, to]
+).stream()
+
+// Walks observations of each tracked device in time order and reports a
+// transition whenever it shows up at a different device within maxGapMs of
+// its last sighting at the previous one.
+const collectTransitions = async (rows, maxGapMs, onTransition) => {
+  let current = null
+
+  for await (const row of rows) {
+    const at = new Date(row.observed_at).getTime()
+
+    if (!current || current.trackedId !== row.tracked_device_id) {
+      current = { trackedId: row.tracked_device_id, deviceId: row.device_id, lastSeen: at }
+      continue
+    }
+
+    if (row.device_id !== current.deviceId) {
+      const gap = at - current.lastSeen
+      if (gap <= maxGapMs) {
+        onTransition({
+          trackedId: current.trackedId,
+          from: current.deviceId,
+          to: row.device_id,
+          leftAt: current.lastSeen,
+          arrivedAt: at,
+        })
+      }
+      current.deviceId = row.device_id
+    }
+    current.lastSeen = at
+  }
+}
+
+// Origin-destination counts and median travel time between devices in [from, to). With
+// deviceIds, only flows between those devices are returned; transitions are still followed
+// across all devices, and share_of_origin counts every departure from the origin.
+const computeFlows = async ({ from, to, maxGapSeconds, deviceIds = null }) => {
+  const pairs = new Map()
+  const outbound = new Map()
+  const wanted = deviceIds ? new Set(deviceIds) : null
+
+  await collectTransitions(streamObservations(from, to), maxGapSeconds * 1000, (t) => {
+    outbound.set(t.from, (outbound.get(t.from) || 0) + 1)
+    if (wanted && !(wanted.has(t.from) && wanted.has(t.to))) return
+    const key = `${t.from}:${t.to}`
+    if (!pairs.has(key)) pairs.set(key, { from_device_id: t.from, to_device_id: t.to, travel: [] })
+    pairs.get(key).travel.push((t.arrivedAt - t.leftAt) / 1000)
+  })
+
+  const flows = [...pairs.values()].map(({ from_device_id, to_device_id, travel }) => {
+    travel.sort((a, b) => a - b)
+    return {
+      from_device_id,
+      to_device_id,
+      count: travel.length,
+      share_of_origin: Number((travel.length / outbound.get(from_device_id)).toFixed(4)),
+      median_travel_seconds: Math.round(percentile(travel, 0.5)),
+    }
+  }).sort((a, b) => b.count - a.count)
+
+  return flows
+}
+
+module.exports = {
+  streamObservations,
+  collectTransitions,
+  computeFlows,
+}
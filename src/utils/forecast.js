@@ -0,0 +1,287 @@
+const pool = require('./db')
+const { clampPrediction } = require('./crowdHelper')
+const { expectedInflow } = require('./inflow')
+
+const WEEK_SECONDS = 7 * 24 * 60 * 60
+
+// Each model forecasts the count of the next window from
+// `recent` (window counts, oldest first, the last one is the current window) and
+// `seasonal` (counts of the same window one, two, ... weeks earlier).
+const MODELS = {
+  linear_delta: {
+    description: 'Current count plus the change from the previous window.',
+    params: {},
+    historyWindows: () => 2,
+    forecast: ({ recent }) => {
+      const curr = recent[recent.length - 1]
+      const prev = recent[recent.length - 2]
+      return curr + (curr - prev)
+    },
+  },
+  ewma: {
+    description: 'Exponentially weighted moving average of the recent windows.',
+    params: {
+      alpha: { default: 0.5, min: 0, max: 1, description: 'Weight of the newest window (0 < alpha <= 1).' },
+      history_windows: { default: 10, min: 2, max: 120, integer: true, description: 'Number of windows to smooth over.' },
+    },
+    historyWindows: (p) => p.history_windows,
+    forecast: ({ recent }, { alpha }) => {
+      let level = recent[0]
+      for (let i = 1; i < recent.length; i++) level = alpha * recent[i] + (1 - alpha) * level
+      return level
+    },
+  },
+  holt: {
+    description: "Holt's linear trend: a smoothed level plus a smoothed trend.",
+    params: {
+      alpha: { default: 0.5, min: 0, max: 1, description: 'Level smoothing (0 < alpha <= 1).' },
+      beta: { default: 0.3, min: 0, max: 1, description: 'Trend smoothing (0 < beta <= 1).' },
+      history_windows: { default: 10, min: 2, max: 120, integer: true, description: 'Number of windows to smooth over.' },
+    },
+    historyWindows: (p) => p.history_windows,
+    forecast: ({ recent }, { alpha, beta }) => {
+      let level = recent[0]
+      let trend = recent[1] - recent[0]
+      for (let i = 1; i < recent.length; i++) {
+        const prevLevel = level
+        level = alpha * recent[i] + (1 - alpha) * (level + trend)
+        trend = beta * (level - prevLevel) + (1 - beta) * trend
+      }
+      return level + trend
+    },
+  },
+  seasonal: {
+    description: 'Average count of the same window on the same weekday and time in previous weeks.',
+    params: {
+      weeks: { default: 2, min: 1, max: 4, integer: true, description: 'Number of previous weeks to average.' },
+    },
+    historyWindows: () => 2,
+    seasonalWeeks: (p) => p.weeks,
+    forecast: ({ recent, seasonal }) => {
+      const known = seasonal.filter(v => v !== null)
+      // no history from previous weeks yet: carry the current count forward
+      if (known.length === 0) return recent[recent.length - 1]
+      return known.reduce((acc, v) => acc + v, 0) / known.length
+    },
+  },
+}
+
+const DEFAULT_MODEL = MODELS[process.env.FORECAST_DEFAULT_MODEL] ? process.env.FORECAST_DEFAULT_MODEL : 'linear_delta'
+
+const defaultParams = (model) => {
+  const params = {}
+  for (const [name, spec] of Object.entries(MODELS[model].params)) params[name] = spec.default
+  return params
+}
+
+// Merges params over the model defaults. Returns { params } or { error }.
+const resolveParams = (model, params = {}) => {
+  if (!MODELS[model]) return { error: `model must be one of: ${Object.keys(MODELS).join(', ')}` }
+  if (params === null || typeof params !== 'object' || Array.isArray(params)) return { error: 'params must be an object' }
+
+  const specs = MODELS[model].params
+  const resolved = defaultParams(model)
+  for (const [name, value] of Object.entries(params)) {
+    const spec = specs[name]
+    if (!spec) return { error: `Unknown parameter for ${model}: ${name}` }
+    const n = Number(value)
+    const inRange = Number.isFinite(n) && (spec.integer ? Number.isInteger(n) && n >= spec.min : n > spec.min) && n <= spec.max
+    if (!inRange) return { error: `${name} must be ${spec.integer ? 'an integer ' : ''}in ${spec.integer ? '[' : '('}${spec.min}, ${spec.max}]` }
+    resolved[name] = n
+  }
+  return { params: resolved }
+}
+
+const runModel = (model, params, history) => clampPrediction(MODELS[model].forecast(history, params))
+
+// Forecast settings per device; devices without a row use the default model.
+const loadSettings = async (conn, deviceIds) => {
+  const settings = new Map(deviceIds.map(id => [id, { model: DEFAULT_MODEL, params: defaultParams(DEFAULT_MODEL), configured: false }]))
+  if (deviceIds.length === 0) return settings
+
+  const [rows] = await conn.query(
+    `SELECT device_id, model, params FROM forecast_settings WHERE device_id IN (${deviceIds.map(() => '?').join(',')})`,
+    deviceIds
+  )
+  for (const row of rows) {
+    const stored = typeof row.params === 'string' ? JSON.parse(row.params || '{}') : (row.params || {})
+    const { params, error } = resolveParams(row.model, stored)
+    // a model or parameter that is no longer supported falls back to the default
+    if (!error) settings.set(row.device_id, { model: row.model, params, configured: true })
+  }
+  return settings
+}
+
+// Distinct MAC counts of the last `windows` windows ending now, oldest first.
+const recentWindowCounts = async (conn, deviceIds, windowSeconds, windows) => {
+  const [rows] = await conn.query(
+    `SELECT device_id, GREATEST(0, FLOOR(TIMESTAMPDIFF(SECOND, observed_at, NOW()) / ?)) AS age,
+            COUNT(DISTINCT tracked_device_id) AS cnt
+     FROM device_observations
+     WHERE device_id IN (${deviceIds.map(() => '?').join(',')}) AND observed_at >= DATE_SUB(NOW(), INTERVAL ? SECOND)
+     GROUP BY device_id, age`,
+    [windowSeconds, ...deviceIds, windowSeconds * windows]
+  )
+  const counts = new Map(deviceIds.map(id => [id, new Array(windows).fill(0)]))
+  for (const row of rows) {
+    const age = Number(row.age)
+    if (age < windows) counts.get(row.device_id)[windows - 1 - age] = Number(row.cnt)
+  }
+  return counts
+}
+
+// Distinct MAC counts of the window following this moment 1..weeks weeks ago,
+// newest week first. Raw observations that were already purged are read from the
+// minute rollups; weeks with neither are null.
+const seasonalWindowCounts = async (conn, deviceIds, windowSeconds, weeks) => {
+  const placeholders = deviceIds.map(() => '?').join(',')
+  const counts = new Map(deviceIds.map(id => [id, new Array(weeks).fill(null)]))
+
+  for (let k = 1; k <= weeks; k++) {
+    const startAgo = k * WEEK_SECONDS
+    const endAgo = startAgo - windowSeconds
+    const [raw] = await conn.query(
+      `SELECT device_id, COUNT(DISTINCT tracked_device_id) AS cnt FROM device_observations
+       WHERE device_id IN (${placeholders}) AND observed_at >= DATE_SUB(NOW(), INTERVAL ? SECOND) AND observed_at < DATE_SUB(NOW(), INTERVAL ? SECOND)
+       GROUP BY device_id`,
+      [...deviceIds, startAgo, endAgo]
+    )
+    const [rollups] = await conn.query(
+      `SELECT device_id, MAX(distinct_count) AS cnt FROM observation_rollups_minute
+       WHERE device_id IN (${placeholders}) AND bucket_start >= DATE_SUB(NOW(), INTERVAL ? SECOND) AND bucket_start < DATE_SUB(NOW(), INTERVAL ? SECOND)
+       GROUP BY device_id`,
+      [...deviceIds, startAgo, endAgo]
+    )
+    for (const row of rollups) counts.get(row.device_id)[k - 1] = Number(row.cnt)
+    for (const row of raw) counts.get(row.device_id)[k - 1] = Number(row.cnt)
+  }
+  return counts
+}
+
+// Current, previous and predicted next-window count for each device. The device's
+// own model forecasts its trend; expected arrivals from adjacent devices are added on top.
+const predictDevices = async (conn, deviceIds, windowSeconds) => {
+  const settings = await loadSettings(conn, deviceIds)
+
+  let windows = 2
+  let weeks = 0
+  for (const { model, params } of settings.values()) {
+    windows = Math.max(windows, MODELS[model].historyWindows(params))
+    if (MODELS[model].seasonalWeeks) weeks = Math.max(weeks, MODELS[model].seasonalWeeks(params))
+  }
+
+  const recent = await recentWindowCounts(conn, deviceIds, windowSeconds, windows)
+  const seasonal = weeks > 0 ? await seasonalWindowCounts(conn, deviceIds, windowSeconds, weeks) : new Map()
+  const current = new Map(deviceIds.map(id => [id, recent.get(id)[windows - 1]]))
+  const inflow = await expectedInflow(conn, deviceIds, windowSeconds, current)
+
+  const predictions = new Map()
+  for (const id of deviceIds) {
+    const { model, params } = settings.get(id)
+    const series = recent.get(id)
+    const history = {
+      recent: series.slice(windows - MODELS[model].historyWindows(params)),
+      seasonal: (seasonal.get(id) || []).slice(0, params.weeks),
+    }
+    const basePredicted = runModel(model, params, history)
+    predictions.set(id, {
+      current: series[windows - 1],
+      previous: series[windows - 2],
+      predicted: clampPrediction(basePredicted + inflow.get(id).expected),
+      base_predicted: basePredicted,
+      model,
+      inflow: inflow.get(id),
+    })
+  }
+  return predictions
+}
+
+// Distinct MAC counts of consecutive windows in [fromMs, toMs) for one device.
+// Windows before the device's oldest raw observation are read from the minute rollups
+// (a lower bound when the window is longer than a minute).
+const windowGrid = async (deviceId, fromMs, toMs, windowSeconds) => {
+  const size = Math.ceil((toMs - fromMs) / (windowSeconds * 1000))
+  const grid = new Array(size).fill(0)
+  const ref = new Date(fromMs)
+
+  const [raw] = await pool.query(
+    `SELECT FLOOR(TIMESTAMPDIFF(SECOND, ?, observed_at) / ?) AS idx, COUNT(DISTINCT tracked_device_id) AS cnt
+     FROM device_observations
+     WHERE device_id = ? AND observed_at >= ? AND observed_at < ?
+     GROUP BY idx`,
+    [ref, windowSeconds, deviceId, ref, new Date(toMs)]
+  )
+  for (const row of raw) {
+    const i = Number(row.idx)
+    if (i >= 0 && i < size) grid[i] = Number(row.cnt)
+  }
+
+  const [first] = await pool.query('SELECT MIN(observed_at) AS first FROM device_observations WHERE device_id = ?', [deviceId])
+  const rawFrom = first[0].first ? new Date(first[0].first).getTime() : Infinity
+  if (rawFrom <= fromMs) return grid
+
+  const [rollups] = await pool.query(
+    `SELECT FLOOR(TIMESTAMPDIFF(SECOND, ?, bucket_start) / ?) AS idx, MAX(distinct_count) AS cnt
+     FROM observation_rollups_minute
+     WHERE device_id = ? AND bucket_start >= ? AND bucket_start < ?
+     GROUP BY idx`,
+    [ref, windowSeconds, deviceId, ref, new Date(Math.min(toMs, rawFrom))]
+  )
+  for (const row of rollups) {
+    const i = Number(row.idx)
+    if (i >= 0 && i < size && fromMs + (i + 1) * windowSeconds * 1000 <= rawFrom) grid[i] = Number(row.cnt)
+  }
+  return grid
+}
+
+// Replays [fromMs, toMs) window by window: each model forecasts the next window from
+// the history before it, and the forecast is compared with the stored count.
+const backtest = async ({ deviceId, fromMs, toMs, windowSeconds, models }) => {
+  const windowMs = windowSeconds * 1000
+  const steps = Math.floor((toMs - fromMs) / windowMs)
+
+  const windows = Math.max(2, ...models.map(m => MODELS[m.model].historyWindows(m.params)))
+  const weeks = Math.max(0, ...models.map(m => (MODELS[m.model].seasonalWeeks ? MODELS[m.model].seasonalWeeks(m.params) : 0)))
+
+  // grid[windows + j] is the window that starts at fromMs + j * windowMs
+  const grid = await windowGrid(deviceId, fromMs - windows * windowMs, fromMs + steps * windowMs, windowSeconds)
+  const seasonalGrids = []
+  for (let k = 1; k <= weeks; k++) {
+    const shift = k * WEEK_SECONDS * 1000
+    seasonalGrids.push(await windowGrid(deviceId, fromMs - shift, fromMs + steps * windowMs - shift, windowSeconds))
+  }
+
+  const errors = models.map(() => ({ abs: 0, sq: 0 }))
+  for (let j = 0; j < steps; j++) {
+    const actual = grid[windows + j]
+    const recent = grid.slice(j, windows + j)
+    const seasonal = seasonalGrids.map(g => g[j])
+    models.forEach((m, i) => {
+      const history = {
+        recent: recent.slice(windows - MODELS[m.model].historyWindows(m.params)),
+        seasonal: seasonal.slice(0, m.params.weeks),
+      }
+      const error = runModel(m.model, m.params, history) - actual
+      errors[i].abs += Math.abs(error)
+      errors[i].sq += error * error
+    })
+  }
+
+  return models.map((m, i) => ({
+    model: m.model,
+    params: m.params,
+    samples: steps,
+    mae: steps > 0 ? Number((errors[i].abs / steps).toFixed(3)) : null,
+    rmse: steps > 0 ? Number(Math.sqrt(errors[i].sq / steps).toFixed(3)) : null,
+  }))
+}
+
+module.exports = {
+  MODELS,
+  DEFAULT_MODEL,
+  defaultParams,
+  resolveParams,
+  loadSettings,
+  predictDevices,
+  backtest,
+}
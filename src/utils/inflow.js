@@ -0,0 +1,163 @@
+const pool = require('./db')
+const { percentile } = require('./crowdHelper')
+const { streamObservations, collectTransitions } = require('./flows')
+
+// how far back transitions between neighbors are counted to estimate movement rates
+const LOOKBACK_SECONDS = Number(process.env.INFLOW_LOOKBACK_SECONDS) || 3600
+const MAX_GAP_SECONDS = Number(process.env.INFLOW_MAX_GAP_SECONDS) || 600
+const REFRESH_INTERVAL_MS = Number(process.env.INFLOW_CACHE_TTL_MS) || 60 * 1000
+
+// Rates move slowly, so they are computed in the background for every neighbor pair and only
+// read while ingesting: "<from>:<to>" -> rate. Pairs without one yet expect no inflow.
+let rates = new Map()
+let rateWindowSeconds = null
+const NO_RATE = { rate: 0, transitions: 0, median_travel_seconds: null }
+
+let timer = null
+let running = false
+
+// Adjacent devices of each target; a neighbor link in either direction counts.
+const loadAdjacency = async (conn, deviceIds) => {
+  const placeholders = deviceIds.map(() => '?').join(',')
+  const [rows] = await conn.query(
+    `SELECT device_id, neighbor_device_id FROM device_neighbors
+     WHERE device_id IN (${placeholders}) OR neighbor_device_id IN (${placeholders})`,
+    [...deviceIds, ...deviceIds]
+  )
+  const adjacency = new Map(deviceIds.map(id => [id, new Set()]))
+  for (const row of rows) {
+    if (adjacency.has(row.device_id)) adjacency.get(row.device_id).add(row.neighbor_device_id)
+    if (adjacency.has(row.neighbor_device_id)) adjacency.get(row.neighbor_device_id).add(row.device_id)
+  }
+  return adjacency
+}
+
+// Per-window probability that a MAC seen at `from` shows up at `to` next: transitions
+// from -> to in the lookback period divided by the MAC-windows spent at `from`.
+const computeRates = async (pairs, windowSeconds) => {
+  const now = Date.now()
+  const from = new Date(now - LOOKBACK_SECONDS * 1000)
+  const to = new Date(now)
+  const next = new Map()
+  if (pairs.length === 0) return next
+  const sourceIds = [...new Set(pairs.map(p => p.from))]
+
+  const travel = new Map(pairs.map(p => [`${p.from}:${p.to}`, []]))
+  await collectTransitions(streamObservations(from, to), MAX_GAP_SECONDS * 1000, (t) => {
+    const list = travel.get(`${t.from}:${t.to}`)
+    if (list) list.push((t.arrivedAt - t.leftAt) / 1000)
+  })
+
+  const [presence] = await pool.query(
+    `SELECT device_id, COUNT(DISTINCT tracked_device_id, FLOOR(TIMESTAMPDIFF(SECOND, ?, observed_at) / ?)) AS mac_windows
+     FROM device_observations
+     WHERE device_id IN (${sourceIds.map(() => '?').join(',')}) AND observed_at >= ? AND observed_at < ?
+     GROUP BY device_id`,
+    [from, windowSeconds, ...sourceIds, from, to]
+  )
+  const macWindows = new Map(presence.map(r => [r.device_id, Number(r.mac_windows)]))
+
+  for (const p of pairs) {
+    const times = travel.get(`${p.from}:${p.to}`).sort((a, b) => a - b)
+    const exposure = macWindows.get(p.from) || 0
+    next.set(`${p.from}:${p.to}`, {
+      rate: exposure > 0 ? Math.min(1, times.length / exposure) : 0,
+      transitions: times.length,
+      median_travel_seconds: times.length > 0 ? Math.round(percentile(times, 0.5)) : null,
+    })
+  }
+  return next
+}
+
+// Recomputes the rates of every neighbor pair, in both directions, on connections of its own,
+// so ingestion never waits for the scan. Returns the number of pairs, or null if a refresh
+// is already running.
+const refreshRates = async (windowSeconds) => {
+  if (running) return null
+  running = true
+  try {
+    const [links] = await pool.query('SELECT device_id, neighbor_device_id FROM device_neighbors')
+    const pairs = new Map()
+    for (const { device_id: a, neighbor_device_id: b } of links) {
+      pairs.set(`${a}:${b}`, { from: a, to: b })
+      pairs.set(`${b}:${a}`, { from: b, to: a })
+    }
+    rates = await computeRates([...pairs.values()], windowSeconds)
+    rateWindowSeconds = windowSeconds
+    return pairs.size
+  } finally {
+    running = false
+  }
+}
+
+const startInflowRates = (windowSeconds) => {
+  if (timer) return
+  const tick = () => refreshRates(windowSeconds).catch(err => console.error('Inflow rate refresh error:', err.message))
+  timer = setInterval(tick, REFRESH_INTERVAL_MS)
+  timer.unref()
+  tick()
+}
+
+const stopInflowRates = () => {
+  clearInterval(timer)
+  timer = null
+}
+
+const cachedRate = (windowSeconds, from, to) =>
+  (windowSeconds === rateWindowSeconds && rates.get(`${from}:${to}`)) || NO_RATE
+
+// Expected arrivals from adjacent devices in the next window for each target:
+// the current count at each neighbor times its last refreshed rate of moving to the target.
+// `currentCounts` holds counts already known for the window; missing ones are queried.
+const expectedInflow = async (conn, deviceIds, windowSeconds, currentCounts) => {
+  const adjacency = await loadAdjacency(conn, deviceIds)
+  const pairs = []
+  for (const [target, sources] of adjacency) {
+    for (const source of sources) pairs.push({ from: source, to: target })
+  }
+
+  const inflow = new Map(deviceIds.map(id => [id, { expected: 0, sources: [] }]))
+  if (pairs.length === 0) return inflow
+
+  const unknown = [...new Set(pairs.map(p => p.from))].filter(id => !currentCounts.has(id))
+  const counts = new Map(currentCounts)
+  if (unknown.length > 0) {
+    const [rows] = await conn.query(
+      `SELECT device_id, COUNT(DISTINCT tracked_device_id) AS cnt FROM device_observations
+       WHERE device_id IN (${unknown.map(() => '?').join(',')}) AND observed_at >= DATE_SUB(NOW(), INTERVAL ? SECOND)
+       GROUP BY device_id`,
+      [...unknown, windowSeconds]
+    )
+    for (const id of unknown) counts.set(id, 0)
+    for (const row of rows) counts.set(row.device_id, Number(row.cnt))
+  }
+
+  for (const p of pairs) {
+    const { rate, transitions, median_travel_seconds } = cachedRate(windowSeconds, p.from, p.to)
+    const current = counts.get(p.from)
+    const entry = inflow.get(p.to)
+    const expected = current * rate
+    entry.expected += expected
+    entry.sources.push({
+      device_id: p.from,
+      current,
+      rate: Number(rate.toFixed(4)),
+      transitions,
+      median_travel_seconds,
+      expected: Number(expected.toFixed(2)),
+    })
+  }
+  for (const entry of inflow.values()) {
+    entry.expected = Number(entry.expected.toFixed(2))
+    entry.sources.sort((a, b) => b.expected - a.expected)
+  }
+  return inflow
+}
+
+module.exports = {
+  LOOKBACK_SECONDS,
+  expectedInflow,
+  refreshRates,
+  startInflowRates,
+  stopInflowRates,
+}
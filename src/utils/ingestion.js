@@ -0,0 +1,512 @@
+const crypto = require('crypto')
+const pool = require('./db')
+const { hashMac, signalWeightSql, parseSightings } = require('./crowdHelper')
+const { raiseAlert, resolveAlerts } = require('./alerts')
+const { isRandomizedMac, randomizedMacMode, findIgnored } = require('./macFilters')
+const { WIFI_LIST_STORE, macFingerprint } = require('./macHash')
+const { RETENTION, rewindRollups } = require('./maintenance')
+const { publish } = require('./eventStream')
+const { enqueueWebhookEvent } = require('./webhookDispatcher')
+const { predictDevices } = require('./forecast')
+const { recordReport, publishEvents } = require('./deviceHealth')
+const { loadThresholds, resolveStatus } = require('./thresholds')
+const { evaluateZone, publishZoneEvaluation } = require('./zones')
+
+const WINDOW_SECONDS = 60
+
+const MAX_BATCH_SCANS = Number(process.env.INGEST_MAX_BATCH_SCANS) || 500
+const MAX_FUTURE_SECONDS = Number(process.env.INGEST_MAX_FUTURE_SECONDS) || 300
+// late scans are only taken while their raw observations can still be rolled up again
+const MAX_AGE_HOURS = Math.min(
+  Number(process.env.INGEST_MAX_AGE_HOURS) || 24,
+  RETENTION.raw_observations_days > 0 ? RETENTION.raw_observations_days * 24 : Infinity
+)
+const MAX_KEY_LENGTH = 128
+
+const wholeSeconds = (ms) => new Date(Math.floor(ms / 1000) * 1000)
+
+// Distinct MACs at the device in the windowSeconds up to `at` (now by default), plus the
+// same count weighted by each MAC's strongest signal.
+const countWindow = async (conn, deviceId, windowSeconds, at = null) => {
+  const [rows] = await conn.query(
+    `SELECT COUNT(*) AS cnt, SUM(${signalWeightSql('rssi')}) AS weighted
+     FROM (SELECT tracked_device_id, MAX(rssi) AS rssi FROM device_observations
+           WHERE device_id = ? AND observed_at >= DATE_SUB(COALESCE(?, NOW()), INTERVAL ? SECOND)
+             AND observed_at <= COALESCE(?, NOW())
+           GROUP BY tracked_device_id) t`,
+    [deviceId, at, windowSeconds, at]
+  )
+  return {
+    headcount: Number(rows[0].cnt) || 0,
+    weightedHeadcount: Number(Number(rows[0].weighted || 0).toFixed(2)),
+  }
+}
+
+// Applies the device's signal cutoff, randomized MAC mode and ignore lists to the
+// sightings of one scan taken at `at`, keeping one entry per MAC with its strongest signal.
+const filterSightings = async (conn, device, sightings, at, windowSeconds = WINDOW_SECONDS) => {
+  const randomizedMode = randomizedMacMode(device)
+  const randomized = new Set()
+  const byHash = new Map()
+  let belowRssiCutoff = 0
+  for (const s of sightings) {
+    if (device.min_rssi !== null && s.rssi !== null && s.rssi < device.min_rssi) {
+      belowRssiCutoff += 1
+      continue
+    }
+    const hash = hashMac(s.mac, at.getTime())
+    const key = hash.toString('hex')
+    if (randomizedMode !== 'count' && isRandomizedMac(s.mac)) {
+      randomized.add(key)
+      continue
+    }
+    // a sighting is placed inside its scan's window even if the device clock says otherwise
+    const observedAt = s.seenAt === null
+      ? at
+      : new Date(Math.floor(Math.min(at.getTime(), Math.max(at.getTime() - windowSeconds * 1000, s.seenAt)) / 1000) * 1000)
+    const prev = byHash.get(key)
+    if (!prev) {
+      byHash.set(key, { mac: s.mac, hash, fingerprint: macFingerprint(s.mac), rssi: s.rssi, channel: s.channel, observedAt })
+    } else {
+      if (s.rssi !== null && (prev.rssi === null || s.rssi > prev.rssi)) {
+        prev.rssi = s.rssi
+        prev.channel = s.channel ?? prev.channel
+      }
+      if (observedAt > prev.observedAt) prev.observedAt = observedAt
+    }
+  }
+  const ignored = await findIgnored(conn, device.id, [...byHash.values()].map(a => ({ pseudonym: a.hash, fingerprint: a.fingerprint })))
+  for (const key of ignored) byHash.delete(key)
+
+  return {
+    accepted: [...byHash.values()],
+    belowRssiCutoff,
+    ignored: ignored.size,
+    randomizedMode,
+    randomizedCount: randomizedMode === 'separate' ? randomized.size : null,
+    randomizedExcluded: randomizedMode === 'exclude' ? randomized.size : 0,
+  }
+}
+
+// Stores one filtered scan taken at `at`: its observations and a crowd_data reading with
+// the headcount and status of the window ending at `at`, under the threshold profile in effect
+// then. `settings` comes from loadThresholds. Runs inside the caller's transaction.
+const recordScan = async (conn, device, settings, scan, at, windowSeconds = WINDOW_SECONDS) => {
+  const { accepted } = scan
+
+  if (accepted.length > 0) {
+    // first_seen/last_seen only ever widen, so late uploads do not move last_seen back
+    await conn.query(
+      `INSERT INTO tracked_devices (mac_hash, first_seen, last_seen) VALUES ${accepted.map(() => '(?, ?, ?)').join(', ')}
+       ON DUPLICATE KEY UPDATE first_seen = LEAST(first_seen, VALUES(first_seen)), last_seen = GREATEST(last_seen, VALUES(last_seen))`,
+      accepted.flatMap(a => [a.hash, a.observedAt, a.observedAt])
+    )
+
+    const [rows] = await conn.query(
+      `SELECT id, mac_hash FROM tracked_devices WHERE mac_hash IN (${accepted.map(() => '?').join(',')})`,
+      accepted.map(a => a.hash)
+    )
+    const trackedIds = new Map(rows.map(r => [Buffer.from(r.mac_hash).toString('hex'), r.id]))
+
+    const observed = accepted.filter(a => trackedIds.has(a.hash.toString('hex')))
+    if (observed.length > 0) {
+      await conn.query(
+        `INSERT INTO device_observations (tracked_device_id, device_id, observed_at, rssi, channel) VALUES ${observed.map(() => '(?, ?, ?, ?, ?)').join(', ')}`,
+        observed.flatMap(a => [trackedIds.get(a.hash.toString('hex')), device.id, a.observedAt, a.rssi, a.channel])
+      )
+    }
+  }
+
+  const { headcount, weightedHeadcount } = await countWindow(conn, device.id, windowSeconds, at)
+  const { status, rawStatus, profile, density, basis } = await resolveStatus(conn, device.id, settings, headcount, at)
+
+  const [result] = await conn.query(
+    `INSERT INTO crowd_data (device_id, headcount, randomized_count, status, raw_status, threshold_profile_id, threshold_profile, density, status_basis, wifi_list, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      device.id, headcount, scan.randomizedCount, status, rawStatus,
+      profile ? profile.id : null, profile ? profile.name : null, density, basis,
+      JSON.stringify(accepted.map(a => (WIFI_LIST_STORE === 'pseudonym' ? a.hash.toString('hex') : a.mac))),
+      at,
+    ]
+  )
+
+  return { crowdDataId: result.insertId, headcount, weightedHeadcount, status, rawStatus, profile, density, basis }
+}
+
+// Opens, escalates or resolves the device's density alert for a reading. Returns the
+// event to publish (or null) and the webhook to queue once the transaction commits (or null).
+const applyDensityAlert = async (conn, device, { crowdDataId, headcount, density, status, at }) => {
+  if (status !== 'warning' && status !== 'danger') {
+    const resolved = await resolveAlerts(conn, device.id, 'density')
+    return {
+      alertEvent: resolved > 0 ? { device_id: device.id, alert_type: 'density', state: 'resolved' } : null,
+      webhookEvent: null,
+    }
+  }
+
+  const measured = density === null || density === undefined ? '' : ` (${density} people/m²)`
+  const message = `Device ${device.device_name} (${device.location}) detected a ${status} event with headcount ${headcount}${measured}.`
+  const alert = await raiseAlert(conn, {
+    deviceId: device.id,
+    crowdDataId,
+    alertType: 'density',
+    level: status,
+    message,
+    at,
+  })
+
+  const alertEvent = alert.created || alert.escalated
+    ? {
+        device_id: device.id,
+        alert_id: alert.id,
+        alert_type: 'density',
+        level: alert.level,
+        state: 'open',
+        created: alert.created,
+        escalated: alert.escalated,
+        message,
+      }
+    : null
+
+  const webhookEvent = {
+    eventType: 'alert',
+    alertId: alert.id,
+    payload: {
+      deviceId: device.id,
+      deviceName: device.device_name,
+      location: device.location,
+      crowdDataId,
+      alertId: alert.id,
+      headcount,
+      density: density ?? null,
+      areaM2: device.area_m2 === null || device.area_m2 === undefined ? null : Number(device.area_m2),
+      status,
+      message,
+      timestamp: at,
+    },
+  }
+
+  return { alertEvent, webhookEvent }
+}
+
+const NO_THRESHOLD = { status: 500, error: 'Threshold not set for this device' }
+
+// Predictions for the device and its neighbors in service, with their names for responses.
+const neighborPredictions = async (conn, device, windowSeconds) => {
+  const [neighborsRows] = await conn.query(
+    `SELECT n.neighbor_device_id FROM device_neighbors n JOIN devices d ON d.id = n.neighbor_device_id
+     WHERE n.device_id = ? AND d.service_state = 'active'`,
+    [device.id]
+  )
+  const allDeviceIds = [device.id, ...neighborsRows.map(r => r.neighbor_device_id)]
+
+  const predictions = await predictDevices(conn, allDeviceIds, windowSeconds)
+
+  const [deviceInfos] = await conn.query(`SELECT id, device_name, location FROM devices WHERE id IN (${allDeviceIds.map(() => '?').join(',')})`, allDeviceIds)
+  const infoMap = new Map(deviceInfos.map(d => [d.id, d]))
+
+  return allDeviceIds.map(id => {
+    const info = infoMap.get(id) || { id, device_name: null, location: null }
+    return {
+      device_id: id,
+      device_name: info.device_name,
+      location: info.location,
+      ...predictions.get(id),
+    }
+  })
+}
+
+// The ingestion pipeline for one live scan, shared by POST /crowd_data/:uniq_url and MQTT:
+// stores the observations and a reading for the current window, updates the density alert,
+// predicts the device and its neighbors, then publishes the events and queues webhooks.
+// Returns { response } with the body to send back, or { status, error }.
+const ingestScan = async (device, sightings) => {
+  const settings = await loadThresholds(pool, device.id)
+  if (!settings) return NO_THRESHOLD
+
+  const windowSeconds = WINDOW_SECONDS
+  // whole seconds, as stored in the DATETIME columns
+  const now = wholeSeconds(Date.now())
+
+  const scan = await filterSightings(pool, device, sightings, now, windowSeconds)
+
+  const conn = await pool.getConnection()
+  try {
+    await conn.beginTransaction()
+
+    const healthEvents = await recordReport(conn, device)
+    const { crowdDataId, headcount, weightedHeadcount, status, rawStatus, profile, density, basis } = await recordScan(conn, device, settings, scan, now, windowSeconds)
+
+    // webhooks are queued once the transaction has committed
+    const { alertEvent, webhookEvent } = await applyDensityAlert(conn, device, { crowdDataId, headcount, density, status, at: now })
+    const zone = device.zone_id ? await evaluateZone(conn, device.zone_id, now, windowSeconds) : null
+
+    const neighbors = await neighborPredictions(conn, device, windowSeconds)
+
+    await conn.commit()
+
+    publishEvents(healthEvents)
+    publish('status', {
+      device_id: device.id,
+      crowd_data_id: crowdDataId,
+      headcount,
+      weighted_headcount: weightedHeadcount,
+      density,
+      status,
+      threshold_profile: profile,
+      window_seconds: windowSeconds,
+    })
+    publish('prediction', { device_id: device.id, neighbors })
+    if (alertEvent) {
+      publish('alert', alertEvent)
+    }
+
+    if (webhookEvent) {
+      await enqueueWebhookEvent(device.id, webhookEvent)
+        .catch(err => console.error(`Failed to queue webhooks for device ${device.id}:`, err.message))
+    }
+    if (zone) await publishZoneEvaluation(device.zone_id, zone)
+
+    return {
+      response: {
+        device: { id: device.id, device_name: device.device_name, location: device.location },
+        headcount,
+        weighted_headcount: weightedHeadcount,
+        density,
+        status,
+        raw_status: rawStatus,
+        status_basis: basis,
+        threshold_profile: profile,
+        window_seconds: windowSeconds,
+        below_rssi_cutoff: scan.belowRssiCutoff,
+        ignored: scan.ignored,
+        randomized_mac_mode: scan.randomizedMode,
+        randomized_count: scan.randomizedCount,
+        randomized_excluded: scan.randomizedExcluded,
+        neighbors,
+      },
+    }
+  } catch (err) {
+    await conn.rollback()
+    throw err
+  } finally {
+    conn.release()
+  }
+}
+
+// Validates a batch upload: { idempotency_key, scans: [{ scanned_at, sightings }] }, where
+// sightings take the same forms as a single upload. The key may also come from the caller
+// (the Idempotency-Key header). Returns { idempotencyKey, scans, requestHash } or { error }.
+const parseBatch = (body, headerKey = null) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return { error: 'The body must be an object with a scans array' }
+
+  const idempotencyKey = headerKey ?? body.idempotency_key
+  if (typeof idempotencyKey !== 'string' || idempotencyKey.trim() === '' || idempotencyKey.length > MAX_KEY_LENGTH) {
+    return { error: `An idempotency key (Idempotency-Key header or idempotency_key) of at most ${MAX_KEY_LENGTH} characters is required` }
+  }
+  if (!Array.isArray(body.scans) || body.scans.length === 0) return { error: 'scans must be a non-empty array' }
+  if (body.scans.length > MAX_BATCH_SCANS) return { error: `A batch can hold at most ${MAX_BATCH_SCANS} scans` }
+
+  const scans = []
+  for (const [index, item] of body.scans.entries()) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) return { error: `Scan ${index} must be an object` }
+    // numbers are unix seconds, strings ISO 8601
+    const scannedAt = typeof item.scanned_at === 'number' ? item.scanned_at * 1000 : Date.parse(item.scanned_at)
+    if (!Number.isFinite(scannedAt)) return { error: `Scan ${index}: scanned_at must be an ISO 8601 date or unix seconds` }
+
+    // an empty scan is a valid reading of nobody around
+    if (Array.isArray(item.sightings) && item.sightings.length === 0) {
+      scans.push({ index, scannedAt, sightings: [] })
+      continue
+    }
+    const { sightings, error } = parseSightings(item.sightings)
+    if (error) return { error: `Scan ${index}: ${error}` }
+    scans.push({ index, scannedAt, sightings })
+  }
+
+  const requestHash = crypto.createHash('sha256').update(JSON.stringify(body.scans)).digest()
+  return { idempotencyKey: idempotencyKey.trim(), scans, requestHash }
+}
+
+const findBatch = async (conn, deviceId, idempotencyKey) => {
+  const [rows] = await conn.query(
+    'SELECT request_hash, response FROM ingest_batches WHERE device_id = ? AND idempotency_key = ?',
+    [deviceId, idempotencyKey]
+  )
+  return rows[0] || null
+}
+
+// The stored result of an earlier upload with the same key, or an error if the key was used for other scans.
+const replayBatch = (batch, requestHash) => {
+  if (!Buffer.from(batch.request_hash).equals(requestHash)) {
+    return { status: 422, error: 'This idempotency key was already used for a different batch' }
+  }
+  const response = typeof batch.response === 'string' ? JSON.parse(batch.response) : batch.response
+  return { response: { ...response, replayed: true } }
+}
+
+// Stores a batch of buffered scans, each at its own time, in one transaction. Scans too far
+// in the future are rejected and the rest of the future is clamped to now; scans older than
+// MAX_AGE_HOURS are rejected. Only scans at or after the device's latest stored reading
+// drive its alert; older ones are stored with the status of their own window. Retrying with
+// the same idempotency key returns the first result without storing anything again.
+// Returns { response } or { status, error } like ingestScan.
+const ingestBatch = async (device, { idempotencyKey, scans, requestHash }) => {
+  const existing = await findBatch(pool, device.id, idempotencyKey)
+  if (existing) return replayBatch(existing, requestHash)
+
+  const settings = await loadThresholds(pool, device.id)
+  if (!settings) return NO_THRESHOLD
+
+  const nowMs = Date.now()
+  const rejected = []
+  const timed = []
+  let clamped = 0
+  for (const scan of scans) {
+    if (scan.scannedAt > nowMs + MAX_FUTURE_SECONDS * 1000) {
+      rejected.push({ index: scan.index, scanned_at: new Date(scan.scannedAt), error: `scanned_at is more than ${MAX_FUTURE_SECONDS} seconds in the future` })
+    } else if (scan.scannedAt < nowMs - MAX_AGE_HOURS * 60 * 60 * 1000) {
+      rejected.push({ index: scan.index, scanned_at: new Date(scan.scannedAt), error: `scanned_at is more than ${MAX_AGE_HOURS} hours old` })
+    } else {
+      if (scan.scannedAt > nowMs) clamped += 1
+      timed.push({ ...scan, at: wholeSeconds(Math.min(scan.scannedAt, nowMs)) })
+    }
+  }
+  timed.sort((a, b) => a.at - b.at || a.index - b.index)
+
+  const conn = await pool.getConnection()
+  try {
+    await conn.beginTransaction()
+
+    try {
+      await conn.query(
+        'INSERT INTO ingest_batches (device_id, idempotency_key, request_hash) VALUES (?, ?, ?)',
+        [device.id, idempotencyKey, requestHash]
+      )
+    } catch (err) {
+      if (err.code !== 'ER_DUP_ENTRY') throw err
+      // the same batch was stored by a concurrent retry in the meantime
+      await conn.rollback()
+      return replayBatch(await findBatch(conn, device.id, idempotencyKey), requestHash)
+    }
+
+    const healthEvents = await recordReport(conn, device)
+
+    const [latestRows] = await conn.query('SELECT MAX(created_at) AS latest FROM crowd_data WHERE device_id = ?', [device.id])
+    const latest = latestRows[0].latest
+
+    const results = []
+    const alertEvents = []
+    // Webhooks go out for every alert the batch opened or escalated, so an incident that
+    // started and ended while the device was offline still reaches subscribers, and for
+    // the latest state, as a live scan would send it.
+    const webhookEvents = []
+    const zoneWebhookEvents = []
+    let lastWebhook = null
+    let lastZoneWebhook = null
+    let lastLive = null
+    let zoneStatus = null
+    for (const scan of timed) {
+      const filtered = await filterSightings(conn, device, scan.sightings, scan.at)
+      const recorded = await recordScan(conn, device, settings, filtered, scan.at)
+      const live = !latest || scan.at >= latest
+      if (live) {
+        const alert = await applyDensityAlert(conn, device, { ...recorded, at: scan.at })
+        if (alert.alertEvent) alertEvents.push(alert.alertEvent)
+        if (alert.alertEvent && alert.webhookEvent) webhookEvents.push(alert.webhookEvent)
+        lastWebhook = alert.webhookEvent
+        lastLive = recorded
+        if (device.zone_id) {
+          const evaluated = await evaluateZone(conn, device.zone_id, scan.at, WINDOW_SECONDS)
+          // zone alert events go out in order with the device's; the last status wins
+          if (evaluated && evaluated.statusEvent) {
+            if (evaluated.alertEvent) alertEvents.push(evaluated.alertEvent)
+            if (evaluated.alertEvent && evaluated.webhookEvent) zoneWebhookEvents.push(evaluated.webhookEvent)
+            lastZoneWebhook = evaluated.webhookEvent
+            zoneStatus = evaluated.statusEvent
+          }
+        }
+      }
+      results.push({
+        index: scan.index,
+        scanned_at: scan.at,
+        crowd_data_id: recorded.crowdDataId,
+        headcount: recorded.headcount,
+        weighted_headcount: recorded.weightedHeadcount,
+        density: recorded.density,
+        status: recorded.status,
+        raw_status: recorded.rawStatus,
+        status_basis: recorded.basis,
+        threshold_profile: recorded.profile,
+        live,
+        below_rssi_cutoff: filtered.belowRssiCutoff,
+        ignored: filtered.ignored,
+        randomized_count: filtered.randomizedCount,
+        randomized_excluded: filtered.randomizedExcluded,
+      })
+    }
+
+    if (lastWebhook && webhookEvents[webhookEvents.length - 1] !== lastWebhook) webhookEvents.push(lastWebhook)
+    if (lastZoneWebhook && zoneWebhookEvents[zoneWebhookEvents.length - 1] !== lastZoneWebhook) zoneWebhookEvents.push(lastZoneWebhook)
+
+    if (timed.length > 0) await rewindRollups(conn, timed[0].at)
+
+    const response = {
+      idempotency_key: idempotencyKey,
+      replayed: false,
+      received: scans.length,
+      accepted: results.length,
+      clamped,
+      rejected,
+      window_seconds: WINDOW_SECONDS,
+      scans: results,
+    }
+    await conn.query('UPDATE ingest_batches SET response = ? WHERE device_id = ? AND idempotency_key = ?', [JSON.stringify(response), device.id, idempotencyKey])
+
+    await conn.commit()
+
+    publishEvents(healthEvents)
+    if (lastLive) {
+      publish('status', {
+        device_id: device.id,
+        crowd_data_id: lastLive.crowdDataId,
+        headcount: lastLive.headcount,
+        weighted_headcount: lastLive.weightedHeadcount,
+        density: lastLive.density,
+        status: lastLive.status,
+        threshold_profile: lastLive.profile,
+        window_seconds: WINDOW_SECONDS,
+      })
+    }
+    for (const event of alertEvents) publish('alert', event)
+    for (const event of webhookEvents) {
+      await enqueueWebhookEvent(device.id, event)
+        .catch(err => console.error(`Failed to queue webhooks for device ${device.id}:`, err.message))
+    }
+    if (zoneStatus) await publishZoneEvaluation(device.zone_id, { statusEvent: zoneStatus })
+    for (const event of zoneWebhookEvents) await publishZoneEvaluation(device.zone_id, { webhookEvent: event })
+
+    return { response }
+  } catch (err) {
+    await conn.rollback()
+    throw err
+  } finally {
+    conn.release()
+  }
+}
+
+module.exports = {
+  WINDOW_SECONDS,
+  MAX_BATCH_SCANS,
+  MAX_FUTURE_SECONDS,
+  MAX_AGE_HOURS,
+  countWindow,
+  filterSightings,
+  recordScan,
+  applyDensityAlert,
+  neighborPredictions,
+  ingestScan,
+  parseBatch,
+  ingestBatch,
+}
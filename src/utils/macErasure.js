@@ -0,0 +1,65 @@
+const pool = require('./db')
+const { normalizeMac, macSpellings, macHashHistory } = require('./macHash')
+
+// Deletes everything stored about one MAC: its tracked devices under every hash it may
+// have had (and with them its observations), ignore list entries and candidates, and
+// its entries in crowd_data.wifi_list. Aggregates (headcounts, rollups) are kept.
+// Each erasure is logged in mac_erasures with who asked for it.
+const eraseMac = async (mac, { requestedBy = null } = {}) => {
+  const [oldest] = await pool.query(
+    `SELECT LEAST(
+       COALESCE((SELECT MIN(first_seen) FROM tracked_devices), NOW()),
+       COALESCE((SELECT MIN(created_at) FROM crowd_data WHERE wifi_list IS NOT NULL), NOW())
+     ) AS since`
+  )
+  const hashes = macHashHistory(mac, new Date(oldest[0].since).getTime())
+  const hexes = new Set(hashes.map(h => h.toString('hex')))
+  const placeholders = hashes.map(() => '?').join(',')
+  const normalized = normalizeMac(mac)
+
+  const conn = await pool.getConnection()
+  try {
+    await conn.beginTransaction()
+
+    const [observations] = await conn.query(
+      `DELETE o FROM device_observations o JOIN tracked_devices t ON t.id = o.tracked_device_id WHERE t.mac_hash IN (${placeholders})`,
+      hashes
+    )
+    const [tracked] = await conn.query(`DELETE FROM tracked_devices WHERE mac_hash IN (${placeholders})`, hashes)
+    const [ignored] = await conn.query(`DELETE FROM mac_ignore_list WHERE mac_hash IN (${placeholders})`, hashes)
+    const [candidates] = await conn.query(`DELETE FROM mac_ignore_candidates WHERE mac_hash IN (${placeholders})`, hashes)
+
+    const needles = [...macSpellings(mac), ...hexes]
+    const [lists] = await conn.query(
+      'SELECT id, wifi_list FROM crowd_data WHERE wifi_list IS NOT NULL AND JSON_OVERLAPS(wifi_list, CAST(? AS JSON)) FOR UPDATE',
+      [JSON.stringify(needles)]
+    )
+    for (const row of lists) {
+      const list = typeof row.wifi_list === 'string' ? JSON.parse(row.wifi_list) : row.wifi_list
+      const kept = list.filter(entry => !hexes.has(entry) && normalizeMac(entry) !== normalized)
+      await conn.query('UPDATE crowd_data SET wifi_list = ? WHERE id = ?', [JSON.stringify(kept), row.id])
+    }
+
+    const erased = {
+      observations: observations.affectedRows,
+      tracked_devices: tracked.affectedRows,
+      ignore_list_entries: ignored.affectedRows,
+      ignore_candidates: candidates.affectedRows,
+      wifi_lists: lists.length,
+    }
+    // the audit record says who erased how much, never which MAC
+    await conn.query('INSERT INTO mac_erasures (requested_by, erased) VALUES (?, ?)', [requestedBy, JSON.stringify(erased)])
+
+    await conn.commit()
+    return erased
+  } catch (err) {
+    await conn.rollback()
+    throw err
+  } finally {
+    conn.release()
+  }
+}
+
+module.exports = {
+  eraseMac,
+}
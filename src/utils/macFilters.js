@@ -0,0 +1,132 @@
+const pool = require('./db')
+const { currentPeriodStart } = require('./macHash')
+
+// How sightings of randomized (locally administered) MACs are handled:
+// count them like any other, count them separately from the headcount, or drop them.
+const RANDOMIZED_MAC_MODES = ['count', 'separate', 'exclude']
+const DEFAULT_RANDOMIZED_MAC_MODE = RANDOMIZED_MAC_MODES.includes(process.env.RANDOMIZED_MAC_MODE)
+  ? process.env.RANDOMIZED_MAC_MODE
+  : 'count'
+
+const LOOKBACK_DAYS = Number(process.env.ALWAYS_PRESENT_LOOKBACK_DAYS) || 3
+const MIN_PRESENCE_RATIO = Number(process.env.ALWAYS_PRESENT_MIN_RATIO) || 0.9
+// a device needs this many active hours before anything at it is called always present
+const MIN_ACTIVE_HOURS = 12
+const INTERVAL_MS = Number(process.env.ALWAYS_PRESENT_INTERVAL_MS) || 6 * 60 * 60 * 1000
+
+let timer = null
+let running = false
+
+// True when the locally administered bit (second lowest bit of the first octet) is set,
+// which is what phones use for randomized MACs.
+const isRandomizedMac = (mac) => {
+  const hex = String(mac).toLowerCase().replace(/[^0-9a-f]/g, '')
+  if (hex.length < 2) return false
+  return (parseInt(hex.slice(0, 2), 16) & 0x02) !== 0
+}
+
+const randomizedMacMode = (device) => device.randomized_mac_mode || DEFAULT_RANDOMIZED_MAC_MODE
+
+const hex = (buf) => Buffer.from(buf).toString('hex')
+
+// Pseudonyms (hex) of the given MACs that are ignored globally or at the device.
+// Entries added by MAC hold its fingerprint; entries confirmed from a candidate hold the
+// pseudonym it had then. When such a pseudonym matches, the fingerprint is added to the
+// list as well, so the entry still applies after the next key rotation.
+const findIgnored = async (conn, deviceId, macs) => {
+  if (macs.length === 0) return new Set()
+  const hashes = macs.flatMap(m => [m.pseudonym, m.fingerprint])
+  const [rows] = await conn.query(
+    `SELECT device_id, mac_hash, reason, created_by FROM mac_ignore_list
+     WHERE (device_id IS NULL OR device_id = ?) AND mac_hash IN (${hashes.map(() => '?').join(',')})`,
+    [deviceId, ...hashes]
+  )
+  const matched = new Map(rows.map(r => [hex(r.mac_hash), r]))
+
+  const ignored = new Set()
+  for (const m of macs) {
+    const byFingerprint = matched.get(hex(m.fingerprint))
+    const byPseudonym = matched.get(hex(m.pseudonym))
+    if (!byFingerprint && !byPseudonym) continue
+    ignored.add(hex(m.pseudonym))
+    if (!byFingerprint) {
+      await conn.query(
+        `INSERT INTO mac_ignore_list (device_id, mac_hash, reason, source, created_by)
+         SELECT ?, ?, ?, 'detected', ? FROM DUAL
+         WHERE NOT EXISTS (SELECT 1 FROM mac_ignore_list WHERE device_id <=> ? AND mac_hash = ?)`,
+        [byPseudonym.device_id, m.fingerprint, byPseudonym.reason, byPseudonym.created_by, byPseudonym.device_id, m.fingerprint]
+      )
+    }
+  }
+  return ignored
+}
+
+// Finds MACs seen at a device in nearly every hour the device was active during the
+// lookback period (access points, printers, staff tablets) and stores them as
+// candidates for the ignore list. Reviewed candidates keep their state.
+const detectAlwaysPresent = async () => {
+  if (running) return null
+  running = true
+  try {
+    // pseudonyms change with every key rotation, so presence is only comparable within the current period
+    const since = new Date(Math.max(Date.now() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000, currentPeriodStart()))
+    const [active] = await pool.query(
+      `SELECT device_id, COUNT(DISTINCT DATE_FORMAT(observed_at, '%Y-%m-%d %H')) AS hours
+       FROM device_observations WHERE observed_at >= ? GROUP BY device_id`,
+      [since]
+    )
+    const activeHours = new Map(active.filter(r => r.hours >= MIN_ACTIVE_HOURS).map(r => [r.device_id, Number(r.hours)]))
+    if (activeHours.size === 0) return 0
+
+    const [rows] = await pool.query(
+      `SELECT o.device_id, t.mac_hash, COUNT(DISTINCT DATE_FORMAT(o.observed_at, '%Y-%m-%d %H')) AS hours
+       FROM device_observations o
+       JOIN tracked_devices t ON t.id = o.tracked_device_id
+       WHERE o.observed_at >= ? AND o.device_id IN (${[...activeHours.keys()].map(() => '?').join(',')})
+         AND NOT EXISTS (SELECT 1 FROM mac_ignore_list i WHERE i.mac_hash = t.mac_hash AND (i.device_id IS NULL OR i.device_id = o.device_id))
+       GROUP BY o.device_id, t.mac_hash
+       HAVING hours >= ?`,
+      [since, ...activeHours.keys(), MIN_ACTIVE_HOURS]
+    )
+
+    let detected = 0
+    for (const row of rows) {
+      const ratio = Number(row.hours) / activeHours.get(row.device_id)
+      if (ratio < MIN_PRESENCE_RATIO) continue
+      await pool.query(
+        `INSERT INTO mac_ignore_candidates (device_id, mac_hash, presence_ratio, hours_seen, detected_at, last_detected_at)
+         VALUES (?, ?, ?, ?, NOW(), NOW())
+         ON DUPLICATE KEY UPDATE presence_ratio = VALUES(presence_ratio), hours_seen = VALUES(hours_seen), last_detected_at = NOW()`,
+        [row.device_id, row.mac_hash, Math.min(1, ratio).toFixed(4), row.hours]
+      )
+      detected += 1
+    }
+    return detected
+  } finally {
+    running = false
+  }
+}
+
+const startAlwaysPresentDetection = () => {
+  if (timer) return
+  const tick = () => detectAlwaysPresent().catch(err => console.error('Always-present detection error:', err.message))
+  timer = setInterval(tick, INTERVAL_MS)
+  timer.unref()
+  tick()
+}
+
+const stopAlwaysPresentDetection = () => {
+  clearInterval(timer)
+  timer = null
+}
+
+module.exports = {
+  RANDOMIZED_MAC_MODES,
+  DEFAULT_RANDOMIZED_MAC_MODE,
+  isRandomizedMac,
+  randomizedMacMode,
+  findIgnored,
+  detectAlwaysPresent,
+  startAlwaysPresentDetection,
+  stopAlwaysPresentDetection,
+}
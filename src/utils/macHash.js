@@ -0,0 +1,151 @@
+const crypto = require('crypto')
+const pool = require('./db')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const ROTATIONS = ['none', 'daily', 'weekly']
+
+const ROTATION = ROTATIONS.includes(process.env.MAC_HASH_ROTATION) ? process.env.MAC_HASH_ROTATION : 'none'
+// what crowd_data.wifi_list keeps: only the pseudonyms, or the MACs as sent
+const WIFI_LIST_STORE = process.env.WIFI_LIST_STORE === 'raw' ? 'raw' : 'pseudonym'
+
+// Set by initMacHash: MAC_HASH_SECRET, or a secret generated once and kept in app_secrets.
+let SECRET = null
+let SECRET_SOURCE = null
+
+// Loads the key before anything is hashed. Without MAC_HASH_SECRET, the first start generates
+// a random key and stores it, so pseudonyms stay stable across restarts and instances.
+const initMacHash = async () => {
+  if (process.env.MAC_HASH_SECRET) {
+    SECRET = process.env.MAC_HASH_SECRET
+    SECRET_SOURCE = 'env'
+    return
+  }
+  // INSERT IGNORE keeps whichever instance got there first
+  await pool.query(
+    `INSERT IGNORE INTO app_secrets (name, value) VALUES ('mac_hash_secret', ?)`,
+    [crypto.randomBytes(32).toString('hex')]
+  )
+  const [rows] = await pool.query(`SELECT value FROM app_secrets WHERE name = 'mac_hash_secret'`)
+  SECRET = rows[0].value
+  SECRET_SOURCE = 'generated'
+}
+
+const secret = () => {
+  if (SECRET === null) throw new Error('MAC hashing used before initMacHash()')
+  return SECRET
+}
+
+const PSEUDONYM_PATTERN = /^[0-9a-f]{64}$/
+
+// "AA:BB:CC:DD:EE:FF", "aa-bb-cc-dd-ee-ff" and "aabbccddeeff" are the same MAC
+const normalizeMac = (mac) => {
+  const hex = String(mac).toLowerCase().replace(/[^0-9a-f]/g, '')
+  return hex.length === 12 ? hex : String(mac).trim().toLowerCase()
+}
+
+// Spellings a device may have sent the MAC in. Values stored before MACs were normalized
+// (wifi_list entries, legacy hashes) used the spelling as sent.
+const macSpellings = (mac) => {
+  const spellings = new Set([String(mac)])
+  const hex = normalizeMac(mac)
+  if (/^[0-9a-f]{12}$/.test(hex)) {
+    const pairs = hex.match(/../g)
+    for (const sep of [':', '-', '']) {
+      spellings.add(pairs.join(sep))
+      spellings.add(pairs.join(sep).toUpperCase())
+    }
+  }
+  return [...spellings]
+}
+
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest()
+
+// the hash used before keyed hashing was required; still needed to find old rows
+const legacyHash = (mac) => crypto.createHash('sha256').update(mac).digest()
+
+// Index of the rotation period containing ms (UTC days or weeks starting on Monday).
+const periodOf = (ms) => {
+  if (ROTATION === 'daily') return Math.floor(ms / DAY_MS)
+  // 1970-01-01 was a Thursday
+  if (ROTATION === 'weekly') return Math.floor((ms / DAY_MS + 3) / 7)
+  return 0
+}
+
+const periodStart = (period) => {
+  if (ROTATION === 'daily') return period * DAY_MS
+  if (ROTATION === 'weekly') return (period * 7 - 3) * DAY_MS
+  return 0
+}
+
+const periodKeys = new Map()
+const periodKey = (period) => {
+  if (!periodKeys.has(period)) periodKeys.set(period, hmac(secret(), `mac-pseudonym:${ROTATION}:${period}`))
+  return periodKeys.get(period)
+}
+
+// Pseudonym of a MAC in the rotation period containing `at`. The same MAC gets the same
+// pseudonym at every device within a period, and an unrelated one in the next period.
+const hashMac = (mac, at = Date.now()) => hmac(periodKey(periodOf(at)), normalizeMac(mac))
+
+// Stable keyed hash of a MAC, used only for ignore lists. Without rotation it equals the pseudonym.
+const macFingerprint = (mac) => {
+  if (ROTATION === 'none') return hashMac(mac)
+  return hmac(secret(), `mac-fingerprint:${normalizeMac(mac)}`)
+}
+
+// Start (epoch ms) of the rotation period now in effect; 0 without rotation.
+const currentPeriodStart = () => periodStart(periodOf(Date.now()))
+
+// Every hash the MAC may have been stored under between fromMs and toMs.
+const macHashHistory = (mac, fromMs, toMs = Date.now()) => {
+  const hashes = new Map()
+  const add = (h) => hashes.set(h.toString('hex'), h)
+  macSpellings(mac).forEach(spelling => add(legacyHash(spelling)))
+  add(macFingerprint(mac))
+  for (let p = periodOf(fromMs); p <= periodOf(toMs); p++) add(hmac(periodKey(p), normalizeMac(mac)))
+  return [...hashes.values()]
+}
+
+// Maps a wifi_list to pseudonyms (hex) so raw and pseudonymized lists can be compared.
+// Raw MACs are hashed for the period of `at`; stored pseudonyms are kept as they are.
+const toPseudonyms = (list, at) => (list || []).map(entry =>
+  (typeof entry === 'string' && PSEUDONYM_PATTERN.test(entry) ? entry : hashMac(String(entry), at).toString('hex'))
+)
+
+// Startup migration: tracked devices stored under the old unkeyed hash can be reversed by
+// hashing every possible MAC, so they are deleted once, with their observations (headcounts
+// and rollups stay). Nothing has been stored under those hashes since the key was generated,
+// or, with MAC_HASH_SECRET, since this first ran.
+const purgeLegacyMacHashes = async (conn) => {
+  const [done] = await conn.query("SELECT 1 FROM maintenance_state WHERE name = 'legacy_mac_hashes_purged'")
+  if (done.length > 0) return
+
+  const [rows] = await conn.query(
+    "SELECT COALESCE((SELECT created_at FROM app_secrets WHERE name = 'mac_hash_secret'), NOW()) AS since"
+  )
+  const since = rows[0].since
+  let deleted
+  do {
+    const [result] = await conn.query('DELETE FROM tracked_devices WHERE last_seen < ? LIMIT 10000', [since])
+    deleted = result.affectedRows
+  } while (deleted > 0)
+  await conn.query("INSERT INTO maintenance_state (name, watermark) VALUES ('legacy_mac_hashes_purged', ?)", [since])
+}
+
+// Where the key came from: 'env' (MAC_HASH_SECRET) or 'generated' (stored in the database).
+const secretSource = () => SECRET_SOURCE
+
+module.exports = {
+  ROTATION,
+  WIFI_LIST_STORE,
+  initMacHash,
+  purgeLegacyMacHashes,
+  secretSource,
+  normalizeMac,
+  macSpellings,
+  hashMac,
+  macFingerprint,
+  currentPeriodStart,
+  macHashHistory,
+  toPseudonyms,
+}
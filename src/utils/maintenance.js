@@ -0,0 +1,269 @@
+const pool = require('./db')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const readDays = (name, fallback) => {
+  const v = process.env[name]
+  return v === undefined || v === '' ? fallback : Number(v)
+}
+
+// Retention periods in days. 0 keeps the data forever.
+const RETENTION = {
+  raw_observations_days: readDays('RETENTION_RAW_OBSERVATIONS_DAYS', 7),
+  wifi_list_days: readDays('RETENTION_WIFI_LIST_DAYS', 3),
+  minute_rollups_days: readDays('RETENTION_MINUTE_ROLLUPS_DAYS', 90),
+  hour_rollups_days: readDays('RETENTION_HOUR_ROLLUPS_DAYS', 0),
+  ingest_batches_days: readDays('RETENTION_INGEST_BATCHES_DAYS', 7),
+}
+
+const INTERVAL_MS = Number(process.env.MAINTENANCE_INTERVAL_MS) || 5 * 60 * 1000
+const DELETE_BATCH = 10000
+// raw data is rolled up in steps of at most this span so no single transaction runs long
+const MAX_ROLLUP_SPAN_MS = 6 * 60 * 60 * 1000
+const MAX_ROLLUP_STEPS = 24
+
+const ROLLUPS = [
+  {
+    name: 'rollup_minute',
+    table: 'observation_rollups_minute',
+    // distinct MACs per venue, which cannot be added up from the per-device counts
+    venueTable: 'venue_rollups_minute',
+    format: '%Y-%m-%d %H:%i:00',
+    // last complete minute; one extra minute of slack for late uploads
+    floor: (d) => new Date(Math.floor(d.getTime() / 60000) * 60000),
+    lag: 60 * 1000,
+  },
+  {
+    name: 'rollup_hour',
+    table: 'observation_rollups_hour',
+    format: '%Y-%m-%d %H:00:00',
+    floor: (d) => {
+      const f = new Date(d)
+      f.setMinutes(0, 0, 0)
+      return f
+    },
+    lag: 0,
+  },
+]
+
+let timer = null
+let running = false
+let lastRun = null
+
+const getWatermark = async (name) => {
+  const [rows] = await pool.query('SELECT watermark FROM maintenance_state WHERE name = ?', [name])
+  return rows.length > 0 ? rows[0].watermark : null
+}
+
+const setWatermark = async (conn, name, watermark) => {
+  await conn.query(
+    'INSERT INTO maintenance_state (name, watermark) VALUES (?, ?) ON DUPLICATE KEY UPDATE watermark = VALUES(watermark)',
+    [name, watermark]
+  )
+}
+
+// Aggregates raw observations (and the crowd_data status of the same period)
+// into the rollup tables for [from, to) and moves the watermark to `to`.
+const rollupRange = async (rollup, from, to) => {
+  const conn = await pool.getConnection()
+  try {
+    await conn.beginTransaction()
+    const [result] = await conn.query(
+      `INSERT INTO ${rollup.table} (device_id, bucket_start, distinct_count, observation_count)
+       SELECT device_id, DATE_FORMAT(observed_at, ?) AS bucket, COUNT(DISTINCT tracked_device_id), COUNT(*)
+       FROM device_observations
+       WHERE observed_at >= ? AND observed_at < ?
+       GROUP BY device_id, bucket
+       ON DUPLICATE KEY UPDATE distinct_count = VALUES(distinct_count), observation_count = VALUES(observation_count)`,
+      [rollup.format, from, to]
+    )
+    await conn.query(
+      `UPDATE ${rollup.table} r
+       JOIN (
+         SELECT device_id, DATE_FORMAT(created_at, ?) AS bucket, MAX(headcount) AS max_headcount,
+                MAX(FIELD(status, 'safe', 'normal', 'warning', 'danger')) AS status_rank
+         FROM crowd_data
+         WHERE created_at >= ? AND created_at < ?
+         GROUP BY device_id, bucket
+       ) c ON c.device_id = r.device_id AND c.bucket = r.bucket_start
+       SET r.max_headcount = c.max_headcount, r.status = ELT(c.status_rank, 'safe', 'normal', 'warning', 'danger')`,
+      [rollup.format, from, to]
+    )
+    if (rollup.venueTable) {
+      await conn.query(
+        `INSERT INTO ${rollup.venueTable} (venue_id, bucket_start, distinct_count)
+         SELECT z.venue_id, DATE_FORMAT(o.observed_at, ?) AS bucket, COUNT(DISTINCT o.tracked_device_id)
+         FROM device_observations o
+         JOIN devices d ON d.id = o.device_id
+         JOIN zones z ON z.id = d.zone_id
+         WHERE o.observed_at >= ? AND o.observed_at < ?
+         GROUP BY z.venue_id, bucket
+         ON DUPLICATE KEY UPDATE distinct_count = VALUES(distinct_count)`,
+        [rollup.format, from, to]
+      )
+    }
+    await setWatermark(conn, rollup.name, to)
+    await conn.commit()
+    return result.affectedRows
+  } catch (err) {
+    await conn.rollback()
+    throw err
+  } finally {
+    conn.release()
+  }
+}
+
+// Moves the rollup watermarks back to the bucket containing `since` so the next pass
+// aggregates those buckets again, including observations uploaded late.
+const rewindRollups = async (conn, since) => {
+  for (const rollup of ROLLUPS) {
+    const bucket = rollup.floor(since)
+    await conn.query('UPDATE maintenance_state SET watermark = ? WHERE name = ? AND watermark > ?', [bucket, rollup.name, bucket])
+  }
+}
+
+// Rolls up from the stored watermark towards the last complete bucket.
+const runRollup = async (rollup) => {
+  let from = await getWatermark(rollup.name)
+  if (!from) {
+    const [rows] = await pool.query('SELECT MIN(observed_at) AS first FROM device_observations')
+    if (!rows[0].first) return 0
+    from = rollup.floor(new Date(rows[0].first))
+  }
+
+  const end = rollup.floor(new Date(Date.now() - rollup.lag))
+  let rows = 0
+  for (let step = 0; step < MAX_ROLLUP_STEPS && from < end; step++) {
+    const to = new Date(Math.min(end.getTime(), from.getTime() + MAX_ROLLUP_SPAN_MS))
+    rows += await rollupRange(rollup, from, to)
+    from = to
+  }
+  return rows
+}
+
+// Runs a bounded DELETE/UPDATE repeatedly until it touches no more rows.
+const inBatches = async (sql, params) => {
+  let total = 0
+  for (;;) {
+    const [result] = await pool.query(`${sql} LIMIT ${DELETE_BATCH}`, params)
+    total += result.affectedRows
+    if (result.affectedRows < DELETE_BATCH) return total
+  }
+}
+
+const cutoff = (days) => new Date(Date.now() - days * DAY_MS)
+
+const purge = async () => {
+  const purged = {}
+
+  if (RETENTION.raw_observations_days > 0) {
+    // never drop raw rows that have not been rolled up yet
+    const watermarks = await Promise.all(ROLLUPS.map(r => getWatermark(r.name)))
+    const rolledUpTo = watermarks.includes(null) ? null : new Date(Math.min(...watermarks.map(w => w.getTime())))
+    if (rolledUpTo) {
+      const before = new Date(Math.min(cutoff(RETENTION.raw_observations_days).getTime(), rolledUpTo.getTime()))
+      purged.device_observations = await inBatches('DELETE FROM device_observations WHERE observed_at < ?', [before])
+      purged.tracked_devices = await inBatches('DELETE FROM tracked_devices WHERE last_seen < ?', [before])
+    }
+  }
+
+  if (RETENTION.wifi_list_days > 0) {
+    purged.wifi_lists = await inBatches(
+      'UPDATE crowd_data SET wifi_list = NULL WHERE created_at < ? AND wifi_list IS NOT NULL',
+      [cutoff(RETENTION.wifi_list_days)]
+    )
+  }
+
+  if (RETENTION.minute_rollups_days > 0) {
+    purged.observation_rollups_minute = await inBatches(
+      'DELETE FROM observation_rollups_minute WHERE bucket_start < ?',
+      [cutoff(RETENTION.minute_rollups_days)]
+    )
+    purged.venue_rollups_minute = await inBatches(
+      'DELETE FROM venue_rollups_minute WHERE bucket_start < ?',
+      [cutoff(RETENTION.minute_rollups_days)]
+    )
+  }
+
+  if (RETENTION.hour_rollups_days > 0) {
+    purged.observation_rollups_hour = await inBatches(
+      'DELETE FROM observation_rollups_hour WHERE bucket_start < ?',
+      [cutoff(RETENTION.hour_rollups_days)]
+    )
+  }
+
+  if (RETENTION.ingest_batches_days > 0) {
+    purged.ingest_batches = await inBatches('DELETE FROM ingest_batches WHERE created_at < ?', [cutoff(RETENTION.ingest_batches_days)])
+  }
+
+  // used device signatures only matter while their timestamps are accepted
+  purged.device_signatures = await inBatches('DELETE FROM device_signatures WHERE expires_at < NOW()', [])
+
+  return purged
+}
+
+// One maintenance pass: roll up, then purge. Returns a summary, or null if a pass is already running.
+const runMaintenance = async () => {
+  if (running) return null
+  running = true
+  const startedAt = new Date()
+  try {
+    const rolledUp = {}
+    for (const rollup of ROLLUPS) {
+      rolledUp[rollup.table] = await runRollup(rollup)
+    }
+    const purged = await purge()
+    lastRun = { started_at: startedAt, finished_at: new Date(), rolled_up: rolledUp, purged, error: null }
+    return lastRun
+  } catch (err) {
+    lastRun = { started_at: startedAt, finished_at: new Date(), error: err.message }
+    throw err
+  } finally {
+    running = false
+  }
+}
+
+const getMaintenanceStatus = async () => {
+  const tables = [
+    'device_observations', 'tracked_devices', 'crowd_data',
+    'observation_rollups_minute', 'observation_rollups_hour', 'venue_rollups_minute',
+  ]
+  const [sizes] = await pool.query(
+    `SELECT TABLE_NAME AS table_name, TABLE_ROWS AS approx_rows, DATA_LENGTH AS data_bytes, INDEX_LENGTH AS index_bytes
+     FROM information_schema.TABLES
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME IN (${tables.map(() => '?').join(',')})`,
+    tables
+  )
+  const [watermarks] = await pool.query('SELECT name, watermark, updated_at FROM maintenance_state')
+
+  return {
+    retention: RETENTION,
+    interval_ms: INTERVAL_MS,
+    tables: sizes,
+    watermarks,
+    last_run: lastRun,
+    running,
+  }
+}
+
+const startMaintenance = () => {
+  if (timer) return
+  const tick = () => runMaintenance().catch(err => console.error('Maintenance error:', err.message))
+  timer = setInterval(tick, INTERVAL_MS)
+  timer.unref()
+  tick()
+}
+
+const stopMaintenance = () => {
+  clearInterval(timer)
+  timer = null
+}
+
+module.exports = {
+  RETENTION,
+  rewindRollups,
+  runMaintenance,
+  getMaintenanceStatus,
+  startMaintenance,
+  stopMaintenance,
+}
@@ -0,0 +1,124 @@
+const fs = require('fs')
+const path = require('path')
+const pool = require('./db')
+const { backfillLegacyDevices } = require('./deviceAuth')
+const { backfillAlertStates } = require('./alerts')
+const { backfillWebhookSecrets } = require('./webhookSignature')
+const { purgeLegacyMacHashes } = require('./macHash')
+
+// docker-compose only runs init.sql on an empty volume, so a database created from an older
+// version of it is brought up to date here at startup: missing tables, columns, indexes and
+// foreign keys are added from init.sql, columns whose nullability changed are modified, and
+// existing rows are backfilled by the modules that own them. Nothing is dropped or retyped.
+const SCHEMA_FILE = path.join(__dirname, '..', 'init.sql')
+
+// The CREATE TABLE statements of init.sql, each with its column, index and foreign key
+// definitions (init.sql keeps one definition per line).
+const readSchema = () => {
+  const tables = []
+  for (const statement of fs.readFileSync(SCHEMA_FILE, 'utf8').split(/;\s*\n/)) {
+    const match = statement.match(/CREATE TABLE IF NOT EXISTS (\w+) \(\n([\s\S]*)\n\)/)
+    if (!match) continue
+    const table = { name: match[1], sql: statement.trim(), columns: [], indexes: [], foreignKeys: [] }
+    for (const line of match[2].split('\n')) {
+      const definition = line.trim().replace(/,$/, '')
+      const [first, second, third] = definition.split(/\s+/)
+      if (first === 'CONSTRAINT') table.foreignKeys.push({ name: second, definition })
+      else if (first === 'INDEX' || first === 'KEY') table.indexes.push({ name: second, definition })
+      else if (first === 'UNIQUE') table.indexes.push({ name: third, definition })
+      else if (first !== 'PRIMARY') table.columns.push({ name: first, definition })
+    }
+    tables.push(table)
+  }
+  return tables
+}
+
+const isNullable = (definition) => !/\bNOT NULL\b|\bPRIMARY KEY\b/.test(definition)
+
+// whether a TIMESTAMP without NOT NULL is nullable depends on explicit_defaults_for_timestamp,
+// so those are left as they are
+const comparesNullability = (definition) => !/\bTIMESTAMP\b/.test(definition)
+
+// Run after missing columns are added and before NOT NULL is enforced on them, with a
+// connection and the columns ('table.column') just added. They run on every start, so
+// must be idempotent.
+const BACKFILLS = [
+  backfillLegacyDevices,
+  backfillAlertStates,
+  backfillWebhookSecrets,
+  purgeLegacyMacHashes,
+]
+
+// Applies init.sql to the connected database. Returns the changes made, as readable strings.
+const migrate = async () => {
+  const schema = readSchema()
+  const changes = []
+
+  const [existingTables] = await pool.query('SELECT TABLE_NAME AS name FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE()')
+  const tableNames = new Set(existingTables.map(r => r.name))
+  for (const table of schema) {
+    if (tableNames.has(table.name)) continue
+    await pool.query(table.sql)
+    changes.push(`created ${table.name}`)
+  }
+
+  const [columnRows] = await pool.query(
+    'SELECT TABLE_NAME AS table_name, COLUMN_NAME AS column_name, IS_NULLABLE AS nullable FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE()'
+  )
+  const columns = new Map(columnRows.map(r => [`${r.table_name}.${r.column_name}`, r.nullable === 'YES']))
+  const added = []
+  for (const table of schema) {
+    for (const [i, column] of table.columns.entries()) {
+      const key = `${table.name}.${column.name}`
+      if (columns.has(key)) continue
+      // NOT NULL columns without a default are filled in below before they are made NOT NULL
+      const definition = /\bDEFAULT\b/.test(column.definition) ? column.definition : column.definition.replace(/\bNOT NULL\b/, 'NULL')
+      const after = i > 0 ? ` AFTER ${table.columns[i - 1].name}` : ' FIRST'
+      await pool.query(`ALTER TABLE ${table.name} ADD COLUMN ${definition}${after}`)
+      columns.set(key, isNullable(definition))
+      added.push(key)
+      changes.push(`added ${key}`)
+    }
+  }
+
+  for (const backfill of BACKFILLS) {
+    await backfill(pool, added)
+  }
+
+  for (const table of schema) {
+    for (const column of table.columns) {
+      const key = `${table.name}.${column.name}`
+      if (!comparesNullability(column.definition) || columns.get(key) === isNullable(column.definition)) continue
+      await pool.query(`ALTER TABLE ${table.name} MODIFY COLUMN ${column.definition}`)
+      changes.push(`modified ${key}`)
+    }
+  }
+
+  const [indexRows] = await pool.query(
+    'SELECT DISTINCT TABLE_NAME AS table_name, INDEX_NAME AS index_name FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = DATABASE()'
+  )
+  const indexes = new Set(indexRows.map(r => `${r.table_name}.${r.index_name}`))
+  const [keyRows] = await pool.query(
+    `SELECT TABLE_NAME AS table_name, CONSTRAINT_NAME AS constraint_name FROM information_schema.TABLE_CONSTRAINTS
+     WHERE TABLE_SCHEMA = DATABASE() AND CONSTRAINT_TYPE = 'FOREIGN KEY'`
+  )
+  const foreignKeys = new Set(keyRows.map(r => `${r.table_name}.${r.constraint_name}`))
+  for (const table of schema) {
+    for (const index of table.indexes) {
+      if (indexes.has(`${table.name}.${index.name}`)) continue
+      await pool.query(`ALTER TABLE ${table.name} ADD ${index.definition}`)
+      changes.push(`added index ${table.name}.${index.name}`)
+    }
+    for (const foreignKey of table.foreignKeys) {
+      if (foreignKeys.has(`${table.name}.${foreignKey.name}`)) continue
+      await pool.query(`ALTER TABLE ${table.name} ADD ${foreignKey.definition}`)
+      changes.push(`added foreign key ${table.name}.${foreignKey.name}`)
+    }
+  }
+
+  return changes
+}
+
+module.exports = {
+  migrate,
+}
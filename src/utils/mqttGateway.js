@@ -0,0 +1,145 @@
+const crypto = require('crypto')
+const os = require('os')
+const mqtt = require('mqtt')
+const { parseSightings } = require('./crowdHelper')
+const { findDeviceBySlug, verifyDeviceCredential, serviceError } = require('./deviceAuth')
+const { ingestScan, parseBatch, ingestBatch } = require('./ingestion')
+const { recordHeartbeat } = require('./deviceHealth')
+
+// Gateway from a local MQTT broker into the ingestion pipeline. Off unless MQTT_URL is set.
+const MQTT_URL = process.env.MQTT_URL || ''
+const TOPIC_PREFIX = (process.env.MQTT_TOPIC_PREFIX || 'crowd').replace(/\/+$/, '')
+const MESSAGE_TYPES = ['scan', 'batch', 'heartbeat']
+// instances subscribe as one shared-subscription group, so the broker hands each message to
+// only one of them; empty subscribes normally (a single instance, or a broker without $share)
+const SHARE_GROUP = process.env.MQTT_SHARE_GROUP === undefined ? 'crowd-server' : process.env.MQTT_SHARE_GROUP
+
+let client = null
+
+// Topics are "<prefix>/<uniq_url>/scan", "<prefix>/<uniq_url>/batch" or "<prefix>/<uniq_url>/heartbeat".
+const parseTopic = (topic) => {
+  if (!topic.startsWith(`${TOPIC_PREFIX}/`)) return null
+  const parts = topic.slice(TOPIC_PREFIX.length + 1).split('/')
+  if (parts.length !== 2 || !MESSAGE_TYPES.includes(parts[1])) return null
+  return { slug: parts[0], type: parts[1] }
+}
+
+// Payloads are an envelope around the HTTP request body:
+//   { "api_key": "...", "data": <body> }
+//   { "timestamp": <unix seconds>, "signature": "<hex>", "data": "<body as a JSON string>" }
+// A signature covers "<timestamp>.<data>", so signed data is sent as the exact string that was signed.
+const handleMessage = async (slug, type, payload) => {
+  let message
+  try {
+    message = JSON.parse(payload.toString('utf8'))
+  } catch (err) {
+    return { status: 400, error: 'The payload must be JSON' }
+  }
+  // heartbeats carry no data
+  if (!message || typeof message !== 'object' || Array.isArray(message) || (message.data === undefined && type !== 'heartbeat')) {
+    return { status: 400, error: 'The payload must be an object with data and api_key or timestamp and signature' }
+  }
+
+  const device = await findDeviceBySlug(slug)
+  if (!device) {
+    return { status: 404, error: 'Device not found' }
+  }
+
+  const signed = typeof message.signature === 'string'
+  if (signed && typeof message.data !== 'string') {
+    return { status: 400, error: 'Signed data must be the JSON string that was signed' }
+  }
+  const auth = await verifyDeviceCredential(device, {
+    apiKey: typeof message.api_key === 'string' ? message.api_key : null,
+    signature: signed ? message.signature : null,
+    timestamp: message.timestamp ?? null,
+    body: signed ? message.data : '',
+  })
+  if (auth.error) return auth
+  const refused = serviceError(device)
+  if (refused) return refused
+
+  if (type === 'heartbeat') {
+    return { response: await recordHeartbeat(device) }
+  }
+
+  let data = message.data
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data)
+    } catch (err) {
+      return { status: 400, error: 'data must be valid JSON' }
+    }
+  }
+
+  if (type === 'batch') {
+    const batch = parseBatch(data)
+    if (batch.error) return { status: 400, error: batch.error }
+    return ingestBatch(device, batch)
+  }
+
+  const { sightings, error } = parseSightings(data)
+  if (error) return { status: 400, error }
+  return ingestScan(device, sightings)
+}
+
+// Answers on "<prefix>/<uniq_url>/response" with the same body the HTTP endpoint returns
+// (status, headcount and predictions), or an error with its HTTP status code. request_id
+// from the envelope is echoed so devices can match answers to messages.
+const respond = (slug, type, requestId, result) => {
+  if (!client) return
+  const body = result.error
+    ? { type, request_id: requestId, error: result.error, code: result.status }
+    : { type, request_id: requestId, result: result.response }
+  client.publish(`${TOPIC_PREFIX}/${slug}/response`, JSON.stringify(body), { qos: 1 })
+}
+
+const onMessage = (topic, payload) => {
+  const target = parseTopic(topic)
+  if (!target) return
+
+  let requestId = null
+  try {
+    requestId = JSON.parse(payload.toString('utf8')).request_id ?? null
+  } catch (err) {
+    // reported by handleMessage
+  }
+
+  handleMessage(target.slug, target.type, payload)
+    .catch(err => {
+      console.error(`MQTT ${topic} error:`, err.message)
+      return { status: 500, error: 'Internal Server Error' }
+    })
+    .then(result => respond(target.slug, target.type, requestId, result))
+}
+
+const startMqttGateway = () => {
+  if (client || !MQTT_URL) return
+  client = mqtt.connect(MQTT_URL, {
+    username: process.env.MQTT_USERNAME || undefined,
+    password: process.env.MQTT_PASSWORD || undefined,
+    // unique per instance: containers all run as pid 1, and a broker drops the older of two
+    // connections with the same client id
+    clientId: process.env.MQTT_CLIENT_ID || `crowd-server-${os.hostname()}-${crypto.randomBytes(4).toString('hex')}`,
+  })
+  const share = SHARE_GROUP ? `$share/${SHARE_GROUP}/` : ''
+  client.on('connect', () => {
+    client.subscribe(MESSAGE_TYPES.map(type => `${share}${TOPIC_PREFIX}/+/${type}`), { qos: 1 }, (err) => {
+      if (err) console.error('MQTT subscribe error:', err.message)
+      else console.log(`MQTT gateway listening on ${TOPIC_PREFIX}/+/{${MESSAGE_TYPES.join(',')}}`)
+    })
+  })
+  client.on('message', onMessage)
+  client.on('error', err => console.error('MQTT error:', err.message))
+}
+
+const stopMqttGateway = () => {
+  if (!client) return
+  client.end()
+  client = null
+}
+
+module.exports = {
+  startMqttGateway,
+  stopMqttGateway,
+}
@@ -0,0 +1,74 @@
+const crypto = require('crypto')
+const pool = require('./db')
+const asyncHandler = require('./asyncHandler')
+
+const ROLES = ['viewer', 'operator', 'admin']
+
+// bootstrap token that always acts as admin, used to create the first real tokens
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest()
+
+const generateToken = () => 'op_' + crypto.randomBytes(32).toString('hex')
+
+const readBearer = (req) => {
+  const auth = req.headers.authorization || ''
+  return auth.startsWith('Bearer ') ? auth.slice(7).trim() : null
+}
+
+const isBootstrapToken = (token) => {
+  if (!ADMIN_TOKEN) return false
+  const a = hashToken(token)
+  const b = hashToken(ADMIN_TOKEN)
+  return crypto.timingSafeEqual(a, b)
+}
+
+const resolveOperator = async (token) => {
+  if (isBootstrapToken(token)) {
+    return { id: null, name: 'bootstrap-admin', role: 'admin' }
+  }
+
+  const [rows] = await pool.query(
+    `SELECT id, name, role FROM api_tokens
+     WHERE token_hash = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`,
+    [hashToken(token)]
+  )
+  if (rows.length === 0) return null
+
+  pool.query('UPDATE api_tokens SET last_used_at = NOW() WHERE id = ?', [rows[0].id])
+    .catch(err => console.error('Failed to update token last_used_at:', err.message))
+
+  return rows[0]
+}
+
+// Middleware factory: lets the request through if it carries an operator token
+// whose role is at least minRole (viewer < operator < admin). Sets req.operator.
+// allowQueryToken also accepts ?access_token=, for clients such as EventSource
+// that cannot send headers.
+const requireRole = (minRole, { allowQueryToken = false } = {}) => asyncHandler(async (req, res, next) => {
+  const token = readBearer(req) || (allowQueryToken && req.query.access_token) || null
+  if (!token) {
+    return res.status(401).json({ error: 'Authorization: Bearer <token> is required' })
+  }
+
+  const operator = await resolveOperator(token)
+  if (!operator) {
+    return res.status(401).json({ error: 'Invalid, expired or revoked token' })
+  }
+
+  if (ROLES.indexOf(operator.role) < ROLES.indexOf(minRole)) {
+    return res.status(403).json({ error: `This action requires the ${minRole} role` })
+  }
+
+  req.operator = operator
+  next()
+})
+
+module.exports = {
+  ROLES,
+  hashToken,
+  generateToken,
+  readBearer,
+  resolveOperator,
+  requireRole,
+}
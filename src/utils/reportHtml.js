@@ -0,0 +1,111 @@
+// Renders a report (as formatReport returns it) as a single HTML page with inline styles and
+// no external resources, so it can be mailed or archived as is. Times are shown in the
+// report's time zone.
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;')
+
+const formatter = (tz, options) => new Intl.DateTimeFormat('en-GB', { timeZone: tz, ...options })
+
+const STYLE = `
+  body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 2rem; color: #1f2933; }
+  h1 { margin-bottom: 0.2rem; }
+  .period { color: #616e7c; margin-top: 0; }
+  .cards { display: flex; flex-wrap: wrap; gap: 1rem; margin: 1.5rem 0; }
+  .card { border: 1px solid #e4e7eb; border-radius: 6px; padding: 0.8rem 1.2rem; min-width: 9rem; }
+  .card .label { color: #616e7c; font-size: 0.85rem; }
+  .card .value { font-size: 1.5rem; font-weight: 600; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; }
+  th, td { border-bottom: 1px solid #e4e7eb; padding: 0.4rem 0.6rem; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  th { background: #f5f7fa; }
+  .up { color: #c81e1e; }
+  .down { color: #057a55; }
+  .warning { color: #b45309; }
+  .danger { color: #c81e1e; font-weight: 600; }
+`
+
+const renderReportHtml = (report) => {
+  const tz = report.time_zone
+  const dateTime = formatter(tz, { dateStyle: 'medium', timeStyle: 'short' })
+  const date = formatter(tz, { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' })
+  const time = formatter(tz, { timeStyle: 'short' })
+
+  const show = (v) => (v === null || v === undefined ? '–' : escapeHtml(v))
+  const at = (v) => (v ? escapeHtml(dateTime.format(new Date(v))) : '–')
+  const hour = (h) => (h ? `${at(h.start)}–${escapeHtml(time.format(new Date(h.end)))}` : '–')
+  const pct = (v) => {
+    if (v === null || v === undefined) return '–'
+    if (v === 0) return '0%'
+    return `<span class="${v > 0 ? 'up' : 'down'}">${v > 0 ? '+' : ''}${escapeHtml(v)}%</span>`
+  }
+  const minutes = (v, level) => (v > 0 ? `<span class="${level}">${escapeHtml(v)}</span>` : '0')
+
+  const row = (name, e) => `
+      <tr>
+        <td>${escapeHtml(name)}</td>
+        <td>${show(e.peak_headcount)}</td>
+        <td>${at(e.peak_at)}</td>
+        <td>${show(e.average_headcount)}</td>
+        <td>${hour(e.busiest_hour)}</td>
+        <td>${minutes(e.minutes_in_warning, 'warning')}</td>
+        <td>${minutes(e.minutes_in_danger, 'danger')}</td>
+        <td>${show(e.alerts.total)}</td>
+        <td>${pct(e.change.peak_headcount_pct)}</td>
+      </tr>`
+
+  const table = (title, firstColumn, rows) => `
+    <h2>${escapeHtml(title)}</h2>
+    <table>
+      <tr>
+        <th>${escapeHtml(firstColumn)}</th><th>Peak</th><th>Peak time</th><th>Average</th><th>Busiest hour</th>
+        <th>Warning (min)</th><th>Danger (min)</th><th>Alerts</th><th>Peak vs previous</th>
+      </tr>${rows.join('') || '\n      <tr><td colspan="9">None</td></tr>'}
+    </table>`
+
+  const s = report.summary
+  const card = (label, value) => `
+      <div class="card"><div class="label">${escapeHtml(label)}</div><div class="value">${value}</div></div>`
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(`${report.venue.name} – ${report.period} report`)}</title>
+  <style>${STYLE}</style>
+</head>
+<body>
+  <h1>${escapeHtml(report.venue.name)}</h1>
+  <p class="period">${escapeHtml(report.period)} report, ${at(report.from)} to ${at(report.to)} (${escapeHtml(tz)})</p>
+  <div class="cards">${[
+    card('Peak headcount', show(s.peak_headcount)),
+    card('Peak time', at(s.peak_at)),
+    card('Average headcount', show(s.average_headcount)),
+    card('Busiest hour', hour(s.busiest_hour)),
+    card('Minutes in warning', minutes(s.minutes_in_warning, 'warning')),
+    card('Minutes in danger', minutes(s.minutes_in_danger, 'danger')),
+    card('Alerts', `${show(s.alerts.total)} <small>(${show(s.alerts.danger)} danger)</small>`),
+    card('Peak vs previous period', pct(s.change.peak_headcount_pct)),
+  ].join('')}
+  </div>
+  <h2>By day</h2>
+  <table>
+    <tr><th>Day</th><th>Peak</th><th>Average</th><th>Peak vs day before</th></tr>${s.days.map(d => `
+    <tr><td>${escapeHtml(date.format(new Date(d.start)))}</td><td>${show(d.peak_headcount)}</td><td>${show(d.average_headcount)}</td><td>${pct(d.peak_change_pct)}</td></tr>`).join('')}
+  </table>
+  ${table('Zones', 'Zone', report.zones.map(z => row(z.zone_name, z)))}
+  ${table('Devices', 'Device', report.devices.map(d => row(`${d.device_name} (${d.zone_name})`, d)))}
+  <p class="period">Generated ${at(report.generated_at)}.</p>
+</body>
+</html>
+`
+}
+
+module.exports = {
+  renderReportHtml,
+}
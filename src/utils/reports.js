@@ -0,0 +1,379 @@
+const pool = require('./db')
+const { bucketStart, listBuckets, wallClock } = require('./timeBuckets')
+const { enqueueVenueWebhookEvent } = require('./webhookDispatcher')
+
+const REPORT_FREQUENCIES = ['daily', 'weekly']
+const CHECK_INTERVAL_MS = Number(process.env.REPORT_CHECK_INTERVAL_MS) || 5 * 60 * 1000
+
+const QUARTER_HOUR_MS = 15 * 60 * 1000
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+const STATUS_LEVELS = ['safe', 'normal', 'warning', 'danger']
+
+const SOURCES = {
+  device: { table: 'crowd_data', key: 'device_id' },
+  zone: { table: 'zone_data', key: 'zone_id' },
+}
+
+let timer = null
+let running = false
+
+const round = (n, digits = 1) => Number(n.toFixed(digits))
+
+// The start of the day n days after the day starting at dayStartMs, in tz. Days are 23 or 25
+// hours long around DST changes, so aim for noon and re-align.
+const shiftDays = (dayStartMs, n, tz) => bucketStart(dayStartMs + n * DAY_MS + 12 * HOUR_MS, '1d', tz)
+
+// The last complete day, or week starting on Monday, before nowMs in tz.
+const lastPeriod = (frequency, nowMs, tz) => {
+  let toMs = bucketStart(nowMs, '1d', tz)
+  if (frequency === 'weekly') toMs = shiftDays(toMs, -((wallClock(toMs, tz).weekday + 6) % 7), tz)
+  return { fromMs: shiftDays(toMs, frequency === 'weekly' ? -7 : -1, tz), toMs }
+}
+
+// The period of the same length just before [fromMs, toMs): the same number of calendar days
+// when the range is made of whole days, otherwise the same number of hours.
+const previousPeriod = (fromMs, toMs, tz) => {
+  const wholeDays = bucketStart(fromMs, '1d', tz) === fromMs && bucketStart(toMs, '1d', tz) === toMs
+  const fromPrevMs = wholeDays ? shiftDays(fromMs, -Math.round((toMs - fromMs) / DAY_MS), tz) : 2 * fromMs - toMs
+  return { fromMs: fromPrevMs, toMs: fromMs }
+}
+
+// Readings per minute in [fromMs, toMs) summed over the given devices or zones (each
+// contributing its highest headcount that minute), with the worst status any of them had.
+// Minutes without readings are left out.
+const minuteTrack = async (source, ids, fromMs, toMs) => {
+  if (ids.length === 0) return []
+  const { table, key } = SOURCES[source]
+  const [rows] = await pool.query(
+    `SELECT minute, SUM(headcount) AS headcount, MAX(status_rank) AS status_rank
+     FROM (SELECT ${key}, FLOOR(UNIX_TIMESTAMP(created_at) / 60) AS minute, MAX(headcount) AS headcount,
+                  MAX(FIELD(status, ${STATUS_LEVELS.map(() => '?').join(', ')})) AS status_rank
+           FROM ${table}
+           WHERE ${key} IN (${ids.map(() => '?').join(',')}) AND created_at >= ? AND created_at < ?
+           GROUP BY ${key}, minute) t
+     GROUP BY minute
+     ORDER BY minute`,
+    [...STATUS_LEVELS, ...ids, new Date(fromMs), new Date(toMs)]
+  )
+  return rows.map(r => ({
+    ms: Number(r.minute) * 60 * 1000,
+    headcount: Number(r.headcount),
+    status: STATUS_LEVELS[Number(r.status_rank) - 1],
+  }))
+}
+
+// Distinct MACs per minute across all devices of a venue, so a person seen in several zones
+// counts once, with the worst status any of its zones had. Minutes the maintenance rollup has
+// covered come from venue_rollups_minute (raw observations are purged much sooner), the rest
+// straight from the observations.
+const venueTrack = async (venueId, zoneIds, fromMs, toMs) => {
+  const [state] = await pool.query("SELECT watermark FROM maintenance_state WHERE name = 'rollup_minute'")
+  const rolledUpMs = state.length > 0 ? Math.min(Math.max(state[0].watermark.getTime(), fromMs), toMs) : fromMs
+
+  const [rolledUp] = await pool.query(
+    `SELECT FLOOR(UNIX_TIMESTAMP(bucket_start) / 60) AS minute, distinct_count AS headcount
+     FROM venue_rollups_minute
+     WHERE venue_id = ? AND bucket_start >= ? AND bucket_start < ?`,
+    [venueId, new Date(fromMs), new Date(rolledUpMs)]
+  )
+  const [recent] = rolledUpMs >= toMs
+    ? [[]]
+    : await pool.query(
+      `SELECT FLOOR(UNIX_TIMESTAMP(o.observed_at) / 60) AS minute, COUNT(DISTINCT o.tracked_device_id) AS headcount
+       FROM device_observations o
+       JOIN devices d ON d.id = o.device_id
+       JOIN zones z ON z.id = d.zone_id
+       WHERE z.venue_id = ? AND o.observed_at >= ? AND o.observed_at < ?
+       GROUP BY minute`,
+      [venueId, new Date(rolledUpMs), new Date(toMs)]
+    )
+
+  const minutes = new Map()
+  for (const r of [...rolledUp, ...recent]) {
+    const ms = Number(r.minute) * 60 * 1000
+    minutes.set(ms, { ms, headcount: Number(r.headcount), status: null })
+  }
+  // a minute the zones reported in but nobody was seen
+  for (const m of await minuteTrack('zone', zoneIds, fromMs, toMs)) {
+    minutes.set(m.ms, { ms: m.ms, headcount: minutes.get(m.ms)?.headcount ?? 0, status: m.status })
+  }
+  return [...minutes.values()].sort((a, b) => a.ms - b.ms)
+}
+
+// Peak (the first minute it was reached), average over the minutes with readings, minutes
+// spent in warning and danger, and the hour in tz with the highest average headcount.
+const summarize = (track, tz) => {
+  const summary = {
+    minutes_reported: track.length,
+    peak_headcount: null,
+    peak_at: null,
+    average_headcount: null,
+    minutes_in_warning: 0,
+    minutes_in_danger: 0,
+    busiest_hour: null,
+  }
+  if (track.length === 0) return summary
+
+  let peak = track[0]
+  let total = 0
+  const hours = new Map()
+  // UTC offsets are whole quarter hours, so a quarter hour never spans two local hours
+  let quarter = null
+  let start = null
+  for (const m of track) {
+    if (m.headcount > peak.headcount) peak = m
+    total += m.headcount
+    if (m.status === 'warning') summary.minutes_in_warning += 1
+    if (m.status === 'danger') summary.minutes_in_danger += 1
+
+    if (Math.floor(m.ms / QUARTER_HOUR_MS) !== quarter) {
+      quarter = Math.floor(m.ms / QUARTER_HOUR_MS)
+      start = bucketStart(m.ms, '1h', tz)
+    }
+    const hour = hours.get(start) || { start, total: 0, minutes: 0 }
+    hour.total += m.headcount
+    hour.minutes += 1
+    hours.set(start, hour)
+  }
+
+  let busiest = null
+  for (const hour of hours.values()) {
+    if (!busiest || hour.total / hour.minutes > busiest.total / busiest.minutes) busiest = hour
+  }
+
+  summary.peak_headcount = peak.headcount
+  summary.peak_at = new Date(peak.ms)
+  summary.average_headcount = round(total / track.length)
+  summary.busiest_hour = {
+    start: new Date(busiest.start),
+    end: new Date(busiest.start + HOUR_MS),
+    average_headcount: round(busiest.total / busiest.minutes),
+  }
+  return summary
+}
+
+// Change from the previous period in percent, or null when there is nothing to compare with.
+const change = (current, previous) =>
+  current === null || previous === null || previous === 0 ? null : round(((current - previous) / previous) * 100)
+
+// Peak and average per calendar day in tz, each compared with the day before.
+const byDay = (track, fromMs, toMs, tz) => {
+  const days = []
+  let i = 0
+  for (const { start, end } of listBuckets(fromMs, toMs, '1d', tz)) {
+    const day = []
+    while (i < track.length && track[i].ms < end) day.push(track[i++])
+    const { peak_headcount, average_headcount } = summarize(day, tz)
+    const before = days[days.length - 1]
+    days.push({
+      start: new Date(start),
+      peak_headcount,
+      average_headcount,
+      peak_change_pct: before ? change(peak_headcount, before.peak_headcount) : null,
+    })
+  }
+  return days
+}
+
+// Figures for one device, zone or venue; trackOf(fromMs, toMs) returns its readings per minute.
+const reportEntry = async (trackOf, { current, previous, tz, alerts }, { days = false } = {}) => {
+  const track = await trackOf(current.fromMs, current.toMs)
+  const summary = summarize(track, tz)
+  const before = summarize(await trackOf(previous.fromMs, previous.toMs), tz)
+  return {
+    ...summary,
+    ...(days ? { days: byDay(track, current.fromMs, current.toMs, tz) } : {}),
+    alerts,
+    previous: { peak_headcount: before.peak_headcount, average_headcount: before.average_headcount },
+    change: {
+      peak_headcount_pct: change(summary.peak_headcount, before.peak_headcount),
+      average_headcount_pct: change(summary.average_headcount, before.average_headcount),
+    },
+  }
+}
+
+const alertCounts = (rows) => {
+  const counts = { warning: 0, danger: 0, total: 0 }
+  for (const r of rows) {
+    counts[r.level] += Number(r.cnt)
+    counts.total += Number(r.cnt)
+  }
+  return counts
+}
+
+// The report of a venue (a row with id and name) for [fromMs, toMs) in tz: per zone and per
+// device in its zones, and for the venue as a whole. Each figure is compared with the period
+// before.
+const buildReport = async (venue, { fromMs, toMs, tz }) => {
+  const current = { fromMs, toMs }
+  const previous = previousPeriod(fromMs, toMs, tz)
+
+  const [zones] = await pool.query('SELECT id, name FROM zones WHERE venue_id = ? ORDER BY id', [venue.id])
+  const zoneIds = zones.map(z => z.id)
+  const [devices] = zoneIds.length === 0
+    ? [[]]
+    : await pool.query(
+      `SELECT id, device_name, zone_id FROM devices
+       WHERE zone_id IN (${zoneIds.map(() => '?').join(',')}) AND service_state <> 'archived'
+       ORDER BY id`,
+      zoneIds
+    )
+  const deviceIds = devices.map(d => d.id)
+
+  const [alertRows] = zoneIds.length === 0
+    ? [[]]
+    : await pool.query(
+      `SELECT device_id, zone_id, level, COUNT(*) AS cnt FROM alerts
+       WHERE (zone_id IN (${zoneIds.map(() => '?').join(',')})${deviceIds.length > 0 ? ` OR device_id IN (${deviceIds.map(() => '?').join(',')})` : ''})
+         AND created_at >= ? AND created_at < ?
+       GROUP BY device_id, zone_id, level`,
+      [...zoneIds, ...deviceIds, new Date(fromMs), new Date(toMs)]
+    )
+
+  const zoneById = new Map(zones.map(z => [z.id, z]))
+  const context = { current, previous, tz }
+
+  const zoneEntries = []
+  for (const zone of zones) {
+    const alerts = alertCounts(alertRows.filter(r => r.zone_id === zone.id && r.device_id === null))
+    zoneEntries.push({
+      zone_id: zone.id,
+      zone_name: zone.name,
+      ...await reportEntry((from, to) => minuteTrack('zone', [zone.id], from, to), { ...context, alerts }),
+    })
+  }
+
+  const deviceEntries = []
+  for (const device of devices) {
+    const alerts = alertCounts(alertRows.filter(r => r.device_id === device.id))
+    deviceEntries.push({
+      device_id: device.id,
+      device_name: device.device_name,
+      zone_id: device.zone_id,
+      zone_name: zoneById.get(device.zone_id).name,
+      ...await reportEntry((from, to) => minuteTrack('device', [device.id], from, to), { ...context, alerts }),
+    })
+  }
+
+  return {
+    venue: { id: venue.id, name: venue.name },
+    generated_at: new Date(),
+    previous_period: { from: new Date(previous.fromMs), to: new Date(previous.toMs) },
+    summary: {
+      zones: zones.length,
+      devices: devices.length,
+      ...await reportEntry(
+        (from, to) => venueTrack(venue.id, zoneIds, from, to),
+        { ...context, alerts: alertCounts(alertRows) },
+        { days: true }
+      ),
+    },
+    zones: zoneEntries,
+    devices: deviceEntries,
+  }
+}
+
+// A stored report as the API returns it.
+const formatReport = (row) => ({
+  id: row.id,
+  schedule_id: row.schedule_id,
+  venue_id: row.venue_id,
+  period: row.period,
+  from: row.range_start,
+  to: row.range_end,
+  time_zone: row.time_zone,
+  created_at: row.created_at,
+  ...(typeof row.content === 'string' ? JSON.parse(row.content) : row.content),
+})
+
+const findReport = async (id) => {
+  const [rows] = await pool.query('SELECT * FROM reports WHERE id = ?', [id])
+  return rows[0] ? formatReport(rows[0]) : null
+}
+
+// Builds and stores a report. A scheduled report that is already stored for the period
+// (another instance got there first) is not stored again, and null is returned.
+const createReport = async ({ venue, scheduleId = null, period, fromMs, toMs, tz }) => {
+  const content = await buildReport(venue, { fromMs, toMs, tz })
+  try {
+    const [result] = await pool.query(
+      `INSERT INTO reports (schedule_id, venue_id, period, range_start, range_end, time_zone, content)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [scheduleId, venue.id, period, new Date(fromMs), new Date(toMs), tz, JSON.stringify(content)]
+    )
+    return findReport(result.insertId)
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY' && scheduleId !== null) return null
+    throw err
+  }
+}
+
+// One pass over all schedules: reports the last complete period of each once its send hour
+// has come, unless it was already reported, and queues it for the venue's webhooks.
+// Returns the number of reports created, or null if a pass is already running.
+const runDueReports = async (nowMs = Date.now()) => {
+  if (running) return null
+  running = true
+  try {
+    const [schedules] = await pool.query(
+      'SELECT s.*, v.name AS venue_name FROM report_schedules s JOIN venues v ON v.id = s.venue_id ORDER BY s.id'
+    )
+    let created = 0
+    for (const schedule of schedules) {
+      const { fromMs, toMs } = lastPeriod(schedule.frequency, nowMs, schedule.time_zone)
+      if (nowMs < toMs + schedule.send_hour * HOUR_MS) continue
+      const [done] = await pool.query(
+        'SELECT id FROM reports WHERE schedule_id = ? AND range_start = ?',
+        [schedule.id, new Date(fromMs)]
+      )
+      if (done.length > 0) continue
+
+      try {
+        const report = await createReport({
+          venue: { id: schedule.venue_id, name: schedule.venue_name },
+          scheduleId: schedule.id,
+          period: schedule.frequency,
+          fromMs,
+          toMs,
+          tz: schedule.time_zone,
+        })
+        if (!report) continue
+        created += 1
+        if (schedule.deliver) {
+          await enqueueVenueWebhookEvent(schedule.venue_id, { eventType: 'report', payload: report })
+            .catch(err => console.error(`Failed to queue webhooks for report ${report.id}:`, err.message))
+        }
+      } catch (err) {
+        console.error(`Report for schedule ${schedule.id} failed:`, err.message)
+      }
+    }
+    return created
+  } finally {
+    running = false
+  }
+}
+
+const startReportScheduler = () => {
+  if (timer) return
+  const tick = () => runDueReports().catch(err => console.error('Report scheduler error:', err.message))
+  timer = setInterval(tick, CHECK_INTERVAL_MS)
+  timer.unref()
+  tick()
+}
+
+const stopReportScheduler = () => {
+  clearInterval(timer)
+  timer = null
+}
+
+module.exports = {
+  REPORT_FREQUENCIES,
+  lastPeriod,
+  formatReport,
+  findReport,
+  createReport,
+  runDueReports,
+  startReportScheduler,
+  stopReportScheduler,
+}
@@ -0,0 +1,96 @@
+const { WebSocketServer } = require('ws')
+const { readBearer, resolveOperator } = require('./operatorAuth')
+const { eventsSince, subscribe, parseFilter, matchesFilter, describeFilter } = require('./eventStream')
+
+const PATH = '/stream/ws'
+const PING_MS = 30000
+
+const reject = (socket, status, message) => {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`)
+  socket.destroy()
+}
+
+const onConnection = (ws, url) => {
+  let filter = parseFilter(url.searchParams.get('device_id'), url.searchParams.get('zone_id'))
+
+  const send = (event) => {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(event))
+  }
+
+  const replay = (lastEventId) => {
+    const { events, complete } = eventsSince(lastEventId)
+    if (!complete) send({ type: 'resync' })
+    events.filter(e => matchesFilter(filter, e)).forEach(send)
+  }
+
+  replay(url.searchParams.get('last_event_id'))
+
+  const unsubscribe = subscribe((event) => {
+    if (matchesFilter(filter, event)) send(event)
+  })
+
+  ws.on('message', (raw) => {
+    let msg
+    try {
+      msg = JSON.parse(raw.toString())
+    } catch (err) {
+      return send({ type: 'error', error: 'Messages must be JSON' })
+    }
+
+    if (msg.action === 'subscribe') {
+      filter = parseFilter(msg.device_ids, msg.zone_ids)
+      if (msg.last_event_id) replay(msg.last_event_id)
+      send({ type: 'subscribed', ...describeFilter(filter) })
+    } else {
+      send({ type: 'error', error: 'Unknown action' })
+    }
+  })
+
+  let alive = true
+  ws.on('pong', () => { alive = true })
+  const ping = setInterval(() => {
+    if (!alive) return ws.terminate()
+    alive = false
+    ws.ping()
+  }, PING_MS)
+
+  ws.on('close', () => {
+    clearInterval(ping)
+    unsubscribe()
+  })
+}
+
+// Serves the event stream over WebSocket on /stream/ws of the given HTTP server.
+// Clients authenticate with a viewer (or higher) token in the Authorization
+// header or the access_token query parameter.
+const attachStreamSocket = (server) => {
+  const wss = new WebSocketServer({ noServer: true })
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost')
+    if (url.pathname !== PATH) {
+      return reject(socket, 404, 'Not Found')
+    }
+
+    const token = readBearer(req) || url.searchParams.get('access_token')
+    if (!token) {
+      return reject(socket, 401, 'Unauthorized')
+    }
+
+    resolveOperator(token)
+      .then((operator) => {
+        if (!operator) return reject(socket, 401, 'Unauthorized')
+        wss.handleUpgrade(req, socket, head, ws => onConnection(ws, url))
+      })
+      .catch((err) => {
+        console.error('WebSocket auth error:', err.message)
+        reject(socket, 500, 'Internal Server Error')
+      })
+  })
+
+  return wss
+}
+
+module.exports = {
+  attachStreamSocket,
+}
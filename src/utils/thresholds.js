@@ -0,0 +1,259 @@
+const { getStatus } = require('./crowdHelper')
+const { isValidTimeZone, wallClock } = require('./timeBuckets')
+
+const STATUS_LEVELS = ['safe', 'normal', 'warning', 'danger']
+const DEFAULT_LEVELS = { safe: 30, normal: 50, warning: 80, danger: 120 }
+// density mode compares people per m² with <level>_density instead of the headcount with <level>
+const THRESHOLD_MODES = ['absolute', 'density']
+const DENSITY_FIELDS = STATUS_LEVELS.map(k => `${k}_density`)
+const DEFAULT_DENSITY_LEVELS = { safe_density: 1, normal_density: 2, warning_density: 3.5, danger_density: 5 }
+const MAX_DENSITY = 100
+const MAX_AREA_M2 = 1000000
+const MAX_CALIBRATION_FACTOR = 10
+const DEFAULT_TIME_ZONE = process.env.THRESHOLD_TIME_ZONE || 'UTC'
+const MAX_DWELL_SECONDS = 3600
+
+const rank = (status) => STATUS_LEVELS.indexOf(status)
+
+// Levels must be non-negative integers with safe < normal < warning < danger.
+const validateLevels = (levels) => {
+  for (const k of STATUS_LEVELS) {
+    if (!Number.isInteger(levels[k]) || levels[k] < 0) return `threshold.${k} must be a non-negative integer`
+  }
+  for (let i = 1; i < STATUS_LEVELS.length; i++) {
+    if (levels[STATUS_LEVELS[i]] <= levels[STATUS_LEVELS[i - 1]]) {
+      return 'Thresholds must be strictly increasing: safe < normal < warning < danger'
+    }
+  }
+  return null
+}
+
+// Merges the given level fields over `base` and validates the result.
+// Returns { levels } or { error }.
+const mergeLevels = (input, base = DEFAULT_LEVELS) => {
+  const t = input || {}
+  const levels = Object.fromEntries(STATUS_LEVELS.map(k => [k, t[k] ?? base[k] ?? DEFAULT_LEVELS[k]]))
+  const error = validateLevels(levels)
+  return error ? { error } : { levels }
+}
+
+// hysteresis (people) and min_dwell_seconds, both optional. Returns { smoothing } or { error }.
+const parseSmoothing = (input, base = {}) => {
+  const t = input || {}
+  const hysteresis = t.hysteresis ?? base.hysteresis ?? 0
+  const minDwellSeconds = t.min_dwell_seconds ?? base.min_dwell_seconds ?? 0
+  if (!Number.isInteger(hysteresis) || hysteresis < 0) return { error: 'threshold.hysteresis must be a non-negative integer' }
+  if (!Number.isInteger(minDwellSeconds) || minDwellSeconds < 0 || minDwellSeconds > MAX_DWELL_SECONDS) {
+    return { error: `threshold.min_dwell_seconds must be an integer between 0 and ${MAX_DWELL_SECONDS}` }
+  }
+  return { smoothing: { hysteresis, min_dwell_seconds: minDwellSeconds } }
+}
+
+// DECIMAL columns come back from mysql2 as strings
+const toNumber = (v) => (v === null || v === undefined ? null : Number(v))
+
+// mode and density levels (people per m², positive, strictly increasing), merged over `base`
+// like mergeLevels. Returns { density } or { error }.
+const parseDensity = (input, base = {}) => {
+  const t = input || {}
+  const mode = t.mode ?? base.mode ?? 'absolute'
+  if (!THRESHOLD_MODES.includes(mode)) return { error: `threshold.mode must be one of ${THRESHOLD_MODES.join(', ')}` }
+
+  const levels = Object.fromEntries(DENSITY_FIELDS.map(f => [f, t[f] ?? toNumber(base[f]) ?? DEFAULT_DENSITY_LEVELS[f]]))
+  for (const f of DENSITY_FIELDS) {
+    if (typeof levels[f] !== 'number' || !(levels[f] > 0 && levels[f] <= MAX_DENSITY)) {
+      return { error: `threshold.${f} must be a number of people per m² above 0 and at most ${MAX_DENSITY}` }
+    }
+  }
+  for (let i = 1; i < DENSITY_FIELDS.length; i++) {
+    if (levels[DENSITY_FIELDS[i]] <= levels[DENSITY_FIELDS[i - 1]]) {
+      return { error: 'Density thresholds must be strictly increasing: safe < normal < warning < danger' }
+    }
+  }
+  return { density: { mode, ...levels } }
+}
+
+// The covered area (m²) and calibration factor (people per detected device) of a device or
+// zone, for the fields present in `input`. Null clears a field. Returns { area } or { error }.
+const parseArea = (input) => {
+  const t = input || {}
+  const area = {}
+  if (t.area_m2 !== undefined) {
+    if (t.area_m2 !== null && !(typeof t.area_m2 === 'number' && t.area_m2 > 0 && t.area_m2 <= MAX_AREA_M2)) {
+      return { error: `area_m2 must be null or a number above 0 and at most ${MAX_AREA_M2}` }
+    }
+    area.area_m2 = t.area_m2
+  }
+  if (t.calibration_factor !== undefined) {
+    if (t.calibration_factor !== null && !(typeof t.calibration_factor === 'number' && t.calibration_factor > 0 && t.calibration_factor <= MAX_CALIBRATION_FACTOR)) {
+      return { error: `calibration_factor must be null or a number above 0 and at most ${MAX_CALIBRATION_FACTOR}` }
+    }
+    area.calibration_factor = t.calibration_factor
+  }
+  return { area }
+}
+
+// Estimated people per m² for `headcount` detected devices, or null without an area.
+const densityOf = (headcount, { area_m2: area, calibration_factor: factor }) => {
+  if (!(toNumber(area) > 0)) return null
+  return Number((headcount * (toNumber(factor) || 1) / toNumber(area)).toFixed(3))
+}
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/
+const toMinute = (hhmm) => {
+  const m = TIME_PATTERN.exec(hhmm)
+  return Number(m[1]) * 60 + Number(m[2])
+}
+
+// A weekly schedule is a list of { days: [0-6, 0 = Sunday], start: "HH:MM", end: "HH:MM" }.
+// A window ending before it starts runs past midnight into the next day.
+const parseSchedule = (schedule) => {
+  if (!Array.isArray(schedule) || schedule.length === 0) return { error: 'schedule must be a non-empty array' }
+  const windows = []
+  for (const [i, w] of schedule.entries()) {
+    if (!w || typeof w !== 'object') return { error: `schedule[${i}] must be an object` }
+    if (!Array.isArray(w.days) || w.days.length === 0 || w.days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+      return { error: `schedule[${i}].days must be a non-empty list of weekdays 0-6 (0 = Sunday)` }
+    }
+    if (!TIME_PATTERN.test(w.start) || !TIME_PATTERN.test(w.end) || w.start === w.end) {
+      return { error: `schedule[${i}] needs different start and end times as HH:MM` }
+    }
+    windows.push({ days: [...new Set(w.days)].sort(), start: w.start, end: w.end })
+  }
+  return { schedule: windows }
+}
+
+const parseTimeZone = (tz) => {
+  if (tz === undefined || tz === null) return { timeZone: DEFAULT_TIME_ZONE }
+  return typeof tz === 'string' && isValidTimeZone(tz) ? { timeZone: tz } : { error: 'time_zone must be an IANA time zone' }
+}
+
+const inSchedule = (schedule, timeZone, ms) => {
+  const { weekday, minute } = wallClock(ms, timeZone)
+  const yesterday = (weekday + 6) % 7
+  return schedule.some(w => {
+    const start = toMinute(w.start)
+    const end = toMinute(w.end)
+    if (start < end) return w.days.includes(weekday) && minute >= start && minute < end
+    return (w.days.includes(weekday) && minute >= start) || (w.days.includes(yesterday) && minute < end)
+  })
+}
+
+const parseJson = (v) => (typeof v === 'string' ? JSON.parse(v) : v)
+
+// The device's thresholds with its area and scheduled profiles, or null if it has none.
+const loadThresholds = async (conn, deviceId) => {
+  const [rows] = await conn.query(
+    'SELECT t.*, d.area_m2, d.calibration_factor FROM threshold t JOIN devices d ON d.id = t.device_id WHERE t.device_id = ?',
+    [deviceId]
+  )
+  if (rows.length === 0) return null
+  const [profiles] = await conn.query(
+    'SELECT * FROM threshold_profiles WHERE device_id = ? ORDER BY priority DESC, id',
+    [deviceId]
+  )
+  return { ...rows[0], profiles: profiles.map(p => ({ ...p, schedule: parseJson(p.schedule) })) }
+}
+
+// A zone's thresholds in the same shape; zones have no scheduled profiles.
+const loadZoneThresholds = async (conn, zoneId) => {
+  const [rows] = await conn.query(
+    'SELECT t.*, z.area_m2, z.calibration_factor FROM zone_thresholds t JOIN zones z ON z.id = t.zone_id WHERE t.zone_id = ?',
+    [zoneId]
+  )
+  return rows.length > 0 ? { ...rows[0], profiles: [] } : null
+}
+
+// The levels in effect at `at`: the highest-priority profile whose schedule covers it,
+// else the device's own thresholds.
+const activeLevels = (settings, at) => {
+  const profile = settings.profiles.find(p => inSchedule(p.schedule, p.time_zone, at.getTime()))
+  return profile
+    ? { levels: profile, profile: { id: profile.id, name: profile.name } }
+    : { levels: settings, profile: null }
+}
+
+// What a reading is compared with. In density mode that is people per m² against the
+// density levels; without an area, or for a profile without density levels, it falls back
+// to the headcount against the absolute levels. Hysteresis is converted to the same unit.
+const measure = (settings, levels, headcount) => {
+  const density = densityOf(headcount, settings)
+  if (settings.mode === 'density' && density !== null && levels.danger_density != null) {
+    const perPerson = (toNumber(settings.calibration_factor) || 1) / toNumber(settings.area_m2)
+    return {
+      basis: 'density',
+      density,
+      value: density,
+      levels: Object.fromEntries(STATUS_LEVELS.map(k => [k, toNumber(levels[`${k}_density`])])),
+      hysteresis: settings.hysteresis * perPerson,
+    }
+  }
+  return { basis: 'absolute', density, value: headcount, levels, hysteresis: settings.hysteresis }
+}
+
+// Status of a reading of `headcount` at `at`, compared with the readings before it in
+// `readings` ({ table, key, id }: crowd_data of a device or zone_data of a zone).
+// Dropping to a lower status needs the headcount to be `hysteresis` people below the
+// boundary, and any change only counts once the new status has held for min_dwell_seconds.
+// rawStatus is the status before the dwell rule, kept so later readings can tell how long
+// a change has been pending. density is null for devices and zones without an area.
+const resolveReadingStatus = async (conn, { table, key, id }, settings, headcount, at) => {
+  const active = activeLevels(settings, at)
+  const { basis, density, value, levels, hysteresis } = measure(settings, active.levels, headcount)
+  const profile = active.profile
+  const level = getStatus(value, levels)
+  const result = (status, rawStatus) => ({ status, rawStatus, profile, density, basis })
+
+  const [prevRows] = await conn.query(
+    `SELECT status FROM ${table} WHERE ${key} = ? AND created_at <= ? ORDER BY created_at DESC, id DESC LIMIT 1`,
+    [id, at]
+  )
+  const previous = prevRows.length > 0 ? prevRows[0].status : null
+  if (!previous) return result(level, level)
+
+  let rawStatus = level
+  if (rank(level) < rank(previous) && hysteresis > 0) {
+    const held = getStatus(value + hysteresis, levels)
+    rawStatus = STATUS_LEVELS[Math.min(rank(previous), rank(held))]
+  }
+  if (rawStatus === previous || !settings.min_dwell_seconds) return result(rawStatus, rawStatus)
+
+  // start of the current run of readings pending the same change
+  const [runRows] = await conn.query(
+    `SELECT MIN(created_at) AS since FROM ${table}
+     WHERE ${key} = ? AND created_at <= ? AND raw_status = ?
+       AND created_at > COALESCE((
+         SELECT MAX(created_at) FROM ${table}
+         WHERE ${key} = ? AND created_at <= ? AND (raw_status IS NULL OR raw_status <> ?)
+       ), '1970-01-01')`,
+    [id, at, rawStatus, id, at, rawStatus]
+  )
+  const since = runRows[0].since ? new Date(runRows[0].since) : at
+  const held = (at.getTime() - since.getTime()) / 1000 >= settings.min_dwell_seconds
+  return result(held ? rawStatus : previous, rawStatus)
+}
+
+const resolveStatus = (conn, deviceId, settings, headcount, at) =>
+  resolveReadingStatus(conn, { table: 'crowd_data', key: 'device_id', id: deviceId }, settings, headcount, at)
+
+const resolveZoneStatus = (conn, zoneId, settings, headcount, at) =>
+  resolveReadingStatus(conn, { table: 'zone_data', key: 'zone_id', id: zoneId }, settings, headcount, at)
+
+module.exports = {
+  STATUS_LEVELS,
+  DEFAULT_LEVELS,
+  THRESHOLD_MODES,
+  DENSITY_FIELDS,
+  mergeLevels,
+  parseSmoothing,
+  parseDensity,
+  parseArea,
+  densityOf,
+  parseSchedule,
+  parseTimeZone,
+  loadThresholds,
+  loadZoneThresholds,
+  activeLevels,
+  resolveStatus,
+  resolveZoneStatus,
+}
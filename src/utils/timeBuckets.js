@@ -0,0 +1,111 @@
+const BUCKET_SECONDS = {
+  '1m': 60,
+  '5m': 300,
+  '1h': 3600,
+  '1d': 86400,
+}
+
+const formatters = new Map()
+
+// Throws a RangeError for unknown time zones.
+const getFormatter = (tz) => {
+  if (!formatters.has(tz)) {
+    formatters.set(tz, new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }))
+  }
+  return formatters.get(tz)
+}
+
+const isValidTimeZone = (tz) => {
+  try {
+    getFormatter(tz)
+    return true
+  } catch (err) {
+    return false
+  }
+}
+
+// Offset of the time zone from UTC at the given instant, in milliseconds.
+const tzOffsetMs = (tz, ms) => {
+  const parts = {}
+  for (const p of getFormatter(tz).formatToParts(new Date(ms))) parts[p.type] = p.value
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+  return asUtc - Math.floor(ms / 1000) * 1000
+}
+
+// Day of the week (0 = Sunday) and minute of the day of the instant ms on the wall clock in tz.
+const wallClock = (ms, tz) => {
+  const local = new Date(ms + tzOffsetMs(tz, ms))
+  return { weekday: local.getUTCDay(), minute: local.getUTCHours() * 60 + local.getUTCMinutes() }
+}
+
+// Start (epoch ms) of the bucket containing ms, aligned to wall-clock time in tz.
+const bucketStart = (ms, bucket, tz) => {
+  const size = BUCKET_SECONDS[bucket] * 1000
+  const offset = tzOffsetMs(tz, ms)
+  let start = Math.floor((ms + offset) / size) * size - offset
+  // across a DST change the offset at the start can differ from the offset at ms
+  const startOffset = tzOffsetMs(tz, start)
+  if (startOffset !== offset) {
+    start = Math.floor((ms + startOffset) / size) * size - startOffset
+    if (start > ms) start -= size
+  }
+  return start
+}
+
+// All buckets overlapping [fromMs, toMs) as { start, end } in epoch ms.
+const listBuckets = (fromMs, toMs, bucket, tz) => {
+  const size = BUCKET_SECONDS[bucket] * 1000
+  const buckets = []
+  let start = bucketStart(fromMs, bucket, tz)
+  while (start < toMs) {
+    // days are 23 or 25 hours long around DST changes, so step past the end and re-align
+    const end = bucket === '1d' ? bucketStart(start + size + 2 * 3600 * 1000, bucket, tz) : start + size
+    buckets.push({ start, end })
+    start = end
+  }
+  return buckets
+}
+
+// Splits [fromMs, toMs) into ranges with a constant UTC offset, so each range can
+// be bucketed in SQL with plain arithmetic.
+const offsetSegments = (fromMs, toMs, tz) => {
+  const segments = []
+  let start = fromMs
+  while (start < toMs) {
+    const offset = tzOffsetMs(tz, start)
+    let end = toMs
+    if (tzOffsetMs(tz, toMs - 1) !== offset) {
+      // binary search for the first minute with a different offset
+      let lo = start
+      let hi = toMs - 1
+      while (hi - lo > 60000) {
+        const mid = lo + Math.floor((hi - lo) / 2)
+        if (tzOffsetMs(tz, mid) === offset) lo = mid
+        else hi = mid
+      }
+      end = Math.floor(hi / 60000) * 60000
+      if (end <= start) end = hi
+    }
+    segments.push({ from: start, to: end, offsetSeconds: offset / 1000 })
+    start = end
+  }
+  return segments
+}
+
+module.exports = {
+  BUCKET_SECONDS,
+  isValidTimeZone,
+  wallClock,
+  bucketStart,
+  listBuckets,
+  offsetSegments,
+}
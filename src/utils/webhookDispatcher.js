@@ -0,0 +1,191 @@
+const crypto = require('crypto')
+const axios = require('axios')
+const pool = require('./db')
+const { signatureHeaders } = require('./webhookSignature')
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8
+const RETRY_BASE_SECONDS = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 10
+const RETRY_MAX_SECONDS = Number(process.env.WEBHOOK_RETRY_MAX_SECONDS) || 3600
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 5000
+const POLL_INTERVAL_MS = Number(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5000
+const BATCH_SIZE = 20
+
+// a delivery stuck in 'delivering' longer than this was claimed by a worker that died
+const STALE_CLAIM_SECONDS = Math.ceil(TIMEOUT_MS / 1000) * BATCH_SIZE + 60
+
+let timer = null
+let running = false
+let rerun = false
+
+// exponential backoff: base, 2*base, 4*base ... capped at RETRY_MAX_SECONDS
+const retryDelaySeconds = (attempts) =>
+  Math.min(RETRY_MAX_SECONDS, RETRY_BASE_SECONDS * 2 ** Math.max(0, attempts - 1))
+
+const truncate = (s, n = 255) => (s && s.length > n ? s.slice(0, n) : s)
+
+const enqueueFor = async (column, ownerId, { eventType, alertId = null, payload }) => {
+  const [webhooks] = await pool.query(`SELECT id FROM webhooks WHERE ${column} = ?`, [ownerId])
+  if (webhooks.length === 0) return 0
+
+  const vals = []
+  for (const { id } of webhooks) {
+    vals.push(id, crypto.randomUUID(), alertId, eventType, JSON.stringify(payload))
+  }
+  await pool.query(
+    `INSERT INTO webhook_deliveries (webhook_id, event_id, alert_id, event_type, payload, next_attempt_at) VALUES ${webhooks.map(() => '(?, ?, ?, ?, ?, NOW())').join(', ')}`,
+    vals
+  )
+
+  kick()
+  return webhooks.length
+}
+
+// Queues one delivery per webhook registered for the device. Call this only
+// after the data that triggered the event has been committed.
+const enqueueWebhookEvent = (deviceId, event) => enqueueFor('device_id', deviceId, event)
+
+// The same for webhooks registered for a zone.
+const enqueueZoneWebhookEvent = (zoneId, event) => enqueueFor('zone_id', zoneId, event)
+
+// And for webhooks registered for a venue, which receive its scheduled reports.
+const enqueueVenueWebhookEvent = (venueId, event) => enqueueFor('venue_id', venueId, event)
+
+const claimDueDeliveries = async () => {
+  const conn = await pool.getConnection()
+  try {
+    await conn.beginTransaction()
+    const [rows] = await conn.query(
+      `SELECT d.id, d.webhook_id, d.event_id, d.payload, d.attempts, w.url, w.secret,
+              IF(w.previous_secret_expires_at > NOW(), w.previous_secret, NULL) AS previous_secret
+       FROM webhook_deliveries d
+       JOIN webhooks w ON w.id = d.webhook_id
+       WHERE d.state = 'pending' AND d.next_attempt_at <= NOW()
+       ORDER BY d.next_attempt_at
+       LIMIT ?
+       FOR UPDATE SKIP LOCKED`,
+      [BATCH_SIZE]
+    )
+    if (rows.length > 0) {
+      await conn.query(
+        `UPDATE webhook_deliveries SET state = 'delivering' WHERE id IN (${rows.map(() => '?').join(',')})`,
+        rows.map(r => r.id)
+      )
+    }
+    await conn.commit()
+    return rows
+  } catch (err) {
+    await conn.rollback()
+    throw err
+  } finally {
+    conn.release()
+  }
+}
+
+const attemptDelivery = async (delivery) => {
+  // sign the exact bytes that go on the wire
+  const body = typeof delivery.payload === 'string' ? delivery.payload : JSON.stringify(delivery.payload)
+  const headers = {
+    'Content-Type': 'application/json',
+    ...signatureHeaders([delivery.secret, delivery.previous_secret], delivery.event_id, body),
+  }
+  const started = Date.now()
+  let statusCode = null
+  let error = null
+
+  try {
+    const response = await axios.post(delivery.url, body, {
+      headers,
+      timeout: TIMEOUT_MS,
+      transformRequest: [(data) => data],
+      validateStatus: () => true,
+    })
+    statusCode = response.status
+    if (statusCode < 200 || statusCode >= 300) {
+      error = `HTTP ${statusCode}`
+    }
+  } catch (err) {
+    error = err.code ? `${err.code}: ${err.message}` : err.message
+  }
+
+  const latency = Date.now() - started
+  const attempts = delivery.attempts + 1
+
+  await pool.query(
+    'INSERT INTO webhook_delivery_attempts (delivery_id, status_code, latency_ms, error) VALUES (?, ?, ?, ?)',
+    [delivery.id, statusCode, latency, truncate(error)]
+  )
+
+  if (!error) {
+    await pool.query(
+      "UPDATE webhook_deliveries SET state = 'delivered', attempts = ?, last_error = NULL, delivered_at = NOW() WHERE id = ?",
+      [attempts, delivery.id]
+    )
+  } else if (attempts >= MAX_ATTEMPTS) {
+    await pool.query(
+      "UPDATE webhook_deliveries SET state = 'dead', attempts = ?, last_error = ? WHERE id = ?",
+      [attempts, truncate(error), delivery.id]
+    )
+    console.error(`Webhook delivery ${delivery.id} to ${delivery.url} moved to dead letter after ${attempts} attempts: ${error}`)
+  } else {
+    await pool.query(
+      "UPDATE webhook_deliveries SET state = 'pending', attempts = ?, last_error = ?, next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND) WHERE id = ?",
+      [attempts, truncate(error), retryDelaySeconds(attempts), delivery.id]
+    )
+  }
+}
+
+const releaseStaleClaims = async () => {
+  await pool.query(
+    "UPDATE webhook_deliveries SET state = 'pending' WHERE state = 'delivering' AND updated_at < DATE_SUB(NOW(), INTERVAL ? SECOND)",
+    [STALE_CLAIM_SECONDS]
+  )
+}
+
+// Sends every delivery that is due. Overlapping calls are folded into one extra pass.
+const processDueDeliveries = async () => {
+  if (running) {
+    rerun = true
+    return
+  }
+  running = true
+  try {
+    do {
+      rerun = false
+      await releaseStaleClaims()
+      let batch
+      while ((batch = await claimDueDeliveries()).length > 0) {
+        await Promise.all(batch.map(attemptDelivery))
+      }
+    } while (rerun)
+  } finally {
+    running = false
+  }
+}
+
+const kick = () => {
+  setImmediate(() => {
+    processDueDeliveries().catch(err => console.error('Webhook dispatcher error:', err.message))
+  })
+}
+
+const startWebhookDispatcher = () => {
+  if (timer) return
+  timer = setInterval(kick, POLL_INTERVAL_MS)
+  timer.unref()
+  kick()
+}
+
+const stopWebhookDispatcher = () => {
+  clearInterval(timer)
+  timer = null
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  enqueueWebhookEvent,
+  enqueueZoneWebhookEvent,
+  enqueueVenueWebhookEvent,
+  processDueDeliveries,
+  startWebhookDispatcher,
+  stopWebhookDispatcher,
+}
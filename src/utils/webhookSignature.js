@@ -0,0 +1,58 @@
+const crypto = require('crypto')
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature'
+const TIMESTAMP_HEADER = 'X-Webhook-Timestamp'
+const EVENT_ID_HEADER = 'X-Webhook-Id'
+
+const generateSecret = () => 'whsec_' + crypto.randomBytes(32).toString('hex')
+
+// HMAC-SHA256 over "<eventId>.<timestamp>.<raw body>"
+const sign = (secret, eventId, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${eventId}.${timestamp}.${body}`).digest('hex')
+
+// Builds the headers for one delivery attempt. Every secret passed in gets its
+// own "v1=" entry so receivers still holding a rotated-out secret can verify.
+const signatureHeaders = (secrets, eventId, body, now = Date.now()) => {
+  const timestamp = Math.floor(now / 1000)
+  const signatures = secrets.filter(Boolean).map(s => `v1=${sign(s, eventId, timestamp, body)}`)
+  return {
+    [EVENT_ID_HEADER]: eventId,
+    [TIMESTAMP_HEADER]: String(timestamp),
+    [SIGNATURE_HEADER]: signatures.join(','),
+  }
+}
+
+// Reference check for receivers: true if any v1 signature matches and the
+// timestamp is within toleranceSeconds of now.
+const verifySignature = (secret, { eventId, timestamp, signature, body }, toleranceSeconds = 300, now = Date.now()) => {
+  const ts = Number(timestamp)
+  if (!Number.isFinite(ts) || Math.abs(now / 1000 - ts) > toleranceSeconds) return false
+
+  const expected = Buffer.from(sign(secret, eventId, ts, body), 'hex')
+  return String(signature || '')
+    .split(',')
+    .map(part => part.trim())
+    .filter(part => part.startsWith('v1='))
+    .some(part => {
+      const given = Buffer.from(part.slice(3), 'hex')
+      return given.length === expected.length && crypto.timingSafeEqual(given, expected)
+    })
+}
+
+// Startup migration: webhooks registered before payloads were signed get a secret of their own.
+const backfillWebhookSecrets = async (conn) => {
+  const [webhooks] = await conn.query('SELECT id FROM webhooks WHERE secret IS NULL')
+  for (const webhook of webhooks) {
+    await conn.query('UPDATE webhooks SET secret = ? WHERE id = ?', [generateSecret(), webhook.id])
+  }
+}
+
+module.exports = {
+  backfillWebhookSecrets,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  EVENT_ID_HEADER,
+  generateSecret,
+  signatureHeaders,
+  verifySignature,
+}
@@ -0,0 +1,193 @@
+const { signalWeightSql } = require('./crowdHelper')
+const { raiseAlert, resolveZoneAlerts } = require('./alerts')
+const { loadZoneThresholds, resolveZoneStatus, densityOf } = require('./thresholds')
+const { publish } = require('./eventStream')
+const { enqueueZoneWebhookEvent } = require('./webhookDispatcher')
+const { HEALTH_COLUMNS, healthState } = require('./deviceHealth')
+
+const findZone = async (conn, zoneId) => {
+  const [rows] = await conn.query(
+    `SELECT z.*, v.name AS venue_name FROM zones z JOIN venues v ON v.id = z.venue_id WHERE z.id = ?`,
+    [zoneId]
+  )
+  return rows[0] || null
+}
+
+const zoneDeviceIds = async (conn, zoneId) => {
+  const [rows] = await conn.query('SELECT id FROM devices WHERE zone_id = ? ORDER BY id', [zoneId])
+  return rows.map(r => r.id)
+}
+
+// People seen by any of the devices in the windowSeconds up to `at` (now by default). A MAC
+// seen by several overlapping devices counts once; byDevice has each device's own count, and
+// deviceHeadcountSum their sum, which is what adding up device headcounts would give.
+const countDistinct = async (conn, deviceIds, windowSeconds, at = null) => {
+  if (deviceIds.length === 0) return { headcount: 0, weightedHeadcount: 0, deviceHeadcountSum: 0, byDevice: new Map() }
+
+  const placeholders = deviceIds.map(() => '?').join(',')
+  const range = 'observed_at >= DATE_SUB(COALESCE(?, NOW()), INTERVAL ? SECOND) AND observed_at <= COALESCE(?, NOW())'
+  const [rows] = await conn.query(
+    `SELECT COUNT(*) AS cnt, SUM(${signalWeightSql('rssi')}) AS weighted
+     FROM (SELECT tracked_device_id, MAX(rssi) AS rssi FROM device_observations
+           WHERE device_id IN (${placeholders}) AND ${range}
+           GROUP BY tracked_device_id) t`,
+    [...deviceIds, at, windowSeconds, at]
+  )
+  const [perDevice] = await conn.query(
+    `SELECT device_id, COUNT(DISTINCT tracked_device_id) AS cnt FROM device_observations
+     WHERE device_id IN (${placeholders}) AND ${range}
+     GROUP BY device_id`,
+    [...deviceIds, at, windowSeconds, at]
+  )
+
+  const byDevice = new Map(deviceIds.map(id => [id, 0]))
+  for (const r of perDevice) byDevice.set(r.device_id, Number(r.cnt))
+  return {
+    headcount: Number(rows[0].cnt) || 0,
+    weightedHeadcount: Number(Number(rows[0].weighted || 0).toFixed(2)),
+    deviceHeadcountSum: [...byDevice.values()].reduce((a, b) => a + b, 0),
+    byDevice,
+  }
+}
+
+// Opens, escalates or resolves the zone's density alert, like applyDensityAlert does for devices.
+const applyZoneAlert = async (conn, zone, { zoneDataId, headcount, density, status, at }) => {
+  if (status !== 'warning' && status !== 'danger') {
+    const resolved = await resolveZoneAlerts(conn, zone.id, 'density')
+    return {
+      alertEvent: resolved > 0 ? { zone_id: zone.id, alert_type: 'density', state: 'resolved' } : null,
+      webhookEvent: null,
+    }
+  }
+
+  const measured = density === null ? '' : ` (${density} people/m²)`
+  const message = `Zone ${zone.name} (${zone.venue_name}) detected a ${status} event with headcount ${headcount}${measured}.`
+  const alert = await raiseAlert(conn, { zoneId: zone.id, alertType: 'density', level: status, message, at })
+
+  const alertEvent = alert.created || alert.escalated
+    ? {
+        zone_id: zone.id,
+        alert_id: alert.id,
+        alert_type: 'density',
+        level: alert.level,
+        state: 'open',
+        created: alert.created,
+        escalated: alert.escalated,
+        message,
+      }
+    : null
+
+  const webhookEvent = {
+    eventType: 'alert',
+    alertId: alert.id,
+    payload: {
+      zoneId: zone.id,
+      zoneName: zone.name,
+      venueId: zone.venue_id,
+      venueName: zone.venue_name,
+      zoneDataId,
+      alertId: alert.id,
+      headcount,
+      density,
+      areaM2: zone.area_m2 === null ? null : Number(zone.area_m2),
+      status,
+      message,
+      timestamp: at,
+    },
+  }
+
+  return { alertEvent, webhookEvent }
+}
+
+// Stores a zone reading for the window ending at `at`, counted over the zone's devices, and
+// updates the zone's alert unless a newer zone reading exists (a late upload from one device
+// does not override what the others reported since). Called when a member device reports,
+// inside its transaction. Returns what to publish once it commits, or null for zones
+// without thresholds.
+const evaluateZone = async (conn, zoneId, at, windowSeconds) => {
+  const zone = await findZone(conn, zoneId)
+  if (!zone) return null
+  const settings = await loadZoneThresholds(conn, zoneId)
+  if (!settings) return null
+
+  const [latestRows] = await conn.query('SELECT MAX(created_at) AS latest FROM zone_data WHERE zone_id = ?', [zoneId])
+  const latest = latestRows[0].latest
+  const live = !latest || at >= latest
+
+  const deviceIds = await zoneDeviceIds(conn, zoneId)
+  const { headcount, weightedHeadcount, deviceHeadcountSum } = await countDistinct(conn, deviceIds, windowSeconds, at)
+  const { status, rawStatus, density, basis } = await resolveZoneStatus(conn, zoneId, settings, headcount, at)
+
+  const [result] = await conn.query(
+    `INSERT INTO zone_data (zone_id, headcount, device_headcount_sum, status, raw_status, density, status_basis, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [zoneId, headcount, deviceHeadcountSum, status, rawStatus, density, basis, at]
+  )
+  const zoneDataId = result.insertId
+
+  const statusEvent = {
+    zone_id: zoneId,
+    zone_data_id: zoneDataId,
+    headcount,
+    weighted_headcount: weightedHeadcount,
+    device_headcount_sum: deviceHeadcountSum,
+    density,
+    status,
+    window_seconds: windowSeconds,
+  }
+  if (!live) return { statusEvent: null, alertEvent: null, webhookEvent: null }
+
+  const { alertEvent, webhookEvent } = await applyZoneAlert(conn, zone, { zoneDataId, headcount, density, status, at })
+  return { statusEvent, alertEvent, webhookEvent }
+}
+
+// Current counts and status of a zone (a row from findZone), computed now without storing a
+// reading. The status is `unknown` while none of its devices is reporting.
+const currentZoneState = async (conn, zone, windowSeconds) => {
+  const [devices] = await conn.query(`SELECT id, device_name, ${HEALTH_COLUMNS} FROM devices WHERE zone_id = ? ORDER BY id`, [zone.id])
+  const counts = await countDistinct(conn, devices.map(d => d.id), windowSeconds)
+  const members = devices.map(d => ({
+    device_id: d.id,
+    device_name: d.device_name,
+    headcount: counts.byDevice.get(d.id),
+    health: healthState(d),
+  }))
+  const reporting = members.filter(m => m.health === 'online' || m.health === 'stale').length
+
+  const settings = await loadZoneThresholds(conn, zone.id)
+  const resolved = settings && reporting > 0
+    ? await resolveZoneStatus(conn, zone.id, settings, counts.headcount, new Date())
+    : { status: 'unknown', basis: null }
+
+  return {
+    zone: { id: zone.id, name: zone.name, venue_id: zone.venue_id, venue_name: zone.venue_name },
+    headcount: counts.headcount,
+    weighted_headcount: counts.weightedHeadcount,
+    device_headcount_sum: counts.deviceHeadcountSum,
+    density: densityOf(counts.headcount, zone),
+    area_m2: zone.area_m2 === null ? null : Number(zone.area_m2),
+    status: resolved.status,
+    status_basis: resolved.basis,
+    window_seconds: windowSeconds,
+    devices_reporting: reporting,
+    devices: members,
+  }
+}
+
+const publishZoneEvaluation = async (zoneId, { statusEvent, alertEvent, webhookEvent }) => {
+  if (statusEvent) publish('zone_status', statusEvent)
+  if (alertEvent) publish('alert', alertEvent)
+  if (webhookEvent) {
+    await enqueueZoneWebhookEvent(zoneId, webhookEvent)
+      .catch(err => console.error(`Failed to queue webhooks for zone ${zoneId}:`, err.message))
+  }
+}
+
+module.exports = {
+  findZone,
+  zoneDeviceIds,
+  countDistinct,
+  evaluateZone,
+  currentZoneState,
+  publishZoneEvaluation,
+}